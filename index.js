@@ -3,9 +3,12 @@
  * Main entry point using modular architecture
  */
 
-const { addonBuilder, serveHTTP } = require('stremio-addon-sdk');
+const express = require('express');
+const { addonBuilder, getRouter } = require('stremio-addon-sdk');
+const landingTemplate = require('stremio-addon-sdk/src/landingTemplate');
 const manifest = require('./src/config/manifest');
 const { handleSubtitlesRequest } = require('./src/handlers/subtitles-handler');
+const { createSubtitleRouter, trackRequestUrl } = require('./src/routes/subtitle-proxy');
 
 // Create addon builder with manifest
 const builder = new addonBuilder(manifest);
@@ -18,18 +21,72 @@ builder.defineSubtitlesHandler(async (args) => {
 // Export the addon interface for use in server
 const addonInterface = builder.getInterface();
 
+/**
+ * Serve the addon over HTTP
+ * Mirrors the SDK's serveHTTP, adding the subtitle proxy route.
+ * @param {Object} opts - Server options
+ * @param {number} opts.port - Port to listen on
+ * @returns {Promise<Object>} Resolves with { url, server } once listening
+ */
+function serveHTTP(opts = {}) {
+    const app = express();
+    // Subtitle links point back at the address Stremio reached the addon on
+    app.use(trackRequestUrl);
+    app.use(createSubtitleRouter());
+    app.use(getRouter(addonInterface));
+
+    // Landing and configuration page
+    const landingHTML = landingTemplate(addonInterface.manifest);
+    app.get('/', (_, res) => res.redirect('/configure'));
+    app.get('/configure', (_, res) => {
+        res.setHeader('content-type', 'text/html');
+        res.end(landingHTML);
+    });
+
+    const server = app.listen(opts.port);
+    return new Promise((resolve, reject) => {
+        server.on('listening', () => {
+            const url = `http://127.0.0.1:${server.address().port}/manifest.json`;
+            console.log('HTTP addon accessible at:', url);
+            resolve({ url, server });
+        });
+        server.on('error', reject);
+    });
+}
+
 // Export both the interface and a function to serve it
 module.exports = {
     addonInterface,
-    serveHTTP: (opts) => serveHTTP(addonInterface, opts),
-    
+    serveHTTP,
+
     // Export individual modules for testing
     modules: {
         manifest,
+        normalize: require('./src/config/normalize'),
+        sources: require('./src/config/sources'),
         FuzzyMatcher: require('./src/services/fuzzy-matcher'),
+        githubClient: require('./src/services/github-client'),
         githubService: require('./src/services/github-service'),
+        archiveService: require('./src/services/archive-service'),
         movieDatabase: require('./src/services/movie-database'),
+        metadata: require('./src/services/metadata'),
+        metadataCache: require('./src/services/metadata-cache'),
+        repoIndexCache: require('./src/services/repo-index-cache'),
+        subtitleDownload: require('./src/services/subtitle-download'),
+        languageDetection: require('./src/services/language-detection'),
+        hashIndex: require('./src/services/hash-index'),
+        subtitleManifest: require('./src/services/subtitle-manifest'),
+        sourceRegistry: require('./src/services/source-registry'),
+        subtitlePreferences: require('./src/services/subtitle-preferences'),
+        converters: require('./src/converters'),
+        charset: require('./src/utils/charset'),
         subtitleParser: require('./src/utils/subtitle-parser'),
-        subtitlesHandler: require('./src/handlers/subtitles-handler')
+        languages: require('./src/utils/languages'),
+        transliterate: require('./src/utils/transliterate'),
+        languageDetect: require('./src/utils/language-detect'),
+        videoHash: require('./src/utils/video-hash'),
+        boundedCache: require('./src/utils/bounded-cache'),
+        subtitlesHandler: require('./src/handlers/subtitles-handler'),
+        subtitleProxy: require('./src/routes/subtitle-proxy')
     }
 };
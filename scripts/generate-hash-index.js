@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * Generate a subtitles.index.json hash index for a subtitle repository
+ *
+ * Hashes the videos in a local folder and lists the subtitles named after
+ * each video (Movie.2010.1080p.mkv -> Movie.2010.1080p.en.srt), so the addon
+ * can match them exactly by the videoHash Stremio sends. An existing index is
+ * merged: videos that aren't in the folder anymore are kept.
+ *
+ * Usage:
+ *   node scripts/generate-hash-index.js --videos <dir> [--subtitles <dir>] [--root <dir>] [--output <file>]
+ *
+ *   --videos     Folder with the video files (searched recursively)
+ *   --subtitles  Folder with the subtitle files (defaults to --videos)
+ *   --root       Local clone of the subtitle repository; subtitle paths are
+ *                written relative to it (defaults to the current directory)
+ *   --output     Index file to write (defaults to <root>/subtitles.index.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { computeVideoHash } = require('../src/utils/video-hash');
+const { isSubtitleFile, HASH_INDEX_FILENAME } = require('../src/services/github-service');
+
+const VIDEO_EXTENSIONS = /\.(mkv|mp4|m4v|avi|mov|wmv|webm|ts|m2ts|mpg|mpeg|flv|ogm)$/i;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { videos, subtitles, root, output }
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--(videos|subtitles|root|output)(?:=(.*))?$/);
+        if (!match) {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+        options[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+        if (!options[match[1]]) {
+            throw new Error(`Missing value for --${match[1]}`);
+        }
+    }
+
+    if (!options.videos) {
+        throw new Error('Missing --videos folder');
+    }
+
+    const root = path.resolve(options.root || process.cwd());
+    return {
+        videos: path.resolve(options.videos),
+        subtitles: path.resolve(options.subtitles || options.videos),
+        root,
+        output: path.resolve(options.output || path.join(root, HASH_INDEX_FILENAME))
+    };
+}
+
+/**
+ * List files in a folder recursively
+ * @param {string} dir - Folder to walk
+ * @param {Function} filter - Filename filter
+ * @returns {Promise<Array<string>>} Absolute file paths
+ */
+async function listFiles(dir, filter) {
+    const files = [];
+    for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!entry.name.startsWith('.')) {
+                files.push(...await listFiles(fullPath, filter));
+            }
+        } else if (entry.isFile() && filter(entry.name)) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Check whether a subtitle is named after a video
+ * @param {string} subtitlePath - Subtitle file path
+ * @param {string} videoPath - Video file path
+ * @returns {boolean} True if the subtitle name starts with the video name
+ */
+function isSubtitleFor(subtitlePath, videoPath) {
+    const videoName = path.basename(videoPath, path.extname(videoPath)).toLowerCase();
+    const subtitleName = path.basename(subtitlePath, path.extname(subtitlePath)).toLowerCase();
+    return subtitleName === videoName
+        || (subtitleName.startsWith(videoName) && /[._\s-]/.test(subtitleName[videoName.length]));
+}
+
+/**
+ * Read an existing index to merge with
+ * @param {string} file - Index file
+ * @returns {Promise<Map>} Entries keyed by hash
+ */
+async function readExistingIndex(file) {
+    const entries = new Map();
+    let data;
+    try {
+        data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return entries;
+        }
+        throw new Error(`Can't read existing index ${file}: ${error.message}`);
+    }
+
+    for (const entry of (data && data.videos) || []) {
+        if (entry && entry.hash) {
+            entries.set(String(entry.hash).toLowerCase(), entry);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Generate the index
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<void>}
+ */
+async function main(options) {
+    const videos = await listFiles(options.videos, name => VIDEO_EXTENSIONS.test(name));
+    const subtitles = await listFiles(options.subtitles, isSubtitleFile);
+    const entries = await readExistingIndex(options.output);
+
+    console.log(`Found ${videos.length} videos and ${subtitles.length} subtitles`);
+
+    let indexed = 0;
+    for (const videoPath of videos) {
+        const matching = subtitles.filter(subtitlePath => isSubtitleFor(subtitlePath, videoPath));
+        if (matching.length === 0) {
+            console.log(`  - ${path.relative(options.videos, videoPath)}: no subtitles named after it`);
+            continue;
+        }
+
+        const relativePaths = matching.map(subtitlePath => {
+            const relative = path.relative(options.root, subtitlePath);
+            if (relative.startsWith('..') || path.isAbsolute(relative)) {
+                throw new Error(`${subtitlePath} is outside the repository root ${options.root}`);
+            }
+            return relative.split(path.sep).join('/');
+        });
+
+        let hashed;
+        try {
+            hashed = await computeVideoHash(videoPath);
+        } catch (error) {
+            console.log(`  - ${path.relative(options.videos, videoPath)}: ${error.message}`);
+            continue;
+        }
+
+        const existing = entries.get(hashed.hash);
+        const merged = new Set([...((existing && existing.subtitles) || []), ...relativePaths]);
+        entries.set(hashed.hash, {
+            hash: hashed.hash,
+            size: hashed.size,
+            name: path.basename(videoPath),
+            subtitles: [...merged].sort()
+        });
+        indexed++;
+        console.log(`  + ${path.basename(videoPath)} ${hashed.hash}: ${relativePaths.join(', ')}`);
+    }
+
+    const index = {
+        version: 1,
+        videos: [...entries.values()].sort((a, b) => String(a.name || a.hash).localeCompare(String(b.name || b.hash)))
+    };
+    await fs.promises.writeFile(options.output, `${JSON.stringify(index, null, 2)}\n`);
+    console.log(`Indexed ${indexed} videos; ${options.output} lists ${index.videos.length} videos`);
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node scripts/generate-hash-index.js --videos <dir> [--subtitles <dir>] [--root <dir>] [--output <file>]');
+        process.exit(1);
+    }
+
+    main(options).catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseArgs,
+    isSubtitleFor,
+    main
+};
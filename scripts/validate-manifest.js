@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * Validate a subtitles.manifest.json / .yaml file before publishing it
+ *
+ * Reports every problem the addon would skip the entry for and, with --root,
+ * listed paths that don't exist in the local clone of the repository.
+ *
+ * Usage:
+ *   node scripts/validate-manifest.js <manifest> [--root <dir>]
+ *
+ *   --root  Local clone of the subtitle repository (defaults to the folder of
+ *           the manifest)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseManifest } = require('../src/services/subtitle-manifest');
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { manifest, root }
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--root(?:=(.*))?$/);
+        if (match) {
+            options.root = match[1] !== undefined ? match[1] : argv[++i];
+            if (!options.root) {
+                throw new Error('Missing value for --root');
+            }
+        } else if (argv[i].startsWith('--') || options.manifest) {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        } else {
+            options.manifest = argv[i];
+        }
+    }
+
+    if (!options.manifest) {
+        throw new Error('Missing manifest file');
+    }
+
+    const manifest = path.resolve(options.manifest);
+    return {
+        manifest,
+        root: path.resolve(options.root || path.dirname(manifest))
+    };
+}
+
+/**
+ * Check whether a listed path exists in the local clone
+ * Paths inside archives are checked up to the archive.
+ * @param {string} root - Repository root
+ * @param {string} listedPath - Path from the manifest
+ * @returns {boolean} True if the file (or its archive) exists
+ */
+function pathExists(root, listedPath) {
+    const segments = listedPath.split('/');
+    for (let i = segments.length; i > 0; i--) {
+        const candidate = path.join(root, ...segments.slice(0, i));
+        if (fs.existsSync(candidate)) {
+            return i === segments.length || /\.(zip|7z)$/i.test(candidate);
+        }
+    }
+    return false;
+}
+
+/**
+ * Validate the manifest
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<number>} Number of problems found
+ */
+async function main(options) {
+    const manifest = parseManifest(await fs.promises.readFile(options.manifest, 'utf8'), options.manifest);
+    const problems = [...manifest.errors];
+
+    for (const [id, entries] of manifest.titles) {
+        entries
+            .filter(entry => !pathExists(options.root, entry.path))
+            .forEach(entry => problems.push(`titles.${id}: ${entry.path} doesn't exist in ${options.root}`));
+    }
+
+    problems.forEach(problem => console.log(`  - ${problem}`));
+    console.log(`${manifest.count} files for ${manifest.titles.size} titles, ${problems.length} problem(s)`);
+    return problems.length;
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node scripts/validate-manifest.js <manifest> [--root <dir>]');
+        process.exit(1);
+    }
+
+    main(options).then(problems => {
+        process.exit(problems > 0 ? 1 : 0);
+    }).catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseArgs,
+    main
+};
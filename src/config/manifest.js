@@ -19,7 +19,7 @@ const manifest = {
             key: 'github_repo',
             type: 'text',
             title: 'GitHub Repository',
-            description: 'Format: owner/repo (e.g., OpenSubtitles/opensubtitles-com)',
+            description: 'Format: owner/repo or a GitHub URL (e.g., OpenSubtitles/opensubtitles-com)',
             required: true
         },
         {
@@ -28,6 +28,94 @@ const manifest = {
             title: 'Subtitles Path (optional)',
             description: 'Path within the repo where subtitles are stored (e.g., subtitles/)',
             required: false
+        },
+        {
+            key: 'github_ref',
+            type: 'text',
+            title: 'Branch, Tag or Commit (optional)',
+            description: 'Pin subtitles to a branch, release tag or commit SHA (defaults to the default branch)',
+            required: false
+        },
+        {
+            key: 'github_sources',
+            type: 'text',
+            title: 'Additional Sources (optional)',
+            description: 'More repositories in priority order, comma separated. Format: owner/repo, owner/repo:path or owner/repo@ref:path',
+            required: false
+        },
+        {
+            key: 'include_vobsub',
+            type: 'checkbox',
+            title: 'Include VobSub (.idx/.sub) image subtitles',
+            description: 'Image based subtitles most Stremio players cannot display',
+            required: false
+        },
+        {
+            key: 'preferred_languages',
+            type: 'text',
+            title: 'Preferred Languages (optional)',
+            description: 'Languages listed first, in order, comma separated (e.g., hun, eng, pob or hu, en, pt-br)',
+            required: false
+        },
+        {
+            key: 'only_preferred_languages',
+            type: 'checkbox',
+            title: 'Only show preferred languages',
+            description: 'Hide subtitles in languages that are not in the preferred list',
+            required: false
+        },
+        {
+            key: 'max_per_language',
+            type: 'number',
+            title: 'Subtitles per Language (optional)',
+            description: 'Maximum number of subtitles listed for each language (empty or 0 for no limit)',
+            required: false
+        },
+        {
+            key: 'forced_subtitles',
+            type: 'select',
+            title: 'Forced Subtitles',
+            description: 'Forced subtitles only translate foreign dialogue and signs: include them, list them first (prefer) or hide them (exclude)',
+            options: ['include', 'prefer', 'exclude'],
+            default: 'include',
+            required: false
+        },
+        {
+            key: 'sdh_subtitles',
+            type: 'select',
+            title: 'SDH Subtitles',
+            description: 'Subtitles for the deaf and hard of hearing (sound descriptions, speaker names): include, prefer or exclude them',
+            options: ['include', 'prefer', 'exclude'],
+            default: 'include',
+            required: false
+        },
+        {
+            key: 'github_token',
+            type: 'password',
+            title: 'GitHub Token (optional)',
+            description: 'Personal access token to raise the GitHub API rate limit (falls back to the GITHUB_TOKEN server variable)',
+            required: false
+        },
+        {
+            key: 'metadata_providers',
+            type: 'text',
+            title: 'Metadata Providers (optional)',
+            description: 'Title lookup order, comma separated: local, tmdb, omdb, cinemeta (providers without a key are skipped)',
+            required: false
+        },
+        {
+            key: 'tmdb_api_key',
+            type: 'password',
+            title: 'TMDB API Key (optional)',
+            description: 'TMDB API key or read access token for title lookups (falls back to the TMDB_API_KEY server variable)',
+            required: false
+        },
+        {
+            key: 'omdb_api_key',
+            type: 'password',
+            title: 'OMDb API Key (optional)',
+            description: 'OMDb API key for title lookups (falls back to the OMDB_API_KEY server variable)',
+            required: false
         }
     ]
 };
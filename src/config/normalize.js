@@ -0,0 +1,268 @@
+/**
+ * Configuration normalization
+ *
+ * Users paste all kinds of repository references into the config form. This
+ * module turns them into plain owner/repo, ref and path values.
+ */
+
+const GITHUB_HOSTS = ['github.com', 'www.github.com'];
+const RAW_HOSTS = ['raw.githubusercontent.com'];
+const OWNER_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/;
+const REPO_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+// Checkbox keys, normalized to booleans
+const BOOLEAN_KEYS = ['include_vobsub', 'only_preferred_languages'];
+
+// Comma separated list keys, normalized to arrays
+const LIST_KEYS = ['preferred_languages'];
+
+// Non-negative number keys; 0 (or an invalid value) means no limit
+const LIMIT_KEYS = ['max_per_language'];
+
+// Choices for forced and SDH tracks; the first one is the default
+const TRACK_CHOICES = ['include', 'prefer', 'exclude'];
+const CHOICE_KEYS = {
+    forced_subtitles: TRACK_CHOICES,
+    sdh_subtitles: TRACK_CHOICES
+};
+
+// Token and API key fields, trimmed of pasted whitespace
+const SECRET_KEYS = ['github_token', 'omdb_api_key', 'tmdb_api_key'];
+
+/**
+ * Strip leading and trailing slashes from a path
+ * @param {string} value - Path to normalize
+ * @returns {string} Normalized path ('' for the repository root or a value that isn't a string)
+ */
+function normalizePath(value) {
+    if (typeof value !== 'string') {
+        return '';
+    }
+    return value.trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, '').replace(/\/{2,}/g, '/');
+}
+
+/**
+ * Parse a repository reference into repo, ref and path
+ * Supported inputs:
+ * - owner/repo, owner/repo@ref, owner/repo:path, owner/repo@ref:path
+ * - https://github.com/owner/repo[.git][/tree|blob/ref/path]
+ * - https://raw.githubusercontent.com/owner/repo/ref/path
+ * - git@github.com:owner/repo.git and ssh://git@github.com/owner/repo.git
+ * Refs containing slashes can't be told apart from the path in web URLs, so the
+ * first segment after /tree/ or /blob/ is taken as the ref.
+ * @param {string} input - Repository reference
+ * @returns {Object|null} { input, repo, ref, path, error } or null if empty
+ */
+function parseRepoReference(input) {
+    if (input === undefined || input === null || input === '') {
+        return null;
+    }
+    if (typeof input !== 'string') {
+        return { input: String(input), repo: null, ref: null, path: '', error: 'Repository must be a string' };
+    }
+
+    const value = input.trim();
+    if (!value) {
+        return null;
+    }
+
+    const result = { input: value, repo: null, ref: null, path: '', error: null };
+
+    let segments;
+    let isRaw = false;
+
+    const scpMatch = value.match(/^[\w.-]+@([\w.-]+):(.+)$/);
+    if (scpMatch && !/^\w+:\/\//.test(value)) {
+        // git@github.com:owner/repo.git
+        if (!GITHUB_HOSTS.includes(scpMatch[1].toLowerCase())) {
+            return { ...result, error: `Unsupported host "${scpMatch[1]}" - only github.com repositories are supported` };
+        }
+        segments = scpMatch[2].split('/');
+    } else if (/^(\w+:\/\/|(www\.)?github\.com\/|raw\.githubusercontent\.com\/)/i.test(value)) {
+        let url;
+        try {
+            url = new URL(/^\w+:\/\//.test(value) ? value : `https://${value}`);
+        } catch (error) {
+            return { ...result, error: `Not a valid URL: ${value}` };
+        }
+
+        const host = url.hostname.toLowerCase();
+        isRaw = RAW_HOSTS.includes(host);
+        if (!GITHUB_HOSTS.includes(host) && !isRaw) {
+            return { ...result, error: `Unsupported host "${url.hostname}" - only github.com repositories are supported` };
+        }
+
+        segments = url.pathname.split('/').map(safeDecode);
+    } else {
+        // Shorthand: owner/repo[@ref][:path]
+        const match = value.match(/^([^@:]+?)(?:@([^:]+))?(?::(.*))?$/);
+        if (!match) {
+            return { ...result, error: `Unrecognized repository format: ${value}. Use owner/repo` };
+        }
+
+        const [owner, repo, ...rest] = normalizePath(match[1]).split('/');
+        segments = [owner, repo];
+        result.ref = match[2] ? match[2].trim() : null;
+        result.path = normalizePath([...rest, match[3] || ''].join('/'));
+    }
+
+    segments = segments.filter(segment => segment && segment.length > 0);
+    const [owner, rawRepo, ...rest] = segments;
+    const repo = (rawRepo || '').replace(/\.git$/i, '');
+
+    if (!owner || !repo) {
+        return { ...result, error: `Missing owner or repository name in "${value}". Use owner/repo` };
+    }
+    if (!OWNER_PATTERN.test(owner)) {
+        return { ...result, error: `Invalid GitHub owner name "${owner}"` };
+    }
+    if (!REPO_PATTERN.test(repo)) {
+        return { ...result, error: `Invalid GitHub repository name "${repo}"` };
+    }
+
+    result.repo = `${owner}/${repo}`;
+
+    if (isRaw) {
+        // raw.githubusercontent.com/owner/repo/ref/path
+        result.ref = rest[0] || null;
+        result.path = normalizePath(rest.slice(1).join('/'));
+    } else if (rest.length > 0 && ['tree', 'blob'].includes(rest[0])) {
+        result.ref = rest[1] || null;
+        result.path = normalizePath(rest.slice(2).join('/'));
+    } else if (rest.length > 0) {
+        result.path = normalizePath([rest.join('/'), result.path].filter(Boolean).join('/'));
+    }
+
+    return result;
+}
+
+/**
+ * Normalize the repository related config keys
+ * github_repo is reduced to owner/repo; a ref or path embedded in it is used
+ * unless github_ref / github_path are set explicitly. Values that can't be
+ * parsed are left untouched so validation can report them.
+ * @param {Object} config - Raw addon configuration
+ * @returns {Object} Normalized configuration
+ */
+function normalizeConfig(config = {}) {
+    const normalized = { ...config };
+
+    // Path and ref values that aren't strings are kept for validation to reject
+    if (isOptionalString(config.github_path) && isOptionalString(config.github_ref)) {
+        const explicitPath = normalizePath(config.github_path);
+        const explicitRef = (config.github_ref || '').trim();
+
+        const parsed = parseRepoReference(config.github_repo);
+        if (parsed && !parsed.error) {
+            normalized.github_repo = parsed.repo;
+            normalized.github_path = explicitPath || parsed.path;
+            normalized.github_ref = explicitRef || parsed.ref || '';
+        } else {
+            normalized.github_path = explicitPath;
+            normalized.github_ref = explicitRef;
+        }
+    }
+
+    for (const key of SECRET_KEYS) {
+        if (typeof config[key] === 'string') {
+            normalized[key] = config[key].trim();
+        }
+    }
+
+    for (const key of BOOLEAN_KEYS) {
+        normalized[key] = parseBoolean(config[key]);
+    }
+
+    for (const key of LIST_KEYS) {
+        normalized[key] = parseList(config[key]);
+    }
+
+    for (const key of LIMIT_KEYS) {
+        normalized[key] = parseLimit(config[key]);
+    }
+
+    for (const [key, choices] of Object.entries(CHOICE_KEYS)) {
+        normalized[key] = parseChoice(config[key], choices);
+    }
+
+    return normalized;
+}
+
+/**
+ * Check whether a config value is a string or unset
+ * @param {*} value - Config value
+ * @returns {boolean} True for strings, undefined and null
+ */
+function isOptionalString(value) {
+    return value === undefined || value === null || typeof value === 'string';
+}
+
+/**
+ * Parse a comma separated config value
+ * @param {string|Array<string>} value - Config value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function parseList(value) {
+    const entries = Array.isArray(value) ? value : String(value || '').split(/[,;\s]+/);
+    return entries.map(entry => String(entry).trim()).filter(Boolean);
+}
+
+/**
+ * Parse a limit config value
+ * @param {*} value - Config value
+ * @returns {number} Limit, 0 for none
+ */
+function parseLimit(value) {
+    const number = parseInt(value);
+    return isNaN(number) || number < 0 ? 0 : number;
+}
+
+/**
+ * Parse a select config value
+ * @param {*} value - Config value
+ * @param {Array<string>} choices - Allowed values, the first one is the default
+ * @returns {string} Chosen value
+ */
+function parseChoice(value, choices) {
+    const choice = String(value || '').trim().toLowerCase();
+    return choices.includes(choice) ? choice : choices[0];
+}
+
+/**
+ * Parse a checkbox / boolean config value
+ * Stremio sends checked checkboxes as "checked"; JSON configs may use real booleans.
+ * @param {*} value - Config value
+ * @returns {boolean} True if enabled
+ */
+function parseBoolean(value) {
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    return ['checked', 'true', 'on', 'yes', '1'].includes(String(value || '').trim().toLowerCase());
+}
+
+/**
+ * Decode a URL component, keeping it as-is if it isn't valid encoding
+ * @param {string} value - URL component
+ * @returns {string} Decoded component
+ */
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+module.exports = {
+    SECRET_KEYS,
+    isOptionalString,
+    TRACK_CHOICES,
+    normalizePath,
+    parseBoolean,
+    parseChoice,
+    parseList,
+    parseLimit,
+    parseRepoReference,
+    normalizeConfig
+};
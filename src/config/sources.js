@@ -0,0 +1,135 @@
+/**
+ * Subtitle source configuration
+ *
+ * An installation can read from several repositories. The primary source comes
+ * from the github_repo / github_path / github_ref keys, additional ones from
+ * github_sources.
+ * Sources are returned in priority order (lowest priority number wins).
+ */
+
+const { isOptionalString, normalizePath, parseRepoReference } = require('./normalize');
+
+/**
+ * Parse a single source definition
+ * Accepts everything parseRepoReference does: owner/repo, owner/repo@ref:path,
+ * GitHub web URLs and git@ URLs.
+ * @param {string} value - Source definition
+ * @returns {Object|null} Source with repo, path, ref and error, or null if empty
+ */
+function parseSource(value) {
+    const parsed = parseRepoReference(value);
+    if (!parsed) {
+        return null;
+    }
+
+    return {
+        input: parsed.input,
+        repo: parsed.repo,
+        path: parsed.path,
+        ref: parsed.ref,
+        error: parsed.error
+    };
+}
+
+/**
+ * Parse the github_sources config value
+ * Either a JSON array of { repo, path, ref } objects or a list of source
+ * definitions separated by commas, semicolons or newlines.
+ * @param {string|Array} value - github_sources config value
+ * @returns {Array<Object>} Parsed sources in configured order
+ */
+function parseSourceList(value) {
+    if (!value) {
+        return [];
+    }
+
+    let entries = value;
+    if (typeof value === 'string') {
+        const trimmed = value.trim();
+        if (trimmed.startsWith('[')) {
+            try {
+                entries = JSON.parse(trimmed);
+            } catch (error) {
+                console.error('Invalid JSON in github_sources:', error.message);
+                return [];
+            }
+        } else {
+            entries = trimmed.split(/[\n,;]+/);
+        }
+    }
+
+    if (!Array.isArray(entries)) {
+        return [];
+    }
+
+    return entries
+        .map(entry => {
+            if (entry && typeof entry === 'object') {
+                return withOverrides(parseSource(entry.repo), entry.path, entry.ref);
+            }
+            return parseSource(entry);
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Get all configured subtitle sources in priority order
+ * @param {Object} config - Addon configuration
+ * @returns {Array<Object>} Sources with repo, path, ref, priority, primary and error
+ *                          (primary marks the github_repo source, error is set for
+ *                          definitions that couldn't be parsed)
+ */
+function getSources(config = {}) {
+    const sources = [];
+
+    const primary = withOverrides(parseSource(config.github_repo), config.github_path, config.github_ref);
+    if (primary) {
+        sources.push({ ...primary, primary: true });
+    }
+
+    sources.push(...parseSourceList(config.github_sources));
+
+    // Drop exact duplicates, keeping the first (highest priority) occurrence
+    const seen = new Set();
+    return sources
+        .filter(source => {
+            const key = source.error
+                ? source.input
+                : `${source.repo.toLowerCase()}@${source.ref || ''}:${source.path}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map((source, index) => ({ ...source, priority: index }));
+}
+
+/**
+ * Apply explicitly configured path and ref on top of a parsed source
+ * @param {Object|null} source - Parsed source
+ * @param {string} path - Explicit path (optional)
+ * @param {string} ref - Explicit ref (optional)
+ * @returns {Object|null} Source with overrides applied
+ */
+function withOverrides(source, path, ref) {
+    if (!source || source.error) {
+        return source;
+    }
+    if (!isOptionalString(path)) {
+        return { ...source, error: 'Path must be a string' };
+    }
+    if (!isOptionalString(ref)) {
+        return { ...source, error: 'Git ref must be a string' };
+    }
+
+    return {
+        ...source,
+        path: normalizePath(path) || source.path,
+        ref: (ref || '').trim() || source.ref
+    };
+}
+
+module.exports = {
+    parseSource,
+    parseSourceList,
+    getSources
+};
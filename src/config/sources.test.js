@@ -0,0 +1,61 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeConfig, parseRepoReference } = require('./normalize');
+const { getSources } = require('./sources');
+
+mock.method(console, 'error', () => {});
+
+describe('parseRepoReference', () => {
+    it('reads shorthand, web, raw and git URLs', () => {
+        assert.deepEqual(parseRepoReference(' owner/repo@v1:subs/en '), { input: 'owner/repo@v1:subs/en', repo: 'owner/repo', ref: 'v1', path: 'subs/en', error: null });
+        assert.deepEqual(
+            parseRepoReference('https://github.com/owner/repo/tree/main/subs'),
+            { input: 'https://github.com/owner/repo/tree/main/subs', repo: 'owner/repo', ref: 'main', path: 'subs', error: null }
+        );
+        assert.equal(parseRepoReference('https://raw.githubusercontent.com/owner/repo/dev/subs/a.srt').ref, 'dev');
+        assert.equal(parseRepoReference('git@github.com:owner/repo.git').repo, 'owner/repo');
+    });
+
+    it('reports other hosts', () => {
+        assert.match(parseRepoReference('git@gitlab.com:owner/repo.git').error, /only github\.com/);
+    });
+
+    it('reports values that aren\'t strings', () => {
+        assert.deepEqual(parseRepoReference(5), { input: '5', repo: null, ref: null, path: '', error: 'Repository must be a string' });
+        assert.equal(parseRepoReference(null), null);
+        assert.equal(parseRepoReference('  '), null);
+    });
+});
+
+describe('getSources', () => {
+    it('lists the primary source first, then github_sources in order', () => {
+        const sources = getSources(normalizeConfig({
+            github_repo: 'https://github.com/owner/main/tree/dev/subs',
+            github_sources: 'owner/extra@v2, owner/main@dev:subs'
+        }));
+
+        assert.deepEqual(sources.map(({ repo, ref, path, primary, priority }) => ({ repo, ref, path, primary: !!primary, priority })), [
+            { repo: 'owner/main', ref: 'dev', path: 'subs', primary: true, priority: 0 },
+            { repo: 'owner/extra', ref: 'v2', path: '', primary: false, priority: 1 }
+        ]);
+    });
+
+    it('lets explicit path and ref override the ones in the URL', () => {
+        const [source] = getSources(normalizeConfig({ github_repo: 'owner/repo@dev:subs', github_ref: 'v1', github_path: '/movies/' }));
+        assert.equal(source.ref, 'v1');
+        assert.equal(source.path, 'movies');
+    });
+
+    it('reads JSON source lists', () => {
+        const sources = getSources({ github_sources: '[{"repo": "owner/repo", "path": "subs", "ref": "v1"}]' });
+        assert.deepEqual(sources.map(({ repo, ref, path }) => ({ repo, ref, path })), [{ repo: 'owner/repo', ref: 'v1', path: 'subs' }]);
+    });
+
+    it('reports settings that aren\'t strings instead of throwing', () => {
+        assert.equal(getSources(normalizeConfig({ github_repo: 5 }))[0].error, 'Repository must be a string');
+        assert.equal(getSources(normalizeConfig({ github_repo: 'owner/repo', github_ref: 3 }))[0].error, 'Git ref must be a string');
+        assert.equal(getSources(normalizeConfig({ github_repo: 'owner/repo', github_path: {} }))[0].error, 'Path must be a string');
+        assert.equal(getSources(normalizeConfig({ github_sources: '[{"repo": 5}]' }))[0].error, 'Repository must be a string');
+    });
+});
@@ -0,0 +1,200 @@
+/**
+ * Advanced SubStation Alpha / SubStation Alpha (.ass / .ssa) parser
+ *
+ * Only the parts that survive in SRT / WebVTT are kept: Dialogue timing,
+ * line breaks and italic / bold / underline (from styles and override tags).
+ * Positioning, colours, karaoke and drawings are dropped.
+ */
+
+const DEFAULT_EVENT_FORMAT = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+const DEFAULT_STYLE_FORMAT = ['name', 'fontname', 'fontsize', 'primarycolour', 'secondarycolour', 'outlinecolour',
+    'backcolour', 'bold', 'italic', 'underline'];
+
+/**
+ * Parse an ASS/SSA timestamp (H:MM:SS.cc)
+ * @param {string} value - Timestamp
+ * @returns {number|null} Time in milliseconds or null if invalid
+ */
+function parseAssTimestamp(value) {
+    const match = (value || '').trim().match(/^(\d+):(\d{1,2}):(\d{1,2})(?:\.(\d{1,3}))?$/);
+    if (!match) {
+        return null;
+    }
+
+    const [, hours, minutes, seconds, fraction = '0'] = match;
+    return parseInt(hours) * 3600000 +
+        parseInt(minutes) * 60000 +
+        parseInt(seconds) * 1000 +
+        Math.round(parseInt(fraction) * Math.pow(10, 3 - fraction.length));
+}
+
+/**
+ * Split a section line's value into fields
+ * The last field (Text) may itself contain commas.
+ * @param {string} value - Everything after "Dialogue:" / "Style:"
+ * @param {number} fieldCount - Number of fields declared by the Format line
+ * @returns {Array<string>} Field values
+ */
+function splitFields(value, fieldCount) {
+    const fields = [];
+    let rest = value;
+
+    for (let i = 0; i < fieldCount - 1; i++) {
+        const comma = rest.indexOf(',');
+        if (comma === -1) {
+            break;
+        }
+        fields.push(rest.substring(0, comma).trim());
+        rest = rest.substring(comma + 1);
+    }
+
+    fields.push(fieldCount > 1 ? rest : rest.trim());
+    return fields;
+}
+
+/**
+ * Convert ASS/SSA dialogue text to SRT-style markup
+ * @param {string} text - Raw dialogue text with override blocks
+ * @param {Object} style - Base style flags { italic, bold, underline }
+ * @returns {string} Text with \n line breaks and <i>/<b>/<u> tags
+ */
+function convertDialogueText(text, style = {}) {
+    const state = { i: !!style.italic, b: !!style.bold, u: !!style.underline };
+    const open = { i: false, b: false, u: false };
+    let drawing = false;
+    let output = '';
+
+    const sync = () => {
+        // Close in reverse order, then open, so tags stay properly nested
+        for (const tag of ['u', 'b', 'i']) {
+            if (open[tag] && !state[tag]) {
+                output += `</${tag}>`;
+                open[tag] = false;
+            }
+        }
+        for (const tag of ['i', 'b', 'u']) {
+            if (!open[tag] && state[tag]) {
+                output += `<${tag}>`;
+                open[tag] = true;
+            }
+        }
+    };
+
+    const parts = text.split(/(\{[^}]*\})/);
+    for (const part of parts) {
+        if (part.startsWith('{') && part.endsWith('}')) {
+            const tags = part.slice(1, -1).split('\\').slice(1);
+            for (const tag of tags) {
+                const toggle = tag.match(/^([ibu])(\d*)$/);
+                if (toggle) {
+                    const value = toggle[2] === '' ? 0 : parseInt(toggle[2]);
+                    // \b also accepts font weights (e.g. \b700)
+                    state[toggle[1]] = toggle[1] === 'b' ? value === 1 || value >= 600 : value === 1;
+                } else if (/^r/.test(tag)) {
+                    state.i = !!style.italic;
+                    state.b = !!style.bold;
+                    state.u = !!style.underline;
+                } else if (/^p\d+/.test(tag)) {
+                    drawing = parseInt(tag.substring(1)) > 0;
+                }
+            }
+            continue;
+        }
+
+        if (drawing || part.length === 0) {
+            continue;
+        }
+
+        sync();
+        output += part
+            .replace(/\\N/g, '\n')
+            .replace(/\\n/g, ' ')
+            .replace(/\\h/g, ' ');
+    }
+
+    state.i = state.b = state.u = false;
+    sync();
+
+    return output
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/<([ibu])>\s*<\/\1>/g, '')
+        .trim();
+}
+
+/**
+ * Parse ASS/SSA text into cues
+ * @param {string} text - ASS or SSA file contents
+ * @returns {Array<Object>} Cues with start, end (ms) and text, sorted by start
+ */
+function parseAss(text) {
+    const cues = [];
+    const styles = {};
+    let section = '';
+    let eventFormat = DEFAULT_EVENT_FORMAT;
+    let styleFormat = DEFAULT_STYLE_FORMAT;
+
+    const lines = text.replace(/^﻿/, '').split(/\r\n?|\n/);
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith(';')) {
+            continue;
+        }
+
+        const sectionMatch = line.match(/^\[(.+)\]$/);
+        if (sectionMatch) {
+            section = sectionMatch[1].toLowerCase();
+            continue;
+        }
+
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            continue;
+        }
+
+        const key = line.substring(0, separator).trim().toLowerCase();
+        const value = line.substring(separator + 1);
+
+        if (key === 'format') {
+            const format = value.split(',').map(field => field.trim().toLowerCase());
+            if (section === 'events') {
+                eventFormat = format;
+            } else if (section.endsWith('styles')) {
+                styleFormat = format;
+            }
+        } else if (key === 'style' && section.endsWith('styles')) {
+            const fields = splitFields(value, styleFormat.length);
+            const field = name => fields[styleFormat.indexOf(name)];
+            // SSA/ASS use -1 for true
+            const isOn = flag => flag !== undefined && flag !== '0' && flag !== '';
+            styles[(field('name') || '').toLowerCase()] = {
+                italic: isOn(field('italic')),
+                bold: isOn(field('bold')),
+                underline: isOn(field('underline'))
+            };
+        } else if (key === 'dialogue' && section === 'events') {
+            const fields = splitFields(value, eventFormat.length);
+            const field = name => fields[eventFormat.indexOf(name)];
+
+            const start = parseAssTimestamp(field('start'));
+            const end = parseAssTimestamp(field('end'));
+            if (start === null || end === null) {
+                continue;
+            }
+
+            const styleName = (field('style') || '').replace(/^\*/, '').toLowerCase();
+            const cueText = convertDialogueText(field('text') || '', styles[styleName]);
+            if (cueText) {
+                cues.push({ start, end, text: cueText });
+            }
+        }
+    }
+
+    return cues.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+module.exports = {
+    parseAss,
+    convertDialogueText
+};
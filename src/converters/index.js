@@ -0,0 +1,129 @@
+/**
+ * Subtitle format conversion
+ *
+ * Parses SRT, WebVTT, ASS/SSA, MicroDVD and SubViewer into a common cue list
+ * ({ start, end, text } in milliseconds) and serializes it as SRT or WebVTT.
+ */
+
+const { parseSrt, serializeSrt } = require('./srt');
+const { parseVtt, serializeVtt } = require('./webvtt');
+const { parseAss } = require('./ass');
+const { parseMicroDvd, isMicroDvd } = require('./microdvd');
+const { parseSubViewer, isSubViewer } = require('./subviewer');
+
+const PARSERS = {
+    srt: parseSrt,
+    vtt: parseVtt,
+    ass: parseAss,
+    ssa: parseAss,
+    sub: (text, options) => (detectSubFormat(text) === 'subviewer' ? parseSubViewer(text) : parseMicroDvd(text, options))
+};
+
+const SERIALIZERS = {
+    srt: serializeSrt,
+    vtt: serializeVtt
+};
+
+// Formats some Stremio players can't render and that get a converted variant
+const CONVERTIBLE_FORMATS = ['ass', 'ssa', 'sub'];
+
+/**
+ * Error raised when a subtitle can't be converted
+ */
+class ConversionError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status to report to the client
+     */
+    constructor(message, status = 422) {
+        super(message);
+        this.name = 'ConversionError';
+        this.status = status;
+    }
+}
+
+/**
+ * Get the output formats conversion can produce
+ * @returns {Array<string>} Output format extensions
+ */
+function getOutputFormats() {
+    return Object.keys(SERIALIZERS);
+}
+
+/**
+ * Check whether a file format should be offered in a converted variant
+ * @param {string} format - Source file extension
+ * @returns {boolean} True for ASS, SSA and .sub (MicroDVD or SubViewer)
+ */
+function needsConversion(format) {
+    return CONVERTIBLE_FORMATS.includes((format || '').toLowerCase());
+}
+
+/**
+ * Tell which text format a .sub file uses
+ * @param {string} text - File contents, or its first lines
+ * @returns {string|null} 'microdvd', 'subviewer', or null when neither can be converted
+ */
+function detectSubFormat(text) {
+    if (isMicroDvd(text)) {
+        return 'microdvd';
+    }
+    return isSubViewer(text) ? 'subviewer' : null;
+}
+
+/**
+ * Parse subtitle text into cues
+ * @param {string} text - Subtitle file contents
+ * @param {string} format - Source format (file extension)
+ * @param {Object} options - Parser options (e.g. fps for MicroDVD)
+ * @returns {Array<Object>} Cues with start, end (ms) and text
+ * @throws {ConversionError} When the format is unsupported or the file has no cues
+ */
+function parseSubtitle(text, format, options = {}) {
+    const sourceFormat = (format || '').toLowerCase();
+    const parser = PARSERS[sourceFormat];
+    if (!parser) {
+        throw new ConversionError(`Unsupported source format: ${format}`, 400);
+    }
+
+    if (sourceFormat === 'sub' && !detectSubFormat(text)) {
+        throw new ConversionError('Only text based MicroDVD and SubViewer .sub files can be converted');
+    }
+
+    const cues = parser(text, options);
+    if (cues.length === 0) {
+        throw new ConversionError(`No subtitle cues found in ${sourceFormat} file`);
+    }
+
+    return cues;
+}
+
+/**
+ * Convert subtitle text between formats
+ * @param {string} text - Subtitle file contents
+ * @param {string} fromFormat - Source format (srt, vtt, ass, ssa, sub)
+ * @param {string} toFormat - Target format (srt or vtt)
+ * @param {Object} options - Parser options
+ * @param {number} [options.fps] - Frame rate for MicroDVD files
+ * @returns {string} Converted subtitle text
+ * @throws {ConversionError} When the conversion isn't possible
+ */
+function convertSubtitle(text, fromFormat, toFormat, options = {}) {
+    const serializer = SERIALIZERS[(toFormat || '').toLowerCase()];
+    if (!serializer) {
+        throw new ConversionError(`Unsupported target format: ${toFormat}. Use ${getOutputFormats().join(' or ')}`, 400);
+    }
+
+    const cues = parseSubtitle(text, fromFormat, options);
+    console.log(`Converted ${cues.length} cues from ${fromFormat} to ${toFormat}`);
+    return serializer(cues);
+}
+
+module.exports = {
+    convertSubtitle,
+    parseSubtitle,
+    detectSubFormat,
+    needsConversion,
+    getOutputFormats,
+    ConversionError
+};
@@ -0,0 +1,93 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { convertSubtitle, parseSubtitle, detectSubFormat, needsConversion, ConversionError } = require('./index');
+
+mock.method(console, 'log', () => {});
+
+const ASS = [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, Bold, Italic',
+    'Style: Default,Arial,20,&H00FFFFFF,0,0',
+    'Style: Thoughts,Arial,20,&H00FFFFFF,0,-1',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    'Dialogue: 0,0:00:01.00,0:00:02.50,Default,,0,0,0,,Hello, {\\b1}world{\\b0}\\Nsecond line',
+    'Dialogue: 0,0:00:03.00,0:00:04.00,Thoughts,,0,0,0,,I wonder',
+    'Comment: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,not shown'
+].join('\n');
+
+describe('convertSubtitle', () => {
+    it('converts ASS dialogue to SRT, keeping line breaks and styling', () => {
+        const srt = convertSubtitle(ASS, 'ass', 'srt');
+        assert.equal(srt.trim(), [
+            '1',
+            '00:00:01,000 --> 00:00:02,500',
+            'Hello, <b>world</b>',
+            'second line',
+            '',
+            '2',
+            '00:00:03,000 --> 00:00:04,000',
+            '<i>I wonder</i>'
+        ].join('\n'));
+    });
+
+    it('converts MicroDVD frames using the frame rate header', () => {
+        const sub = '{1}{1}25\n{25}{50}First|line\n{75}{100}{y:i}Second';
+        const cues = parseSubtitle(sub, 'sub');
+        assert.deepEqual(cues, [
+            { start: 1000, end: 2000, text: 'First\nline' },
+            { start: 3000, end: 4000, text: '<i>Second</i>' }
+        ]);
+    });
+
+    it('uses an explicit frame rate for MicroDVD files without a header', () => {
+        const [cue] = parseSubtitle('{50}{100}Text', 'sub', { fps: 25 });
+        assert.equal(cue.start, 2000);
+        assert.equal(cue.end, 4000);
+    });
+
+    it('converts SubViewer files with [br] line breaks', () => {
+        const sub = '[INFORMATION]\n[TITLE]Movie\n[END INFORMATION]\n\n00:00:01.00,00:00:02.50\nOne[br]Two\n';
+        assert.deepEqual(parseSubtitle(sub, 'sub'), [{ start: 1000, end: 2500, text: 'One\nTwo' }]);
+    });
+
+    it('converts SRT to WebVTT', () => {
+        const vtt = convertSubtitle('1\n00:00:01,000 --> 00:00:02,000\nHi\n', 'srt', 'vtt');
+        assert.match(vtt, /^WEBVTT\b/);
+        assert.match(vtt, /00:00:01\.000 --> 00:00:02\.000\nHi/);
+    });
+
+    it('rejects unsupported target formats with a 400', () => {
+        assert.throws(() => convertSubtitle(ASS, 'ass', 'ass'), error => error instanceof ConversionError && error.status === 400);
+    });
+
+    it('rejects .sub files that are neither MicroDVD nor SubViewer', () => {
+        assert.throws(() => parseSubtitle('just some text', 'sub'), error => error instanceof ConversionError && error.status === 422);
+    });
+
+    it('rejects files without cues', () => {
+        assert.throws(() => parseSubtitle('[Script Info]\n[Events]\n', 'ass'), ConversionError);
+    });
+});
+
+describe('detectSubFormat', () => {
+    it('tells MicroDVD and SubViewer apart', () => {
+        assert.equal(detectSubFormat('{1}{25}Text'), 'microdvd');
+        assert.equal(detectSubFormat('00:00:01.00,00:00:02.00\nText'), 'subviewer');
+        assert.equal(detectSubFormat('Text'), null);
+    });
+});
+
+describe('needsConversion', () => {
+    it('offers a converted variant for ASS, SSA and .sub only', () => {
+        assert.equal(needsConversion('ASS'), true);
+        assert.equal(needsConversion('sub'), true);
+        assert.equal(needsConversion('srt'), false);
+        assert.equal(needsConversion(null), false);
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * MicroDVD (.sub) parser
+ *
+ * MicroDVD files are frame based: {start}{end}text, with | as line break.
+ * The frame rate comes from an explicit option, a {1}{1}<fps> header line,
+ * or defaults to 23.976.
+ */
+
+const DEFAULT_FPS = 23.976;
+// Used when a cue has no end frame ({100}{}text) and there's no next cue
+const DEFAULT_DURATION_MS = 3000;
+
+const LINE_PATTERN = /^\{(\d+)\}\{(\d*)\}(.*)$/;
+
+/**
+ * Check whether text looks like a MicroDVD file
+ * @param {string} text - File contents
+ * @returns {boolean} True if the first non-empty lines use {start}{end} framing
+ */
+function isMicroDvd(text) {
+    const lines = text.replace(/^﻿/, '').split(/\r\n?|\n/).filter(line => line.trim()).slice(0, 5);
+    return lines.length > 0 && lines.every(line => LINE_PATTERN.test(line.trim()));
+}
+
+/**
+ * Convert MicroDVD text to SRT-style markup
+ * @param {string} text - Raw text with {y:i}-style control codes
+ * @returns {string} Text with \n line breaks and <i>/<b>/<u> tags
+ */
+function convertMicroDvdText(text) {
+    // Uppercase control codes apply to every line, lowercase to the current one
+    const globalStyles = new Set();
+    const globalMatch = text.match(/\{Y:([ibus,]+)\}/);
+    if (globalMatch) {
+        globalMatch[1].split(',').forEach(style => globalStyles.add(style));
+    }
+
+    return text.split('|').map(line => {
+        const styles = new Set(globalStyles);
+        const localMatch = line.match(/\{y:([ibus,]+)\}/);
+        if (localMatch) {
+            localMatch[1].split(',').forEach(style => styles.add(style));
+        }
+
+        let cleaned = line.replace(/\{[^}]*\}/g, '');
+        // Leading slash is a common shorthand for italics
+        if (cleaned.startsWith('/')) {
+            styles.add('i');
+            cleaned = cleaned.substring(1);
+        }
+        cleaned = cleaned.trim();
+        if (!cleaned) {
+            return '';
+        }
+
+        for (const tag of ['u', 'b', 'i']) {
+            if (styles.has(tag)) {
+                cleaned = `<${tag}>${cleaned}</${tag}>`;
+            }
+        }
+        return cleaned;
+    }).filter(Boolean).join('\n');
+}
+
+/**
+ * Parse MicroDVD text into cues
+ * @param {string} text - MicroDVD file contents
+ * @param {Object} options - Parse options
+ * @param {number} [options.fps] - Frame rate; overrides the file header
+ * @returns {Array<Object>} Cues with start, end (ms) and text
+ */
+function parseMicroDvd(text, options = {}) {
+    const entries = [];
+    let fps = options.fps || null;
+
+    const lines = text.replace(/^﻿/, '').split(/\r\n?|\n/);
+    for (const line of lines) {
+        const match = line.trim().match(LINE_PATTERN);
+        if (!match) {
+            continue;
+        }
+
+        const startFrame = parseInt(match[1]);
+        const endFrame = match[2] === '' ? null : parseInt(match[2]);
+        const body = match[3];
+
+        // {1}{1}23.976 declares the frame rate
+        if (entries.length === 0 && startFrame <= 1 && endFrame !== null && endFrame <= 1 && /^\d+(\.\d+)?$/.test(body.trim())) {
+            if (!options.fps) {
+                fps = parseFloat(body.trim());
+            }
+            continue;
+        }
+
+        entries.push({ startFrame, endFrame, body });
+    }
+
+    if (!fps || fps <= 0) {
+        fps = DEFAULT_FPS;
+    }
+
+    const cues = [];
+    entries.forEach((entry, index) => {
+        const start = Math.round(entry.startFrame * 1000 / fps);
+        let end;
+        if (entry.endFrame !== null) {
+            end = Math.round(entry.endFrame * 1000 / fps);
+        } else if (entries[index + 1]) {
+            end = Math.round(entries[index + 1].startFrame * 1000 / fps);
+        } else {
+            end = start + DEFAULT_DURATION_MS;
+        }
+
+        const cueText = convertMicroDvdText(entry.body);
+        if (cueText && end > start) {
+            cues.push({ start, end, text: cueText });
+        }
+    });
+
+    return cues;
+}
+
+module.exports = {
+    isMicroDvd,
+    parseMicroDvd,
+    DEFAULT_FPS
+};
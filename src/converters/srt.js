@@ -0,0 +1,55 @@
+/**
+ * SubRip (.srt) parser and serializer
+ */
+
+const { formatTimestamp, parseTimestamp } = require('./timestamps');
+
+/**
+ * Parse SubRip text into cues
+ * @param {string} text - SRT file contents
+ * @returns {Array<Object>} Cues with start, end (ms) and text
+ */
+function parseSrt(text) {
+    const cues = [];
+    const blocks = text.replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+
+    for (const block of blocks) {
+        const lines = block.split('\n').filter(line => line.trim().length > 0);
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) {
+            continue;
+        }
+
+        const [startText, endText] = lines[timingIndex].split('-->');
+        const start = parseTimestamp(startText);
+        const end = parseTimestamp((endText || '').trim().split(/\s+/)[0]);
+        if (start === null || end === null) {
+            continue;
+        }
+
+        const cueText = lines.slice(timingIndex + 1).join('\n').trim();
+        if (cueText) {
+            cues.push({ start, end, text: cueText });
+        }
+    }
+
+    return cues;
+}
+
+/**
+ * Serialize cues as SubRip
+ * @param {Array<Object>} cues - Cues with start, end (ms) and text
+ * @returns {string} SRT file contents
+ */
+function serializeSrt(cues) {
+    return cues.map((cue, index) => [
+        index + 1,
+        `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+        cue.text
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+module.exports = {
+    parseSrt,
+    serializeSrt
+};
@@ -0,0 +1,69 @@
+/**
+ * SubViewer 2.0 (.sub) parser
+ *
+ * SubViewer files share the .sub extension with MicroDVD but are time based:
+ * an optional [INFORMATION] header, then cues made of a
+ * hh:mm:ss.xx,hh:mm:ss.xx timing line followed by text, with [br] as line break.
+ */
+
+const { parseTimestamp } = require('./timestamps');
+
+const TIMING_PATTERN = /^(\d{1,2}:\d{2}:\d{2}\.\d{1,3}),(\d{1,2}:\d{2}:\d{2}\.\d{1,3})$/;
+
+/**
+ * Split text into trimmed lines, dropping a byte order mark
+ * @param {string} text - File contents
+ * @returns {Array<string>} Lines
+ */
+function splitLines(text) {
+    return text.replace(/^\uFEFF/, '').split(/\r\n?|\n/).map(line => line.trim());
+}
+
+/**
+ * Check whether text looks like a SubViewer file
+ * @param {string} text - File contents
+ * @returns {boolean} True if it starts with an [INFORMATION] header or its first lines hold a timing line
+ */
+function isSubViewer(text) {
+    const lines = splitLines(text).filter(Boolean).slice(0, 20);
+    return /^\[INFORMATION\]$/i.test(lines[0] || '') || lines.some(line => TIMING_PATTERN.test(line));
+}
+
+/**
+ * Parse SubViewer text into cues
+ * @param {string} text - SubViewer file contents
+ * @returns {Array<Object>} Cues with start, end (ms) and text
+ */
+function parseSubViewer(text) {
+    const cues = [];
+    let current = null;
+
+    const flush = () => {
+        const cueText = current && current.lines.join('\n').replace(/\[br\]/gi, '\n').trim();
+        if (cueText && current.end > current.start) {
+            cues.push({ start: current.start, end: current.end, text: cueText });
+        }
+        current = null;
+    };
+
+    for (const line of splitLines(text)) {
+        const match = line.match(TIMING_PATTERN);
+        if (match) {
+            flush();
+            current = { start: parseTimestamp(match[1]), end: parseTimestamp(match[2]), lines: [] };
+        } else if (!line) {
+            flush();
+        } else if (current) {
+            current.lines.push(line);
+        }
+        // Header lines ([INFORMATION], [TITLE]..., [COLF]...) come before the first cue
+    }
+    flush();
+
+    return cues;
+}
+
+module.exports = {
+    isSubViewer,
+    parseSubViewer
+};
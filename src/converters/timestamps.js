@@ -0,0 +1,53 @@
+/**
+ * Timestamp helpers shared by the subtitle converters
+ * All cue times are stored in milliseconds.
+ */
+
+/**
+ * Format milliseconds as HH:MM:SS plus a fraction separator and milliseconds
+ * @param {number} ms - Time in milliseconds
+ * @param {string} separator - ',' for SRT, '.' for WebVTT
+ * @returns {string} Formatted timestamp
+ */
+function formatTimestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const millis = total % 1000;
+
+    return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)}${separator}${pad(millis, 3)}`;
+}
+
+/**
+ * Parse an SRT / WebVTT style timestamp ([HH:]MM:SS[,.]mmm)
+ * @param {string} value - Timestamp
+ * @returns {number|null} Time in milliseconds or null if invalid
+ */
+function parseTimestamp(value) {
+    const match = (value || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[,.](\d{1,3}))?$/);
+    if (!match) {
+        return null;
+    }
+
+    const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+    return parseInt(hours) * 3600000 +
+        parseInt(minutes) * 60000 +
+        parseInt(seconds) * 1000 +
+        parseInt(fraction.padEnd(3, '0'));
+}
+
+/**
+ * Zero-pad a number
+ * @param {number} value - Number to pad
+ * @param {number} length - Minimum length
+ * @returns {string} Padded number
+ */
+function pad(value, length) {
+    return String(value).padStart(length, '0');
+}
+
+module.exports = {
+    formatTimestamp,
+    parseTimestamp
+};
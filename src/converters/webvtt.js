@@ -0,0 +1,79 @@
+/**
+ * WebVTT (.vtt) parser and serializer
+ */
+
+const { formatTimestamp, parseTimestamp } = require('./timestamps');
+
+/**
+ * Parse WebVTT text into cues
+ * Cue settings, NOTE / STYLE / REGION blocks and voice or class spans are dropped.
+ * @param {string} text - WebVTT file contents
+ * @returns {Array<Object>} Cues with start, end (ms) and text
+ */
+function parseVtt(text) {
+    const cues = [];
+    const blocks = text.replace(/^﻿/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+
+    for (const block of blocks) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1 || /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) {
+            continue;
+        }
+
+        const [startText, rest = ''] = lines[timingIndex].split('-->');
+        const start = parseTimestamp(startText);
+        const end = parseTimestamp(rest.trim().split(/\s+/)[0]);
+        if (start === null || end === null) {
+            continue;
+        }
+
+        const cueText = lines.slice(timingIndex + 1).join('\n')
+            .replace(/<\/?(?:c|v|lang|ruby|rt)(?:[.\s][^>]*)?>/g, '')
+            .replace(/<\d{2}:[\d:.]+>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .trim();
+
+        if (cueText) {
+            cues.push({ start, end, text: cueText });
+        }
+    }
+
+    return cues;
+}
+
+/**
+ * Serialize cues as WebVTT
+ * @param {Array<Object>} cues - Cues with start, end (ms) and text
+ * @returns {string} WebVTT file contents
+ */
+function serializeVtt(cues) {
+    const body = cues.map(cue => [
+        `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+        escapeCueText(cue.text)
+    ].join('\n')).join('\n\n');
+
+    return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Escape cue text for WebVTT, keeping <i>, <b> and <u> markup
+ * @param {string} text - Cue text
+ * @returns {string} Escaped text
+ */
+function escapeCueText(text) {
+    return text
+        .split(/(<\/?[ibu]>)/)
+        .map(part => /^<\/?[ibu]>$/.test(part)
+            ? part
+            : part.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'))
+        .join('');
+}
+
+module.exports = {
+    parseVtt,
+    serializeVtt
+};
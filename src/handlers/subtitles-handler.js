@@ -3,9 +3,29 @@
  */
 
 const FuzzyMatcher = require('../services/fuzzy-matcher');
-const { fetchGitHubFiles } = require('../services/github-service');
+const { getSources } = require('../config/sources');
+const { normalizeConfig, parseBoolean, SECRET_KEYS } = require('../config/normalize');
+const { fetchGitHubFiles, validateRef, buildRawUrl } = require('../services/github-service');
+const { resolveToken, GitHubRateLimitError } = require('../services/github-client');
 const { getMovieInfo } = require('../services/movie-database');
-const { parseSubtitleFilename } = require('../utils/subtitle-parser');
+const { parseSubtitleFilename, parseReleaseInfo, buildSubtitleLabel } = require('../utils/subtitle-parser');
+const { findLanguage, isSameLanguage, toStremioCode } = require('../utils/languages');
+const { buildSubtitleUrl, buildArchiveEntryUrl } = require('../routes/subtitle-proxy');
+const { sniffSubtitle } = require('../services/subtitle-download');
+const { expandArchives } = require('../services/archive-service');
+const { registerSources } = require('../services/source-registry');
+const { detectFileLanguage } = require('../services/language-detection');
+const { loadHashIndex, findHashMatches } = require('../services/hash-index');
+const { loadManifest, findManifestEntries, applyManifestEntry } = require('../services/subtitle-manifest');
+const { resolvePreferences, applyPreferences } = require('../services/subtitle-preferences');
+const { needsConversion } = require('../converters');
+
+// Format offered next to ASS/SSA/MicroDVD files for players that only render SRT/VTT
+const CONVERTED_FORMAT = 'srt';
+// Files whose language is detected from their content during a single request
+const MAX_CONTENT_DETECTIONS = 20;
+// Confidence needed to override a language found in the filename
+const CONTENT_OVERRIDE_CONFIDENCE = 0.5;
 
 /**
  * Handle subtitles requests
@@ -14,7 +34,7 @@ const { parseSubtitleFilename } = require('../utils/subtitle-parser');
  */
 async function handleSubtitlesRequest(args) {
     console.log('=== SUBTITLES REQUEST START ===');
-    console.log('Full request args:', JSON.stringify(args, null, 2));
+    console.log('Full request args:', JSON.stringify(args, redactSecrets, 2));
     
     const { type, id, extra, config: directConfig } = args;
     
@@ -31,32 +51,47 @@ async function handleSubtitlesRequest(args) {
         console.log('Found config in args.config');
     }
     
-    console.log('Parsed request:', {
-        type,
-        id,
-        config: config,
-        hasGithubRepo: !!config.github_repo,
-        githubPath: config.github_path || '(root)',
-        extraKeys: extra ? Object.keys(extra) : 'no extra',
-        allArgsKeys: Object.keys(args)
-    });
-    
-    if (!config.github_repo) {
-        console.log('No GitHub repository configured - returning empty subtitles');
-        return { subtitles: [] };
-    }
-    
     try {
+        // Accept GitHub URLs, git@ URLs and owner/repo@ref:path shorthand
+        config = normalizeConfig(config);
+        const configuredSources = getSources(config);
+        
+        console.log('Parsed request:', {
+            type,
+            id,
+            config: JSON.parse(JSON.stringify(config, redactSecrets)),
+            hasGithubRepo: !!config.github_repo,
+            hasGithubToken: !!resolveToken(config),
+            sources: configuredSources.map(formatSource),
+            extraKeys: extra ? Object.keys(extra) : 'no extra',
+            allArgsKeys: Object.keys(args)
+        });
+        
+        const validation = validateSubtitlesRequest({ type, id, config });
+        validation.warnings.forEach(warning => console.log(`Warning: ${warning}`));
+        
+        if (!validation.valid) {
+            console.error(`Rejecting subtitles request: ${validation.errors.join('; ')}`);
+            return { subtitles: [] };
+        }
+        // Invalid additional sources are skipped, like sources that fail to load.
+        // Files keep their source, so raw downloads use the token the listing was made with
+        const token = resolveToken(config);
+        const sources = validation.sources.map(source => ({ ...source, token }));
+        // The subtitle proxy serves files of configured repositories only
+        registerSources(sources);
+        
         // Initialize fuzzy matcher
         const fuzzyMatcher = new FuzzyMatcher();
         
-        // Fetch all subtitle files from the GitHub repository
-        const subtitlePath = config.github_path || '';
-        console.log(`Fetching subtitle files from repo: ${config.github_repo}, path: "${subtitlePath}"`);
+        // Fetch all subtitle files from the configured GitHub repositories
+        // and list the subtitles inside .zip/.7z archives as files of their own
+        const sourceFiles = await fetchSourceFiles(sources);
+        const hashIndexes = sourceFiles.filter(file => file.hashIndex);
+        const manifests = sourceFiles.filter(file => file.manifest);
+        const files = await expandArchives(sourceFiles.filter(file => !file.hashIndex && !file.manifest));
         
-        const files = await fetchGitHubFiles(config.github_repo, subtitlePath);
-        
-        console.log(`Found ${files.length} subtitle files in repository`);
+        console.log(`Found ${files.length} subtitle files across ${sources.length} source(s)`);
         
         if (files.length === 0) {
             console.log('No subtitle files found in repository');
@@ -66,53 +101,117 @@ async function handleSubtitlesRequest(args) {
         console.log('=== STARTING FUZZY MATCHING ===');
         
         let targetTitle = null;
+        let targetTitles = null;
         let targetYear = null;
+        let seasons = null;
+        let episodes = null;
         
-        // Try to get movie information for enhanced title-based matching
-        if (type === 'movie') {
-            try {
-                const movieInfo = await getMovieInfo(id);
-                if (movieInfo) {
-                    targetTitle = movieInfo.title;
-                    targetYear = movieInfo.year;
-                    console.log(`Found movie info for ${id}: "${targetTitle}" (${targetYear})`);
-                } else {
-                    console.log(`No movie metadata available for ${id} - relying on IMDB ID and filename analysis`);
-                }
-            } catch (error) {
-                console.error(`Error fetching movie info for ${id}:`, error.message);
-                console.log(`Falling back to IMDB ID and filename analysis`);
+        // Try to get movie or show information for enhanced title-based matching
+        const imdbId = type === 'series' ? parseSeriesId(id).imdbId : id;
+        try {
+            const movieInfo = await getMovieInfo(imdbId, { type, config });
+            if (movieInfo) {
+                targetTitle = movieInfo.title;
+                // Files are also matched against the original and alternate (localized) titles
+                targetTitles = [movieInfo.title, movieInfo.originalTitle, ...(movieInfo.alternateTitles || [])];
+                targetYear = movieInfo.year;
+                // Episode counts per season map episodes to absolute (anime style) numbers
+                seasons = movieInfo.seasons || null;
+                // Air dates match daily shows named by date
+                episodes = movieInfo.episodes || null;
+                console.log(`Found ${type} info for ${imdbId}: "${targetTitle}" (${targetYear})`);
+            } else {
+                console.log(`No ${type} metadata available for ${imdbId} - relying on IMDB ID and filename analysis`);
             }
+        } catch (error) {
+            console.error(`Error fetching ${type} info for ${imdbId}:`, error.message);
+            console.log(`Falling back to IMDB ID and filename analysis`);
+        }
+        
+        // Stremio passes the filename of the playing stream; subtitles for the same release rank first
+        const release = extra && extra.filename ? parseReleaseInfo(extra.filename) : null;
+        if (release) {
+            console.log(`Playing stream: ${extra.filename} (${extra.videoSize || 'unknown'} bytes, hash ${extra.videoHash || 'unknown'})`);
         }
         
-        // Find best matches using fuzzy matching
-        const matches = fuzzyMatcher.findBestMatches(files, type, id, targetTitle, targetYear, 0.3);
+        // Files a repository hash index lists for the playing video are exact matches
+        const hashMatched = await findHashMatchedFiles(files, hashIndexes, extra);
+        
+        // Files a repository manifest lists are authoritative: matched for their
+        // title and never fuzzy matched to another one
+        const manifested = await findManifestFiles(files, manifests, id);
+        
+        // Find best matches for the other files using fuzzy matching
+        const matches = [
+            ...[...hashMatched].map(file => ({ file, match: { score: 1.0, method: 'hash_match' } })),
+            ...[...manifested.matched.keys()]
+                .filter(file => !hashMatched.has(file))
+                .map(file => ({ file, match: { score: 1.0, method: 'manifest' } })),
+            ...fuzzyMatcher.findBestMatches(
+                files.filter(file => !hashMatched.has(file) && !manifested.listed.has(file)),
+                type, id, targetTitles, targetYear, 0.3, { release, seasons, episodes }
+            )
+        ];
         
         console.log(`\nFuzzy matching results: Found ${matches.length} matches`);
         
+        // Read the first bytes of ambiguous .sub files to tell VobSub, MicroDVD and SubViewer apart
+        const headers = await sniffSubFiles(matches.map(({ file }) => file));
+        
+        const parsedMatches = matches.map(({ file, match }) => {
+            const metadata = parseSubtitleFilename(file.name, {
+                hasIdxCompanion: file.hasIdxCompanion,
+                size: file.size,
+                header: headers.get(file)
+            });
+            // Language, forced/SDH flags and label stated in the manifest win over the filename
+            const entry = manifested.matched.get(file);
+            return { file, match, metadata: entry ? applyManifestEntry(metadata, entry) : metadata };
+        });
+        
+        // Read the text of files whose name doesn't tell the language reliably
+        await detectContentLanguages(parsedMatches);
+        
         const subtitles = [];
         
-        for (let i = 0; i < matches.length; i++) {
-            const { file, match } = matches[i];
+        for (let i = 0; i < parsedMatches.length; i++) {
+            const { file, match, metadata } = parsedMatches[i];
             
-            console.log(`\n[${i + 1}/${matches.length}] Match found:`, {
+            console.log(`\n[${i + 1}/${parsedMatches.length}] Match found:`, {
                 filename: file.name,
                 score: match.score.toFixed(3),
                 method: match.method,
                 details: match.details || 'none'
             });
             
-            const metadata = parseSubtitleFilename(file.name);
+            if (metadata.isImageBased && !config.include_vobsub) {
+                console.log(`  ✗ SKIPPED: ${file.name} is a VobSub image subtitle (enable include_vobsub to list it)`);
+                continue;
+            }
+            
+            const url = buildFileUrl(file);
+            if (!url) {
+                console.log(`  ✗ SKIPPED: ${file.name} can only be served through the addon, whose public URL is unknown (set PUBLIC_URL)`);
+                continue;
+            }
             
             const subtitle = {
-                id: `github:${config.github_repo}:${file.path}`,
-                url: file.download_url,
-                lang: metadata.language,
+                id: buildSubtitleId(file),
+                // Served through the addon so the file is transcoded to UTF-8
+                url,
+                // Stremio groups subtitles by ISO 639-2 code
+                lang: toStremioCode(metadata.language),
+                // Tells forced, SDH and release group apart in the player's menu
+                label: buildSubtitleLabel(metadata),
                 filename: file.name,
                 // Add metadata for debugging (can be removed in production)
                 _score: match.score,
                 _matchMethod: match.method,
-                _metadata: metadata
+                _metadata: metadata,
+                _priority: file.source.priority,
+                _language: metadata.language,
+                _trackId: buildSubtitleId(file),
+                _exactMatch: match.method === 'hash_match' || match.method === 'manifest'
             };
             
             subtitles.push(subtitle);
@@ -122,18 +221,37 @@ async function handleSubtitlesRequest(args) {
                 score: subtitle._score,
                 method: subtitle._matchMethod
             });
+            
+            // A .sub whose header matched neither MicroDVD nor SubViewer would fail to convert
+            const convertedUrl = needsConversion(metadata.format) && !metadata.isImageBased && metadata.kind !== 'unknown'
+                ? buildFileUrl(file, { format: CONVERTED_FORMAT })
+                : null;
+            if (convertedUrl) {
+                subtitles.push({
+                    ...subtitle,
+                    id: `${subtitle.id}?format=${CONVERTED_FORMAT}`,
+                    url: convertedUrl,
+                    label: buildSubtitleLabel(metadata, { format: CONVERTED_FORMAT }),
+                    filename: file.name.replace(/\.[^.]+$/, `.${CONVERTED_FORMAT}`)
+                });
+                console.log(`  ✓ ADDED ${CONVERTED_FORMAT.toUpperCase()} VARIANT of ${metadata.format} file`);
+            }
         }
         
-        // Sort by match score (highest first)
-        subtitles.sort((a, b) => b._score - a._score);
+        // Preferred languages and track kinds first, then by match score (highest first) and source priority
+        const preferences = resolvePreferences(config);
+        const ordered = applyPreferences(subtitles, preferences);
+        if (ordered.length < subtitles.length) {
+            console.log(`Preferences dropped ${subtitles.length - ordered.length} subtitles (${preferences.onlyPreferred ? 'only ' : ''}${preferences.languages.join(', ') || 'any language'}, max ${preferences.maxPerLanguage || 'unlimited'} per language, forced: ${preferences.forced}, SDH: ${preferences.sdh})`);
+        }
         
         console.log('\n=== FINAL RESULTS ===');
-        console.log(`Returning ${subtitles.length} matching subtitles out of ${files.length} total files`);
+        console.log(`Returning ${ordered.length} matching subtitles out of ${files.length} total files`);
         
-        if (subtitles.length > 0) {
+        if (ordered.length > 0) {
             console.log('Top matches:');
-            subtitles.slice(0, 5).forEach((sub, idx) => {
-                console.log(`  ${idx + 1}. ${sub.filename} (score: ${sub._score.toFixed(3)}, method: ${sub._matchMethod}, lang: ${sub.lang})`);
+            ordered.slice(0, 5).forEach((sub, idx) => {
+                console.log(`  ${idx + 1}. ${sub.filename} (score: ${sub._score.toFixed(3)}, method: ${sub._matchMethod}, label: ${sub.label})`);
             });
         } else {
             console.log('NO SUBTITLES MATCHED!');
@@ -153,21 +271,255 @@ async function handleSubtitlesRequest(args) {
         console.log('=== SUBTITLES REQUEST END ===\n');
         
         // Return subtitles without internal scoring fields (clean for production)
-        const cleanSubtitles = subtitles.map(({ _score, _matchMethod, _metadata, ...subtitle }) => subtitle);
+        const cleanSubtitles = ordered.map(({ _score, _matchMethod, _metadata, _priority, _language, _trackId, _exactMatch, ...subtitle }) => subtitle);
         
         return { subtitles: cleanSubtitles };
         
     } catch (error) {
+        if (error instanceof GitHubRateLimitError) {
+            // Stremio only shows a generic error for rejected requests, so the
+            // reset time is logged and the request answered without subtitles
+            console.error(`Subtitles request failed: ${error.message}`);
+            return { subtitles: [] };
+        }
+        
         console.error('Error in subtitles handler:', error);
         console.error('Error stack:', error.stack);
         return { subtitles: [] };
     }
 }
 
+/**
+ * Fetch subtitle files from all sources in parallel
+ * Failing sources are skipped; files whose blob sha was already seen in a
+ * higher priority source are dropped as duplicates.
+ * @param {Array<Object>} sources - Sources in priority order, with the GitHub token to use
+ * @returns {Promise<Array>} Subtitle files, each tagged with its source
+ * @throws {GitHubRateLimitError} When every source failed and at least one was rate limited
+ */
+async function fetchSourceFiles(sources) {
+    const results = await Promise.allSettled(sources.map(source => {
+        console.log(`Fetching subtitle files from source: ${formatSource(source)}`);
+        return fetchGitHubFiles(source.repo, source.path, { token: source.token, ref: source.ref });
+    }));
+    
+    const files = [];
+    const seenShas = new Set();
+    let succeeded = 0;
+    let rateLimitError = null;
+    
+    results.forEach((result, index) => {
+        const source = sources[index];
+        
+        if (result.status === 'rejected') {
+            console.error(`Source ${formatSource(source)} failed:`, result.reason.message);
+            if (result.reason instanceof GitHubRateLimitError) {
+                rateLimitError = rateLimitError || result.reason;
+            }
+            return;
+        }
+        
+        succeeded++;
+        console.log(`Source ${formatSource(source)} returned ${result.value.length} subtitle files`);
+        
+        for (const file of result.value) {
+            // Hash index and manifest paths are relative to their own repository, so identical ones are all kept
+            if (file.sha && !file.hashIndex && !file.manifest && seenShas.has(file.sha)) {
+                console.log(`  Skipping duplicate ${file.path} from ${source.repo} (sha ${file.sha})`);
+                continue;
+            }
+            if (file.sha) {
+                seenShas.add(file.sha);
+            }
+            files.push({ ...file, source });
+        }
+    });
+    
+    if (succeeded === 0 && rateLimitError) {
+        throw rateLimitError;
+    }
+    
+    return files;
+}
+
+/**
+ * Find the files listed for the playing video in the sources' hash indexes
+ * @param {Array<Object>} files - Subtitle files tagged with their source
+ * @param {Array<Object>} indexFiles - Hash index files tagged with their source
+ * @param {Object} extra - Request extras with videoHash and videoSize
+ * @returns {Promise<Set>} Matched files
+ */
+async function findHashMatchedFiles(files, indexFiles, extra) {
+    const matched = new Set();
+    if (!extra || !extra.videoHash || indexFiles.length === 0) {
+        return matched;
+    }
+    
+    const indexes = await Promise.all(indexFiles.map(loadHashIndex));
+    indexFiles.forEach((indexFile, i) => {
+        const paths = findHashMatches(indexes[i], extra.videoHash, extra.videoSize);
+        for (const file of files) {
+            if (file.source === indexFile.source && paths.has(file.path)) {
+                matched.add(file);
+            }
+        }
+    });
+    
+    console.log(`Hash index matches for video ${extra.videoHash}: ${matched.size}`);
+    return matched;
+}
+
+/**
+ * Find the files the sources' manifests list
+ * @param {Array<Object>} files - Subtitle files tagged with their source
+ * @param {Array<Object>} manifestFiles - Manifest files tagged with their source
+ * @param {string} id - Requested id
+ * @returns {Promise<Object>} { matched: Map of file to manifest entry for the requested id, listed: Set of all listed files }
+ */
+async function findManifestFiles(files, manifestFiles, id) {
+    const matched = new Map();
+    const listed = new Set();
+    if (manifestFiles.length === 0) {
+        return { matched, listed };
+    }
+    
+    const manifests = await Promise.all(manifestFiles.map(loadManifest));
+    manifestFiles.forEach((manifestFile, i) => {
+        const manifest = manifests[i];
+        if (!manifest) {
+            return;
+        }
+        
+        const sourceFiles = new Map(files.filter(file => file.source === manifestFile.source).map(file => [file.path, file]));
+        for (const listedPath of manifest.paths) {
+            if (sourceFiles.has(listedPath)) {
+                listed.add(sourceFiles.get(listedPath));
+            }
+        }
+        for (const entry of findManifestEntries(manifest, id)) {
+            const file = sourceFiles.get(entry.path);
+            if (file) {
+                matched.set(file, entry);
+            } else {
+                console.error(`Manifest ${manifestFile.source.repo}:${manifestFile.path} lists ${entry.path} for ${id}, but the file isn't in the repository (or isn't a subtitle file)`);
+            }
+        }
+    });
+    
+    console.log(`Manifest matches for ${id}: ${matched.size} (${listed.size} files listed in manifests)`);
+    return { matched, listed };
+}
+
+/**
+ * Fetch the first bytes of .sub files that have no .idx companion
+ * @param {Array<Object>} files - Matched subtitle files tagged with their source
+ * @returns {Promise<Map>} Map of file to header buffer (files that couldn't be read are omitted)
+ */
+async function sniffSubFiles(files) {
+    const headers = new Map();
+    // Archive entries can't be range requested; they are classified by size and companions only
+    const ambiguous = files.filter(file => /\.sub$/i.test(file.name) && !file.hasIdxCompanion && !file.archive);
+    
+    await Promise.all(ambiguous.map(async file => {
+        const header = await sniffSubtitle(file.source.repo, file.source.ref, file.path, file.sha, { token: file.source.token });
+        if (header) {
+            headers.set(file, header);
+        }
+    }));
+    
+    return headers;
+}
+
+/**
+ * Detect the language of matched files from their content
+ * Only files with a weak or missing filename signal are sampled; a confident
+ * detection replaces the language guessed from the filename.
+ * @param {Array<Object>} parsedMatches - Matches with file and parsed filename metadata
+ * @returns {Promise<void>}
+ */
+async function detectContentLanguages(parsedMatches) {
+    const uncertain = parsedMatches
+        .filter(({ metadata }) => metadata.languageStrength !== 'strong' && !metadata.isImageBased)
+        .slice(0, MAX_CONTENT_DETECTIONS);
+    
+    await Promise.all(uncertain.map(async ({ file, metadata }) => {
+        const detected = await detectFileLanguage(file);
+        if (!detected) {
+            return;
+        }
+        
+        const language = findLanguage(detected.code);
+        if (!language) {
+            return;
+        }
+        
+        const canOverride = metadata.language === 'und' || detected.confidence >= CONTENT_OVERRIDE_CONFIDENCE;
+        // Content can't tell region variants apart, so "pob" in the filename is kept for Portuguese text
+        if (canOverride && !isSameLanguage(language.code, metadata.language)) {
+            console.log(`  Language of ${file.name}: ${metadata.language} (filename) -> ${language.code} (content)`);
+            metadata.language = language.code;
+        }
+        if (canOverride) {
+            metadata.languageSource = 'content';
+        }
+    }));
+}
+
+/**
+ * Build the proxy URL for a file, which may live inside an archive
+ * Without a known public URL (no PUBLIC_URL and no HTTP request to take the
+ * address from) plain files link to GitHub directly, untranscoded.
+ * @param {Object} file - Subtitle file tagged with its source
+ * @param {Object} options - URL options (format)
+ * @returns {string|null} Absolute URL, or null when the file needs the proxy and it can't be reached
+ */
+function buildFileUrl(file, options = {}) {
+    const url = file.archive
+        ? buildArchiveEntryUrl(file.source, file.archive.path, file.archive.entry, options)
+        : buildSubtitleUrl(file.source, file.path, options);
+    if (url || file.archive || options.format) {
+        return url;
+    }
+    return file.download_url || buildRawUrl(file.source.repo, file.source.ref || 'HEAD', file.path);
+}
+
+/**
+ * Build the subtitle id for a file
+ * Pinned sources carry their ref so the id identifies the exact revision.
+ * @param {Object} file - Subtitle file tagged with its source
+ * @returns {string} Subtitle id in format github:owner/repo[@ref]:path
+ */
+function buildSubtitleId(file) {
+    const { repo, ref } = file.source;
+    return `github:${repo}${ref ? `@${ref}` : ''}:${file.path}`;
+}
+
+/**
+ * Format a source for logging
+ * @param {Object} source - Source with repo, path and ref
+ * @returns {string} Human readable source
+ */
+function formatSource(source) {
+    return `${source.repo}${source.ref ? `@${source.ref}` : ''}:${source.path || '(root)'}`;
+}
+
+/**
+ * JSON.stringify replacer that keeps tokens out of the logs
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Value to serialize
+ */
+function redactSecrets(key, value) {
+    return SECRET_KEYS.includes(key) && value ? '[redacted]' : value;
+}
+
 /**
  * Validate subtitles request arguments
+ * Invalid additional sources only produce warnings; the request is rejected
+ * when the main repository is invalid or no valid source is left.
  * @param {Object} args - Request arguments
- * @returns {Object} Validation result
+ * @returns {Object} Validation result { valid, errors, warnings, sources }, sources
+ *   holding the valid sources in priority order
  */
 function validateSubtitlesRequest(args) {
     const errors = [];
@@ -175,7 +527,7 @@ function validateSubtitlesRequest(args) {
     
     if (!args) {
         errors.push('Missing request arguments');
-        return { valid: false, errors, warnings };
+        return { valid: false, errors, warnings, sources: [] };
     }
     
     if (!args.type) {
@@ -193,21 +545,47 @@ function validateSubtitlesRequest(args) {
     }
     
     // Check for configuration
+    const validSources = [];
     const config = args.config || (args.extra && args.extra.config) || args.directConfig;
     if (!config) {
         warnings.push('No configuration found in request');
     } else {
-        if (!config.github_repo) {
+        const preferences = resolvePreferences(config);
+        preferences.unknown.forEach(value => warnings.push(`Unknown preferred language "${value}" is ignored`));
+        if (parseBoolean(config.only_preferred_languages) && preferences.languages.length === 0) {
+            warnings.push('Only preferred languages is enabled without preferred languages - showing all languages');
+        }
+
+        const sources = getSources(config);
+        for (const source of sources) {
+            let problem = null;
+            if (source.error) {
+                problem = `Invalid GitHub repository "${source.input}": ${source.error}`;
+            } else if (source.ref && !validateRef(source.ref)) {
+                problem = `Invalid Git ref for ${source.repo}: ${source.ref}`;
+            }
+            
+            if (!problem) {
+                validSources.push(source);
+            } else if (source.primary) {
+                errors.push(problem);
+            } else {
+                warnings.push(`${problem} - skipping this source`);
+            }
+        }
+        
+        if (sources.length === 0) {
             errors.push('Missing GitHub repository configuration');
-        } else if (!config.github_repo.includes('/')) {
-            errors.push('Invalid GitHub repository format. Use owner/repo');
+        } else if (validSources.length === 0 && errors.length === 0) {
+            errors.push('No valid GitHub repository configured');
         }
     }
     
     return {
         valid: errors.length === 0,
         errors,
-        warnings
+        warnings,
+        sources: validSources
     };
 }
 
@@ -0,0 +1,21 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { handleSubtitlesRequest } = require('./subtitles-handler');
+
+describe('handleSubtitlesRequest', () => {
+    it('answers invalid repository settings without subtitles', async () => {
+        mock.method(console, 'log', () => {});
+        const errors = mock.method(console, 'error', () => {});
+
+        for (const config of [{ github_repo: 5 }, { github_repo: 'owner/repo', github_ref: 3 }, { github_sources: '[{"repo": 5}]' }]) {
+            assert.deepEqual(await handleSubtitlesRequest({ type: 'movie', id: 'tt0133093', config }), { subtitles: [] });
+        }
+
+        assert.deepEqual(errors.mock.calls.map(call => call.arguments[0]), [
+            'Rejecting subtitles request: Invalid GitHub repository "5": Repository must be a string',
+            'Rejecting subtitles request: Invalid GitHub repository "owner/repo": Git ref must be a string',
+            'Rejecting subtitles request: No valid GitHub repository configured'
+        ]);
+    });
+});
@@ -0,0 +1,285 @@
+/**
+ * Subtitle proxy route
+ *
+ * Serves repository subtitle files through the addon so they can be
+ * transcoded to UTF-8 before Stremio sees them. Only subtitle files and
+ * archive entries listed for a source configured by a recent subtitles request
+ * are served, downloaded with the token that source was listed with.
+ * Routes:
+ *   GET /subtitle/:owner/:repo/:ref/<path>[?format=srt|vtt][&fps=25][&key=<token fingerprint>]
+ *   GET /archive/:owner/:repo/:ref/<archive path>?entry=<entry path>[&format=srt|vtt][&fps=25][&key=<token fingerprint>]
+ */
+
+const express = require('express');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { downloadSubtitle, SubtitleDownloadError } = require('../services/subtitle-download');
+const { extractArchiveEntry, listArchiveEntries } = require('../services/archive-service');
+const { getTokenFingerprint } = require('../services/github-client');
+const { isSubtitleFile, isArchiveFile } = require('../services/github-service');
+const { isRegisteredRepo, getRegisteredSources } = require('../services/source-registry');
+const repoIndexCache = require('../services/repo-index-cache');
+const { decodeSubtitle } = require('../utils/charset');
+const { convertSubtitle, getOutputFormats, ConversionError } = require('../converters');
+
+const CONTENT_TYPES = {
+    srt: 'application/x-subrip',
+    vtt: 'text/vtt',
+    ass: 'text/x-ssa',
+    ssa: 'text/x-ssa',
+    sub: 'text/plain'
+};
+
+// Files behind a commit SHA never change; branches and tags may move
+const IMMUTABLE_MAX_AGE = 365 * 24 * 60 * 60;
+const DEFAULT_MAX_AGE = 60 * 60;
+
+// Base URL of the HTTP request being handled, see trackRequestUrl
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Get the base URL a request reached the server on
+ * Reverse proxies report the original address in X-Forwarded-Proto/-Host.
+ * @param {Object} req - Express request
+ * @returns {string|null} Base URL, or null when the Host header is missing or malformed
+ */
+function getRequestBaseUrl(req) {
+    const firstValue = header => (req.get(header) || '').split(',')[0].trim();
+    const host = firstValue('x-forwarded-host') || firstValue('host');
+    const proto = (firstValue('x-forwarded-proto') || req.protocol || 'http').toLowerCase();
+
+    if (!/^[a-z0-9.-]+(:\d+)?$|^\[[0-9a-f:.]+\](:\d+)?$/i.test(host) || !['http', 'https'].includes(proto)) {
+        return null;
+    }
+    return `${proto}://${host}`;
+}
+
+/**
+ * Express middleware remembering the base URL of each request
+ * Subtitle links built while handling the request point back at the address
+ * the client used, so they work from other devices without PUBLIC_URL.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function trackRequestUrl(req, res, next) {
+    requestContext.run({ baseUrl: getRequestBaseUrl(req) }, next);
+}
+
+/**
+ * Get the public base URL of the addon server
+ * PUBLIC_URL wins; otherwise the address of the request being handled is used.
+ * @returns {string|null} Base URL without trailing slash, or null when unknown
+ */
+function getPublicUrl() {
+    const context = requestContext.getStore();
+    const base = process.env.PUBLIC_URL || (context && context.baseUrl);
+    return base ? base.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Build the query string of a proxy URL
+ * The token the source is read with is referenced by its fingerprint, so the
+ * proxy can download files of private repositories.
+ * @param {Object} source - Source with optional token
+ * @param {Array<Array<string>>} params - Name and value pairs, empty values are left out
+ * @returns {string} Query string including '?', or '' when empty
+ */
+function buildQuery(source, params) {
+    const query = [...params, ['key', getTokenFingerprint(source.token)]]
+        .filter(([, value]) => value)
+        .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+        .join('&');
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Build the proxy URL for a subtitle file
+ * @param {Object} source - Source with repo, ref and optional token
+ * @param {string} filePath - Path of the file in the repository
+ * @param {Object} options - URL options
+ * @param {string} [options.format] - Convert the file to this format (srt or vtt)
+ * @returns {string|null} Absolute proxy URL, or null when the public URL is unknown
+ */
+function buildSubtitleUrl(source, filePath, options = {}) {
+    const baseUrl = getPublicUrl();
+    if (!baseUrl) {
+        return null;
+    }
+    const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+    const query = buildQuery(source, [['format', options.format]]);
+    return `${baseUrl}/subtitle/${source.repo}/${encodeURIComponent(source.ref || 'HEAD')}/${encodedPath}${query}`;
+}
+
+/**
+ * Build the proxy URL for a subtitle file stored inside an archive
+ * @param {Object} source - Source with repo, ref and optional token
+ * @param {string} archivePath - Path of the archive in the repository
+ * @param {string} entryPath - Path of the subtitle inside the archive
+ * @param {Object} options - URL options
+ * @param {string} [options.format] - Convert the file to this format (srt or vtt)
+ * @returns {string|null} Absolute proxy URL, or null when the public URL is unknown
+ */
+function buildArchiveEntryUrl(source, archivePath, entryPath, options = {}) {
+    const baseUrl = getPublicUrl();
+    if (!baseUrl) {
+        return null;
+    }
+    const encodedPath = archivePath.split('/').map(encodeURIComponent).join('/');
+    const query = buildQuery(source, [['entry', entryPath], ['format', options.format]]);
+    return `${baseUrl}/archive/${source.repo}/${encodeURIComponent(source.ref || 'HEAD')}/${encodedPath}${query}`;
+}
+
+/**
+ * Get the Content-Type for a subtitle format
+ * @param {string} format - Subtitle file extension
+ * @returns {string} Content-Type header value
+ */
+function getContentType(format) {
+    return `${CONTENT_TYPES[format] || 'text/plain'}; charset=utf-8`;
+}
+
+/**
+ * Get the Cache-Control header for a ref
+ * @param {string} ref - Branch, tag or commit
+ * @returns {string} Cache-Control header value
+ */
+function getCacheControl(ref) {
+    return /^[0-9a-f]{40}$/i.test(ref)
+        ? `public, max-age=${IMMUTABLE_MAX_AGE}, immutable`
+        : `public, max-age=${DEFAULT_MAX_AGE}`;
+}
+
+/**
+ * Decode, optionally convert and send a subtitle file
+ * @param {Object} req - Express request (format and fps query parameters)
+ * @param {Object} res - Express response
+ * @param {Object} file - File to send
+ * @param {string} file.ref - Branch, tag or commit the file was read from
+ * @param {string} file.name - File name (used for its format)
+ * @param {string} file.label - Description used in error logs
+ * @param {Function} file.load - Returns a promise for the raw file contents
+ */
+async function sendSubtitle(req, res, file) {
+    const sourceFormat = path.extname(file.name).toLowerCase().substring(1);
+    const targetFormat = (req.query.format || sourceFormat).toLowerCase();
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    try {
+        if (targetFormat !== sourceFormat && !getOutputFormats().includes(targetFormat)) {
+            throw new ConversionError(`Unsupported format: ${targetFormat}. Use ${getOutputFormats().join(' or ')}`, 400);
+        }
+
+        const raw = await file.load();
+        let { text, encoding } = decodeSubtitle(raw);
+
+        if (targetFormat !== sourceFormat) {
+            const fps = parseFloat(req.query.fps);
+            text = convertSubtitle(text, sourceFormat, targetFormat, { fps: fps > 0 ? fps : undefined });
+        }
+
+        res.setHeader('Content-Type', getContentType(targetFormat));
+        res.setHeader('Cache-Control', getCacheControl(file.ref));
+        res.setHeader('X-Source-Encoding', encoding);
+        // res.send adds an ETag and answers conditional requests with 304
+        res.send(Buffer.from(text, 'utf8'));
+    } catch (error) {
+        console.error(`Error proxying subtitle ${file.label}:`, error.message);
+        res.status(error.status || 500).type('text/plain').send(error.message);
+    }
+}
+
+/**
+ * Find a file in the cached listings of the registered sources of a repository
+ * Only sources registered with the token the link refers to (key query
+ * parameter) are searched; links without a key only reach anonymous sources.
+ * @param {Object} req - Express request (owner, repo and ref parameters, key query parameter)
+ * @param {string} filePath - Path of the file in the repository
+ * @param {Function} isServable - Tells whether a listed file name may be served
+ * @returns {Promise<Object>} { file, source } with the listed file and the source (with token) it belongs to
+ * @throws {SubtitleDownloadError} When no registered source lists the file
+ */
+async function findListedFile(req, filePath, isServable) {
+    const { owner, repo, ref } = req.params;
+    const fingerprint = typeof req.query.key === 'string' && req.query.key ? req.query.key : null;
+
+    for (const source of getRegisteredSources(`${owner}/${repo}`, ref, fingerprint)) {
+        const listing = await repoIndexCache.getEntry(repoIndexCache.buildKey(source.repo, source.ref, source.path, source.token));
+        const file = listing && listing.files.find(listed => listed.path === filePath && !listed.hashIndex && !listed.manifest);
+        if (file && isServable(file.name)) {
+            return { file, source };
+        }
+    }
+
+    throw new SubtitleDownloadError(`${filePath} is not a subtitle file listed for ${owner}/${repo}@${ref}`, 404);
+}
+
+/**
+ * Create the router serving proxied subtitles
+ * @returns {Object} Express router
+ */
+function createSubtitleRouter() {
+    const router = express.Router();
+
+    // Refuse repositories nobody configured before downloading anything
+    router.use(['/subtitle/:owner/:repo', '/archive/:owner/:repo'], (req, res, next) => {
+        const repo = `${req.params.owner}/${req.params.repo}`;
+        if (isRegisteredRepo(repo)) {
+            return next();
+        }
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.status(403).type('text/plain').send(`Repository ${repo} is not configured in this addon`);
+    });
+
+    router.get('/subtitle/:owner/:repo/:ref/*', (req, res) => {
+        const { owner, repo, ref } = req.params;
+        const filePath = req.params[0];
+
+        return sendSubtitle(req, res, {
+            ref,
+            name: filePath,
+            label: `${owner}/${repo}@${ref}:${filePath}`,
+            load: async () => {
+                const { source } = await findListedFile(req, filePath, isSubtitleFile);
+                return downloadSubtitle(source.repo, ref, filePath, { token: source.token });
+            }
+        });
+    });
+
+    router.get('/archive/:owner/:repo/:ref/*', (req, res) => {
+        const { owner, repo, ref } = req.params;
+        const archivePath = req.params[0];
+        const entryPath = typeof req.query.entry === 'string' ? req.query.entry : '';
+
+        if (!entryPath) {
+            res.setHeader('Access-Control-Allow-Origin', '*');
+            res.status(400).type('text/plain').send('Missing entry parameter');
+            return;
+        }
+
+        return sendSubtitle(req, res, {
+            ref,
+            name: entryPath,
+            label: `${owner}/${repo}@${ref}:${archivePath}!${entryPath}`,
+            load: async () => {
+                const { file, source } = await findListedFile(req, archivePath, isArchiveFile);
+                const entries = await listArchiveEntries({ ...file, source });
+                if (!entries.some(entry => entry.path === entryPath)) {
+                    throw new SubtitleDownloadError(`${entryPath} is not a subtitle file in ${archivePath}`, 404);
+                }
+                return extractArchiveEntry(source.repo, ref, archivePath, entryPath, { token: source.token });
+            }
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createSubtitleRouter,
+    buildSubtitleUrl,
+    buildArchiveEntryUrl,
+    getPublicUrl,
+    trackRequestUrl
+};
@@ -0,0 +1,368 @@
+/**
+ * Subtitle archive service
+ *
+ * Community repositories often store season packs as .zip or .7z archives.
+ * Archives are expanded into virtual subtitle files, one per subtitle entry,
+ * so they go through fuzzy matching like any other file. Entry listings are
+ * cached by the archive's blob sha, which changes whenever its content does.
+ * 7-Zip runs synchronously, so archives are read a few at a time and the
+ * event loop gets a turn before each run.
+ */
+
+const path = require('path');
+const SevenZip = require('7z-wasm');
+const { isSubtitleFile, isArchiveFile, markVobSubPairs } = require('./github-service');
+const { downloadSubtitle } = require('./subtitle-download');
+const { getTokenFingerprint } = require('./github-client');
+const repoIndexCache = require('./repo-index-cache');
+
+const MAX_ARCHIVE_BYTES = 50 * 1024 * 1024;
+// Archives not yet in the cache that are downloaded during a single request
+const MAX_ARCHIVE_DOWNLOADS = 10;
+// Archives downloaded and listed at the same time
+const ARCHIVE_CONCURRENCY = 3;
+// Total size of the recently downloaded archives kept in memory for extraction
+const ARCHIVE_BUFFER_CACHE_BYTES = 100 * 1024 * 1024;
+// Branches move, so buffers are only reused for a short while
+const ARCHIVE_BUFFER_TTL_MS = 10 * 60 * 1000;
+
+// { buffer, fetchedAt } keyed by archive; iteration order is LRU order
+const archiveBuffers = new Map();
+let archiveBufferBytes = 0;
+// Downloads in progress, shared by requests for the same archive
+const pendingDownloads = new Map();
+let sevenZipPromise = null;
+let workCounter = 0;
+// stdout lines of the running 7-Zip command
+let capturedOutput = null;
+
+/**
+ * Error raised when an archive can't be read
+ */
+class ArchiveError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status to report to the client
+     */
+    constructor(message, status = 422) {
+        super(message);
+        this.name = 'ArchiveError';
+        this.status = status;
+    }
+}
+
+/**
+ * Get the shared 7-Zip instance
+ * @returns {Promise<Object>} 7-Zip WASM module
+ */
+function getSevenZip() {
+    if (!sevenZipPromise) {
+        sevenZipPromise = SevenZip({
+            print: line => capturedOutput && capturedOutput.push(line),
+            printErr: () => {}
+        });
+    }
+    return sevenZipPromise;
+}
+
+/**
+ * Run a 7-Zip command, capturing its output
+ * callMain reports its exit code through process.exitCode, which is restored afterwards.
+ * @param {Object} sevenZip - 7-Zip WASM module
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} { code, output } with the exit code and stdout lines
+ */
+function runSevenZip(sevenZip, args) {
+    const output = [];
+    const previousExitCode = process.exitCode;
+    capturedOutput = output;
+
+    let code;
+    try {
+        code = sevenZip.callMain(args);
+    } finally {
+        process.exitCode = previousExitCode;
+        capturedOutput = null;
+    }
+
+    return { code, output };
+}
+
+/**
+ * Run a callback with the archive written to the 7-Zip virtual file system
+ * @param {Buffer} buffer - Archive contents
+ * @param {string} archiveName - Archive file name (used for its extension)
+ * @param {Function} callback - Receives (sevenZip, archiveFile, workDir)
+ * @returns {Promise<*>} Callback result
+ */
+async function withArchive(buffer, archiveName, callback) {
+    const sevenZip = await getSevenZip();
+    // Let pending requests through before blocking the event loop
+    await new Promise(resolve => setImmediate(resolve));
+    const workDir = `/work-${++workCounter}`;
+    const archiveFile = `${workDir}/archive${path.extname(archiveName).toLowerCase()}`;
+
+    sevenZip.FS.mkdir(workDir);
+    try {
+        sevenZip.FS.writeFile(archiveFile, buffer);
+        return callback(sevenZip, archiveFile, workDir);
+    } finally {
+        removeTree(sevenZip.FS, workDir);
+    }
+}
+
+/**
+ * Recursively delete a directory from the 7-Zip virtual file system
+ * @param {Object} FS - Emscripten file system
+ * @param {string} dir - Directory to delete
+ */
+function removeTree(FS, dir) {
+    for (const name of FS.readdir(dir)) {
+        if (name === '.' || name === '..') continue;
+        const fullPath = `${dir}/${name}`;
+        if (FS.isDir(FS.stat(fullPath).mode)) {
+            removeTree(FS, fullPath);
+        } else {
+            FS.unlink(fullPath);
+        }
+    }
+    FS.rmdir(dir);
+}
+
+/**
+ * List the subtitle entries of an archive
+ * @param {Buffer} buffer - Archive contents
+ * @param {string} archiveName - Archive file name
+ * @returns {Promise<Array<Object>>} Entries with path and size
+ * @throws {ArchiveError} When the archive can't be read
+ */
+async function readArchiveEntries(buffer, archiveName) {
+    return withArchive(buffer, archiveName, (sevenZip, archiveFile) => {
+        const { code, output } = runSevenZip(sevenZip, ['l', '-slt', '-ba', '-bd', '-sccUTF-8', archiveFile]);
+        if (code !== 0) {
+            throw new ArchiveError(`Unable to read archive ${archiveName} (7-Zip exit code ${code})`);
+        }
+
+        const entries = [];
+        let current = {};
+        const flush = () => {
+            const isDir = current.folder === '+' || /D/.test(current.attributes || '');
+            if (current.path && !isDir) {
+                entries.push({ path: current.path.replace(/\\/g, '/'), size: parseInt(current.size) || 0 });
+            }
+            current = {};
+        };
+
+        for (const line of output) {
+            // Drop any progress output that was overwritten with backspaces
+            const match = line.replace(/^.*\x08/, '').match(/^(Path|Size|Folder|Attributes) = (.*)$/);
+            if (line.trim() === '') {
+                flush();
+            } else if (match) {
+                current[match[1].toLowerCase()] = match[2].trim();
+            }
+        }
+        flush();
+
+        return entries.filter(entry => isSubtitleFile(entry.path));
+    });
+}
+
+/**
+ * Extract a single entry from an archive
+ * @param {Buffer} buffer - Archive contents
+ * @param {string} archiveName - Archive file name
+ * @param {string} entryPath - Path of the entry inside the archive
+ * @returns {Promise<Buffer>} Entry contents
+ * @throws {ArchiveError} When the entry is missing or the archive can't be read
+ */
+async function readArchiveEntry(buffer, archiveName, entryPath) {
+    return withArchive(buffer, archiveName, (sevenZip, archiveFile, workDir) => {
+        const outDir = `${workDir}/out`;
+        // -spd disables wildcard matching so names with [ ] * ? are taken literally
+        const { code } = runSevenZip(sevenZip, ['x', archiveFile, `-o${outDir}`, '-y', '-bd', '-spd', '-sccUTF-8', entryPath]);
+        const outFile = `${outDir}/${entryPath}`;
+
+        if (code !== 0 || !sevenZip.FS.analyzePath(outFile).exists) {
+            throw new ArchiveError(`Entry ${entryPath} not found in ${archiveName}`, 404);
+        }
+
+        return Buffer.from(sevenZip.FS.readFile(outFile));
+    });
+}
+
+/**
+ * Keep a downloaded archive in memory, dropping least recently used ones above the size limit
+ * @param {string} key - Archive key
+ * @param {Object|undefined} entry - { buffer, fetchedAt }, or undefined to only drop the key
+ */
+function storeArchiveBuffer(key, entry) {
+    const previous = archiveBuffers.get(key);
+    if (previous) {
+        archiveBuffers.delete(key);
+        archiveBufferBytes -= previous.buffer.length;
+    }
+    if (!entry || entry.buffer.length > ARCHIVE_BUFFER_CACHE_BYTES) {
+        return;
+    }
+
+    archiveBuffers.set(key, entry);
+    archiveBufferBytes += entry.buffer.length;
+    while (archiveBufferBytes > ARCHIVE_BUFFER_CACHE_BYTES) {
+        const [oldestKey, oldest] = archiveBuffers.entries().next().value;
+        archiveBuffers.delete(oldestKey);
+        archiveBufferBytes -= oldest.buffer.length;
+    }
+}
+
+/**
+ * Download an archive, reusing recently downloaded ones
+ * @param {string} repo - Repository in format 'owner/repo'
+ * @param {string} ref - Branch, tag or commit
+ * @param {string} archivePath - Path of the archive in the repository
+ * @param {Object} options - Download options
+ * @param {string} [options.token] - GitHub token for private repositories
+ * @returns {Promise<Buffer>} Archive contents
+ */
+async function downloadArchive(repo, ref, archivePath, options = {}) {
+    // Keyed by token too, so a buffer of a private repository isn't served without it
+    const key = `${repo}@${ref || 'HEAD'}:${archivePath}#${getTokenFingerprint(options.token) || ''}`;
+    const cached = archiveBuffers.get(key);
+
+    if (cached && Date.now() - cached.fetchedAt < ARCHIVE_BUFFER_TTL_MS) {
+        // Re-insert to keep the map in least recently used order
+        storeArchiveBuffer(key, cached);
+        return cached.buffer;
+    }
+    storeArchiveBuffer(key);
+
+    if (!pendingDownloads.has(key)) {
+        const download = downloadSubtitle(repo, ref, archivePath, { maxBytes: MAX_ARCHIVE_BYTES, token: options.token })
+            .then(buffer => {
+                storeArchiveBuffer(key, { buffer, fetchedAt: Date.now() });
+                return buffer;
+            })
+            .finally(() => pendingDownloads.delete(key));
+        pendingDownloads.set(key, download);
+    }
+
+    return pendingDownloads.get(key);
+}
+
+/**
+ * List the subtitle entries of an archive file from a repository listing
+ * @param {Object} archive - Archive file tagged with its source
+ * @returns {Promise<Array<Object>>} Entries with path and size
+ */
+async function listArchiveEntries(archive) {
+    const cacheKey = repoIndexCache.buildArchiveKey(archive.sha || `${archive.source.repo}@${archive.source.ref || 'HEAD'}:${archive.path}`);
+    const cached = await repoIndexCache.getEntry(cacheKey);
+    if (cached) {
+        return cached.files;
+    }
+
+    const buffer = await downloadArchive(archive.source.repo, archive.source.ref, archive.path, { token: archive.source.token });
+    const entries = await readArchiveEntries(buffer, archive.name);
+    console.log(`Archive ${archive.path} contains ${entries.length} subtitle files`);
+
+    // Only content-addressed listings can be kept indefinitely
+    if (archive.sha) {
+        await repoIndexCache.setEntry(cacheKey, entries);
+    }
+
+    return entries;
+}
+
+/**
+ * Build the virtual files for the subtitle entries of an archive
+ * @param {Object} file - Archive file tagged with its source
+ * @returns {Promise<Array<Object>>} Virtual files, or none when the archive can't be read
+ */
+async function expandArchive(file) {
+    try {
+        const entries = await listArchiveEntries(file);
+        const virtualFiles = entries.map(entry => ({
+            name: path.posix.basename(entry.path),
+            path: `${file.path}/${entry.path}`,
+            size: entry.size,
+            sha: file.sha ? `${file.sha}:${entry.path}` : null,
+            source: file.source,
+            archive: {
+                path: file.path,
+                entry: entry.path
+            }
+        }));
+        markVobSubPairs(virtualFiles, entries.map(entry => `${file.path}/${entry.path}`));
+        return virtualFiles;
+    } catch (error) {
+        console.error(`Error reading archive ${file.path}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Replace archive files in a listing with virtual files for their subtitle entries
+ * Archives that fail to download or parse are skipped; up to ARCHIVE_CONCURRENCY
+ * archives are read at a time and the listing order is kept.
+ * @param {Array<Object>} files - Subtitle and archive files tagged with their source
+ * @returns {Promise<Array<Object>>} Files with archives expanded
+ */
+async function expandArchives(files) {
+    // One slot per file: the file itself, or the archive to expand in its place
+    const slots = [];
+    const archives = [];
+    let downloads = 0;
+
+    for (const file of files) {
+        if (!isArchiveFile(file.name)) {
+            slots.push([file]);
+            continue;
+        }
+
+        const isCached = file.sha && await repoIndexCache.getEntry(repoIndexCache.buildArchiveKey(file.sha));
+        if (!isCached && downloads >= MAX_ARCHIVE_DOWNLOADS) {
+            console.log(`Skipping archive ${file.path} - download limit of ${MAX_ARCHIVE_DOWNLOADS} per request reached`);
+            continue;
+        }
+        if (!isCached) {
+            downloads++;
+        }
+
+        archives.push({ file, slot: slots.length });
+        slots.push([]);
+    }
+
+    let next = 0;
+    const worker = async () => {
+        while (next < archives.length) {
+            const { file, slot } = archives[next++];
+            slots[slot] = await expandArchive(file);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(ARCHIVE_CONCURRENCY, archives.length) }, worker));
+
+    return slots.flat();
+}
+
+/**
+ * Extract a subtitle entry from an archive in a repository
+ * @param {string} repo - Repository in format 'owner/repo'
+ * @param {string} ref - Branch, tag or commit
+ * @param {string} archivePath - Path of the archive in the repository
+ * @param {string} entryPath - Path of the entry inside the archive
+ * @param {Object} options - Download options (see downloadArchive)
+ * @returns {Promise<Buffer>} Entry contents
+ */
+async function extractArchiveEntry(repo, ref, archivePath, entryPath, options = {}) {
+    const buffer = await downloadArchive(repo, ref, archivePath, options);
+    return readArchiveEntry(buffer, path.posix.basename(archivePath), entryPath);
+}
+
+module.exports = {
+    expandArchives,
+    listArchiveEntries,
+    extractArchiveEntry,
+    readArchiveEntries,
+    readArchiveEntry,
+    ArchiveError
+};
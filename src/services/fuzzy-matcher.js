@@ -4,6 +4,9 @@
 
 const path = require('path');
 const { distance } = require('fastest-levenshtein');
+const { transliterate } = require('../utils/transliterate');
+const { parseReleaseInfo } = require('../utils/subtitle-parser');
+const { findLanguage } = require('../utils/languages');
 
 class FuzzyMatcher {
     constructor() {
@@ -43,13 +46,46 @@ class FuzzyMatcher {
             'wo/': 'without'
         };
 
-        // Character normalization map for international characters
-        this.charMap = {
-            'à': 'a', 'á': 'a', 'â': 'a', 'ã': 'a', 'ä': 'a', 'å': 'a', 'æ': 'ae',
-            'ç': 'c', 'è': 'e', 'é': 'e', 'ê': 'e', 'ë': 'e', 'ì': 'i', 'í': 'i',
-            'î': 'i', 'ï': 'i', 'ñ': 'n', 'ò': 'o', 'ó': 'o', 'ô': 'o', 'õ': 'o',
-            'ö': 'o', 'ø': 'o', 'ù': 'u', 'ú': 'u', 'û': 'u', 'ü': 'u', 'ý': 'y',
-            'ÿ': 'y', 'ß': 'ss', 'œ': 'oe'
+        // Release details compared with the playing stream and their weights
+        this.releaseFieldWeights = {
+            group: 0.4,
+            source: 0.3,
+            resolution: 0.2,
+            edition: 0.1
+        };
+
+        // Rips of the same kind that usually share subtitle timing
+        this.relatedSources = [['web-dl', 'webrip'], ['bluray', 'hdrip']];
+
+        // Share of the final score that comes from release compatibility
+        this.releaseWeight = 0.15;
+
+        // Directory names that organize a repository rather than name a title
+        this.genericDirectories = new Set([
+            'movies', 'movie', 'films', 'film', 'series', 'shows', 'show', 'tv', 'tv shows', 'tvshows', 'anime',
+            'subs', 'sub', 'subtitles', 'subtitle', 'srt', 'ass', 'vtt', 'episodes', 'extras', 'archive', 'archives',
+            'packs', 'pack', 'misc', 'other', 'new', 'old', 'complete', 'collection', 'collections'
+        ]);
+
+        // Tags that may be all a filename says besides the language ("E05.en.sdh.srt")
+        this.nonTitleTags = new Set(['sdh', 'cc', 'hi', 'full', 'signs', 'songs', 'default', 'forced', 'foreign']);
+
+        // Directory levels above a file that are read for hints (nearest first)
+        this.maxDirectoryDepth = 3;
+
+        // Longest run of episodes a multi-episode file is taken to cover (S01E01-E04)
+        this.maxEpisodesPerFile = 4;
+
+        // Score factor for each disagreement between the directories and the
+        // filename or the requested content
+        this.directoryConflictFactors = {
+            imdb: 0.3,
+            season: 0.5,
+            title: 0.6,
+            // Directory year against the filename year
+            year: 0.8,
+            // Directory year against the requested movie: another release of the title
+            release: 0.3
         };
     }
 
@@ -57,12 +93,8 @@ class FuzzyMatcher {
     normalizeText(text) {
         if (!text) return '';
         
-        let normalized = text.toLowerCase();
-        
-        // Normalize international characters
-        for (const [accented, plain] of Object.entries(this.charMap)) {
-            normalized = normalized.replace(new RegExp(accented, 'g'), plain);
-        }
+        // Romanize Cyrillic, Greek and kana, and strip diacritics
+        let normalized = transliterate(text).toLowerCase();
         
         // Expand common abbreviations
         for (const [abbrev, expansion] of Object.entries(this.abbreviations)) {
@@ -83,8 +115,9 @@ class FuzzyMatcher {
         
         // Remove special characters but preserve word boundaries
         normalized = normalized
+            .replace(/\b([a-z])['']/g, '$1 ') // Split elisions like d'amelie or l'amour
             .replace(/['']/g, '') // Remove apostrophes
-            .replace(/[^\w\s]/g, ' ') // Replace non-word chars with space
+            .replace(/[^\p{L}\p{N}_\s]/gu, ' ') // Replace non-word chars with space, keeping letters of any script
             .replace(/\s+/g, ' ') // Collapse multiple spaces
             .trim();
         
@@ -281,7 +314,8 @@ class FuzzyMatcher {
 
     // Enhanced title extraction with better pattern recognition
     extractTitle(filename) {
-        let basename = filename.replace(/\.(srt|vtt|ass|ssa|sub)$/i, '');
+        // Transliterate first so the Latin-only patterns below also apply to other scripts
+        let basename = transliterate(filename).replace(/\.(srt|vtt|ass|ssa|sub)$/i, '');
         
         // Remove common prefixes/suffixes
         basename = basename.replace(/^(www\.|download\.|get\.|watch\.|stream\.)/i, '');
@@ -411,8 +445,47 @@ class FuzzyMatcher {
         return { score: 0, method: 'no_imdb_match' };
     }
 
-    // Enhanced title matching with comprehensive support
+    // Collect the titles to match against: a single title or [title, originalTitle, ...alternates]
+    getTitleCandidates(targetTitle) {
+        const titles = Array.isArray(targetTitle) ? targetTitle : [targetTitle];
+        const candidates = [];
+        const seen = new Set();
+        
+        for (const title of titles) {
+            const normalized = this.normalizeText(title);
+            if (normalized && !seen.has(normalized)) {
+                seen.add(normalized);
+                candidates.push(title);
+            }
+        }
+        
+        return candidates;
+    }
+
+    // Title matching against the main, original and alternate titles
+    // The best scoring title is reported as matchedTitle in the details.
     matchesByTitle(filename, targetTitle, targetYear = null, threshold = 0.5) {
+        const candidates = this.getTitleCandidates(targetTitle);
+        let best = null;
+        
+        for (const candidate of candidates) {
+            const result = this.matchesSingleTitle(filename, candidate, targetYear, threshold);
+            // Bonuses can cap several titles at 1.0; the closer title then wins
+            const isBetter = !best || result.score > best.score ||
+                (result.score === best.score && parseFloat((result.details || {}).titleSimilarity) > parseFloat(best.details.titleSimilarity));
+            if (isBetter) {
+                best = {
+                    ...result,
+                    details: { ...result.details, matchedTitle: candidate, isAlias: candidate !== candidates[0] }
+                };
+            }
+        }
+        
+        return best || { score: 0, method: 'no_title' };
+    }
+
+    // Enhanced title matching with comprehensive support
+    matchesSingleTitle(filename, targetTitle, targetYear = null, threshold = 0.5) {
         const fileTitle = this.extractTitle(filename);
         const fileYear = this.extractYear(filename);
         
@@ -500,8 +573,70 @@ class FuzzyMatcher {
         };
     }
 
+    // Extract the show title from a series filename (the part before the episode marker)
+    extractSeriesTitle(filename) {
+        const basename = filename.replace(/\.(srt|vtt|ass|ssa|sub)$/i, '');
+        // Anime style absolute numbers ("Frieren - 17v2", "One.Piece.E1043") end the title too
+        const episodeMarker = /(?:^|[\s\-_.\[(])(?:s\d{1,2}[\s\-_.]*e\d{1,4}|\d{1,2}x\d{1,3}|season[\s\-_.]*\d+|episode[\s\-_.]*\d+|ep?[\s\-_.]*\d+|-\s+\d{1,4}(?:v\d)?(?![\dp]))/i;
+        const markerMatch = basename.match(episodeMarker);
+        const titlePart = markerMatch ? basename.substring(0, markerMatch.index) : basename;
+        
+        // IMDb IDs identify the show but aren't part of its title
+        return this.extractTitle(titlePart.replace(/\btt\d{6,}\b/gi, ' '));
+    }
+
+    // Show title matching for series; rejects files named after a different show
+    // All titles of the show (original, alternates) are tried; the best one is reported.
+    matchesSeriesTitle(filename, targetTitle, mismatchThreshold = 0.5) {
+        const fileTitle = this.extractSeriesTitle(filename);
+        const candidates = this.getTitleCandidates(targetTitle);
+        const normalizedTargets = candidates.map(candidate => this.normalizeText(candidate));
+        const shortestTarget = Math.min(...normalizedTargets.map(target => target.length));
+        
+        // Names like "S01E01.srt" or "en.S01E01.srt" carry no show title
+        if (!fileTitle || candidates.length === 0 || (fileTitle.length < 4 && shortestTarget >= 4)) {
+            return { score: 0, method: 'no_series_title', details: { fileTitle } };
+        }
+        
+        let bestIndex = 0;
+        let titleSimilarity = 0;
+        normalizedTargets.forEach((target, index) => {
+            const similarity = this.calculateSimilarity(fileTitle, target);
+            if (similarity > titleSimilarity) {
+                titleSimilarity = similarity;
+                bestIndex = index;
+            }
+        });
+        
+        const details = {
+            fileTitle,
+            normalizedTarget: normalizedTargets[bestIndex],
+            matchedTitle: candidates[bestIndex],
+            isAlias: bestIndex > 0,
+            titleSimilarity: titleSimilarity.toFixed(3)
+        };
+        
+        if (titleSimilarity < mismatchThreshold) {
+            return { score: 0, method: 'series_title_mismatch', details };
+        }
+        
+        return { score: titleSimilarity, method: 'series_title_match', details };
+    }
+
     // Enhanced episode matching with comprehensive pattern support
-    matchesEpisode(filename, season, episode, threshold = 0.7) {
+    // series holds what the metadata knows about the show: seasons (episode
+    // count per season, to map the requested episode to an absolute number for
+    // anime style files) and episodes (air dates, for daily shows named by date)
+    matchesEpisode(filename, season, episode, threshold = 0.7, series = {}) {
+        // Double episodes (S01E01E02, S01E01-E03) match every episode they cover
+        const range = this.extractEpisodeRange(filename);
+        if (range) {
+            const details = { season: range.season, from: range.from, to: range.to };
+            return range.season === season && episode >= range.from && episode <= range.to
+                ? { score: 0.95, method: 'episode_range', details }
+                : { score: 0, method: 'episode_range_mismatch', details };
+        }
+        
         const seasonPadded = season.toString().padStart(2, '0');
         const episodePadded = episode.toString().padStart(2, '0');
         const filenameLC = filename.toLowerCase();
@@ -545,6 +680,27 @@ class FuzzyMatcher {
             }
         }
         
+        // Specials named outside season 0 ("Show.Special.2", "Show - SP03", "OVA 1")
+        const special = this.extractSpecialEpisode(filename);
+        if (special !== null) {
+            return season === 0 && special === episode
+                ? { score: 0.95, method: 'special_episode' }
+                : { score: 0, method: 'special_episode_mismatch', details: { found: special } };
+        }
+        
+        // Daily shows named by air date ("The.Daily.Show.2024.03.14")
+        const airDate = this.extractAirDate(filename);
+        if (airDate) {
+            return this.matchesAirDate(airDate, season, episode, series.episodes);
+        }
+        
+        // Absolute numbering ("Frieren - 17", "One.Piece.E1043"); the number
+        // heuristics below would read it as a season
+        const absoluteMatch = this.matchesAbsoluteEpisode(filename, season, episode, series.seasons);
+        if (absoluteMatch) {
+            return absoluteMatch;
+        }
+        
         // Fuzzy episode matching with tolerance
         const numberMatches = filenameLC.match(/\b\d{1,3}\b/g);
         if (numberMatches && numberMatches.length >= 2) {
@@ -558,14 +714,9 @@ class FuzzyMatcher {
                     return { score: 0.95, method: 'fuzzy_episode_exact' };
                 }
                 
-                // Close match (±1 for episode)
-                if (s === season && Math.abs(e - episode) === 1) {
-                    return { score: 0.8, method: 'fuzzy_episode_close' };
-                }
-                
-                // Season match only
+                // Another episode of the same season, however close, is the wrong episode
                 if (s === season) {
-                    return { score: 0.6, method: 'fuzzy_season_only' };
+                    return { score: 0, method: 'different_episode', details: { found: e } };
                 }
             }
         }
@@ -584,7 +735,7 @@ class FuzzyMatcher {
         }
         
         // Multi-season pack detection
-        const multiSeasonPattern = new RegExp(`season[\\s\\-_]*${season}`, 'i');
+        const multiSeasonPattern = new RegExp(`season[\\s\\-_]*${season}(?!\\d)`, 'i');
         if (multiSeasonPattern.test(filenameLC)) {
             return { score: 0.5, method: 'season_pack' };
         }
@@ -592,14 +743,416 @@ class FuzzyMatcher {
         return { score: 0, method: 'no_match' };
     }
 
+    // Season number stated in a filename (S02E05, 2x05, "S2 - 03", "Season 2", "2nd Season"), null when absent
+    extractSeason(filename) {
+        const patterns = [
+            /(?:^|[^a-z0-9])s(\d{1,2})[\s\-_.]*e\d{1,4}/i,
+            /(?:^|[^a-z0-9])(\d{1,2})x\d{1,3}(?![a-z0-9])/i,
+            /(?:^|[^a-z0-9])s(\d{1,2})[\s_.]*-[\s_.]*\d{1,4}(?!\d)/i,
+            /season[\s\-_.]*(\d{1,2})/i,
+            /\b(\d{1,2})(?:st|nd|rd|th)[\s\-_.]*season\b/i
+        ];
+        for (const pattern of patterns) {
+            const match = filename.match(pattern);
+            if (match) return parseInt(match[1]);
+        }
+        return null;
+    }
+
+    // Episode number of a filename without a season ("E05.en.srt", "05 - Title.srt"), null when absent
+    extractEpisodeNumber(filename) {
+        const basename = filename.replace(/\.[^.]+$/, '');
+        const match = basename.match(/(?:^|[\s\-_.\[(])(?:e|ep|episode|episodio|folge)[\s\-_.]*(\d{1,3})(?![0-9p])/i)
+            || basename.match(/^(\d{1,3})(?=$|[\s\-_.\[(])/);
+        return match ? parseInt(match[1]) : null;
+    }
+
+    // Episodes covered by a multi-episode file: S01E01E02, S01E01-E03, S01E01-03,
+    // 1x01x02, 1x01-02. Returns { season, from, to } or null for single episodes.
+    extractEpisodeRange(filename) {
+        const patterns = [
+            /(?:^|[^a-z0-9])s(\d{1,2})[\s\-_.]*e(\d{1,3})((?:[\s_.]*-?[\s_.]*e\d{1,3}|-\d{1,3})+)(?![\dp])/i,
+            /(?:^|[^a-z0-9])(\d{1,2})x(\d{1,3})((?:[-x](?:\d{1,2}x)?\d{1,3})+)(?![\dp])/i
+        ];
+        for (const pattern of patterns) {
+            const match = filename.match(pattern);
+            if (!match) continue;
+            
+            const from = parseInt(match[2]);
+            const to = parseInt(match[3].match(/\d+/g).pop());
+            // "S01E05-12.Angry.Men" isn't an eight episode file
+            if (to > from && to - from < this.maxEpisodesPerFile) {
+                return { season: parseInt(match[1]), from, to };
+            }
+        }
+        return null;
+    }
+
+    // Number of a special named outside season 0: "Show.Special.2", "Show - SP03",
+    // "[Group] Show OVA 1"; null when absent
+    extractSpecialEpisode(filename) {
+        const basename = filename.replace(/\.[^.]+$/, '');
+        const match = basename.match(/(?:^|[\s\-_.\[(])(?:sp|special|ova|oad)[\s\-_.]*(\d{1,3})(?![\dp])/i);
+        return match ? parseInt(match[1]) : null;
+    }
+
+    // Air date of a daily show episode: 2024.03.14, 2024-03-14 or 14.03.2024
+    // Returns 'YYYY-MM-DD' or null.
+    extractAirDate(filename) {
+        const yearFirst = filename.match(/(?:^|[^0-9])((?:19|20)\d{2})[\s\-_.](\d{2})[\s\-_.](\d{2})(?![0-9])/);
+        const dayFirst = filename.match(/(?:^|[^0-9])(\d{2})[\s\-_.](\d{2})[\s\-_.]((?:19|20)\d{2})(?![0-9])/);
+        const [year, month, day] = yearFirst ? yearFirst.slice(1, 4) : (dayFirst ? dayFirst.slice(1, 4).reverse() : []);
+        
+        if (!year || parseInt(month) < 1 || parseInt(month) > 12 || parseInt(day) < 1 || parseInt(day) > 31) {
+            return null;
+        }
+        return `${year}-${month}-${day}`;
+    }
+
+    // Match an episode by air date, using the episode air dates from the metadata
+    // ([{ season, episode, airDate }]). Providers may list a date a day off
+    // (time zones), which is accepted when no other episode aired on the file's date.
+    matchesAirDate(airDate, season, episode, episodes) {
+        const target = (episodes || []).find(entry => entry.season === season && entry.episode === episode);
+        const details = { found: airDate, target: target ? target.airDate : null };
+        if (!target) {
+            return { score: 0, method: 'air_date_unknown', details };
+        }
+        
+        const airedThatDay = episodes.filter(entry => entry.airDate === airDate);
+        if (airedThatDay.length > 0) {
+            return airedThatDay.includes(target)
+                ? { score: 0.95, method: 'air_date', details }
+                : { score: 0, method: 'air_date_mismatch', details };
+        }
+        
+        const dayDifference = Math.abs(Date.parse(airDate) - Date.parse(target.airDate)) / 86400000;
+        return dayDifference === 1
+            ? { score: 0.8, method: 'air_date_close', details }
+            : { score: 0, method: 'air_date_mismatch', details };
+    }
+
+    // Absolute episode number of an anime style filename without a season:
+    // "[SubsPlease] Frieren - 17 [1080p].ass", "One.Piece.E1043.srt", "Show - 17v2.srt"
+    // Bracketed fansub, resolution and checksum tags are ignored. Returns
+    // { episode, version } (version 1 without a vN suffix) or null.
+    extractAbsoluteEpisode(filename) {
+        const basename = filename.replace(/\.[^.]+$/, '');
+        if (this.extractSeason(basename) !== null) {
+            return null;
+        }
+        
+        const stripped = basename.replace(/\[[^\]]*\]|\([^)]*\)|\{[^}]*\}/g, ' ');
+        const patterns = [
+            /\s-\s+(\d{1,4})(?:v(\d))?(?=$|[\s\-_.])/i,
+            /(?:^|[\s\-_.])(?:e|ep|episode)[\s\-_.]*(\d{1,4})(?:v(\d))?(?=$|[\s\-_.])/i,
+            /(?:^|[\s\-_.])#(\d{1,4})(?:v(\d))?(?=$|[\s\-_.])/
+        ];
+        
+        for (const pattern of patterns) {
+            const match = stripped.match(pattern);
+            // "Movie - 2010" is a year, not episode 2010
+            if (match && !/^(19|20)\d{2}$/.test(match[1])) {
+                return { episode: parseInt(match[1]), version: match[2] ? parseInt(match[2]) : 1 };
+            }
+        }
+        return null;
+    }
+
+    // Absolute number of an episode counted across seasons, using the episode
+    // count of each season from the metadata ({ 1: 28, 2: 12 }). Season 1 needs
+    // no counts; specials (season 0) have no absolute number.
+    toAbsoluteEpisode(season, episode, seasons) {
+        if (season < 1) return null;
+        if (season === 1) return episode;
+        if (!seasons) return null;
+        
+        let offset = 0;
+        for (let s = 1; s < season; s++) {
+            if (!seasons[s]) return null;
+            offset += seasons[s];
+        }
+        return offset + episode;
+    }
+
+    // Match an anime style filename by its absolute episode number
+    // Returns null when the filename has no absolute number.
+    matchesAbsoluteEpisode(filename, season, episode, seasons) {
+        const absolute = this.extractAbsoluteEpisode(filename);
+        if (!absolute) {
+            return null;
+        }
+        
+        const target = this.toAbsoluteEpisode(season, episode, seasons);
+        const details = { found: absolute.episode, target, version: absolute.version };
+        
+        if (target !== null) {
+            return absolute.episode === target
+                ? { score: 0.95, method: 'absolute_episode', version: absolute.version, details }
+                : { score: 0, method: 'absolute_episode_mismatch', details };
+        }
+        
+        // Without episode counts a later season's number may be absolute or,
+        // as fansubs of later seasons often restart at 1, relative to the season.
+        // Specials have neither.
+        if (season > 0 && absolute.episode === episode) {
+            return { score: 0.5, method: 'season_relative_episode', version: absolute.version, details };
+        }
+        return { score: 0, method: 'absolute_episode_unknown', details };
+    }
+
+    // Whether a filename names a title at all; "English.srt" or "E05.en.srt" don't
+    hasOwnTitle(filename) {
+        return this.extractTitle(filename).split(' ').some(word =>
+            word && !findLanguage(word) && !this.nonTitleTags.has(word) && !/^(e|ep)?\d+$/.test(word)
+        );
+    }
+
+    // Read one directory name: IMDb id, season, year and title
+    parseDirectoryName(name) {
+        const info = { name, imdbId: null, season: null, isSeasonFolder: false, year: null, title: '' };
+        const lower = name.toLowerCase().trim();
+        
+        // "Movies", "Subtitles", "A", "English" organize the repository
+        if (this.genericDirectories.has(lower) || /^([a-z0-9#]|0-9|[a-z]-[a-z])$/.test(lower) || findLanguage(lower)) {
+            return info;
+        }
+        
+        const imdbMatch = name.match(/\btt\d{6,}\b/i);
+        if (imdbMatch) {
+            info.imdbId = imdbMatch[0].toLowerCase();
+        }
+        
+        // "Specials" holds season 0
+        if (/^(?:season[\s\-_.]*)?specials?$/.test(lower)) {
+            info.season = 0;
+            info.isSeasonFolder = true;
+            return info;
+        }
+        
+        // "Season 2", "S02", "Staffel 2" hold the episodes of one season
+        const seasonFolder = lower.match(/^(?:season|series|staffel|saison|temporada|stagione|seizoen|sezon|s)[\s\-_.]*(\d{1,3})$/);
+        if (seasonFolder) {
+            info.season = parseInt(seasonFolder[1]);
+            info.isSeasonFolder = true;
+            return info;
+        }
+        
+        // "Dark.S02.1080p" or "Dark Season 2" is a season pack; the title comes before the marker
+        let titlePart = name.replace(/\btt\d{6,}\b/gi, ' ');
+        const packMarker = titlePart.match(/(?:^|[\s\-_.\[(])(?:s(\d{1,2})(?![\s\-_.]*e\d)|season[\s\-_.]*(\d{1,2}))(?=$|[\s\-_.\])])/i);
+        if (packMarker) {
+            info.season = parseInt(packMarker[1] || packMarker[2]);
+            titlePart = titlePart.substring(0, packMarker.index);
+        }
+        
+        const year = this.extractYear(titlePart);
+        info.year = year ? parseInt(year) : null;
+        info.title = this.extractTitle(titlePart);
+        return info;
+    }
+
+    // Hints from the directories above a file, relative to the source's subtitles path
+    // Archives count as directories ("packs/Dark.S02.zip/05.srt"). Title folders are
+    // the ones that clearly name a title: with a year, an IMDb id or a season marker,
+    // above a season folder, or the nearest folder of a file whose name has no title.
+    parseDirectoryHints(file) {
+        const hints = { imdbId: null, season: null, year: null, titleFolders: [] };
+        const filePath = file.path || file.name;
+        const prefix = file.source && file.source.path ? `${file.source.path}/` : '';
+        const relative = prefix && filePath.startsWith(prefix) ? filePath.substring(prefix.length) : filePath;
+        
+        const segments = relative.split('/').slice(0, -1).map(segment => segment.replace(/\.(zip|7z)$/i, ''));
+        const nearest = segments.slice(-this.maxDirectoryDepth).reverse().map(segment => this.parseDirectoryName(segment));
+        const fileHasTitle = this.hasOwnTitle(file.name);
+        
+        nearest.forEach((info, index) => {
+            hints.imdbId = hints.imdbId || info.imdbId;
+            hints.season = hints.season !== null ? hints.season : info.season;
+            hints.year = hints.year || info.year;
+            
+            const isTitleFolder = info.title && (
+                info.year || info.imdbId || info.season !== null ||
+                (index > 0 && nearest[index - 1].isSeasonFolder) ||
+                (!fileHasTitle && nearest.slice(0, index).every(below => below.isSeasonFolder || !below.title))
+            );
+            if (isTitleFolder) {
+                hints.titleFolders.push(info);
+            }
+        });
+        
+        hints.hasHints = !!(hints.imdbId || hints.season !== null || hints.year || hints.titleFolders.length > 0);
+        return hints;
+    }
+
+    // Movie evidence from directory hints; conflicts list what disagrees
+    matchesMovieDirectory(hints, filename, imdbId, targetTitle, targetYear) {
+        const conflicts = [];
+        let result = { score: 0, method: 'no_directory_match' };
+        
+        if (hints.imdbId) {
+            if (hints.imdbId === imdbId.toLowerCase()) {
+                result = { score: 1.0, method: 'directory_imdb' };
+            } else {
+                conflicts.push('imdb');
+            }
+        }
+        
+        if (result.score < 1.0 && targetTitle && hints.titleFolders.length > 0) {
+            const best = hints.titleFolders
+                .map(folder => ({ folder, match: this.matchesByTitle(folder.name, targetTitle, targetYear) }))
+                .reduce((a, b) => b.match.score > a.match.score ? b : a);
+            if (best.match.score >= 0.5) {
+                result = { score: best.match.score, method: 'directory_title', details: { directory: best.folder.name, ...best.match.details } };
+            } else if (!hints.imdbId) {
+                conflicts.push('title');
+            }
+        }
+        
+        // "Movie (1998)/Movie.srt" belongs to the 1998 film, not to its 2019 remake
+        const isOtherYear = year => !!(hints.year && year && Math.abs(hints.year - parseInt(year)) > 1);
+        const fileYear = this.extractYear(filename);
+        if (isOtherYear(targetYear) && result.method !== 'directory_imdb') {
+            if (result.method === 'directory_title') {
+                result = { score: 0, method: 'no_directory_match' };
+            }
+            conflicts.push('release');
+        } else if (isOtherYear(fileYear)) {
+            conflicts.push('year');
+        }
+        
+        return { ...result, conflicts };
+    }
+
+    // Series evidence from directory hints: IMDb, show title and episode
+    // matches to use where the filename has none, and the conflicts
+    matchesSeriesDirectory(hints, filename, imdbId, season, episode, targetTitle) {
+        const evidence = { imdbMatch: null, titleMatch: null, episodeMatch: null, conflicts: [] };
+        
+        if (hints.imdbId) {
+            if (hints.imdbId === imdbId.toLowerCase()) {
+                evidence.imdbMatch = { score: 1.0, method: 'directory_imdb' };
+            } else {
+                evidence.conflicts.push('imdb');
+            }
+        }
+        
+        if (targetTitle && hints.titleFolders.length > 0) {
+            const best = hints.titleFolders
+                .map(folder => this.matchesSeriesTitle(folder.title, targetTitle))
+                .reduce((a, b) => b.score > a.score ? b : a);
+            if (best.method === 'series_title_match') {
+                evidence.titleMatch = { ...best, method: 'directory_series_title' };
+            } else if (best.method === 'series_title_mismatch') {
+                // The folder names another show
+                evidence.titleMatch = best;
+                if (!evidence.imdbMatch) {
+                    evidence.conflicts.push('title');
+                }
+            }
+        }
+        
+        if (hints.season !== null) {
+            const fileSeason = this.extractSeason(filename);
+            if (fileSeason !== null) {
+                // "Season 1/Show.S02E05.srt": one of them is wrong
+                if (fileSeason !== hints.season) {
+                    evidence.conflicts.push('season');
+                }
+            } else if (hints.season !== season) {
+                evidence.conflicts.push('season');
+            } else if (this.extractEpisodeNumber(filename) === episode) {
+                evidence.episodeMatch = { score: 0.95, method: 'directory_season_episode' };
+            }
+        }
+        
+        return evidence;
+    }
+
+    // Scale a match down for each directory conflict
+    applyDirectoryConflicts(matchResult, conflicts) {
+        if (conflicts.length === 0) {
+            return matchResult;
+        }
+        const factor = conflicts.reduce((product, conflict) => product * this.directoryConflictFactors[conflict], 1);
+        return { ...matchResult, score: matchResult.score * factor, directoryConflicts: conflicts };
+    }
+
+    // Release compatibility between a subtitle and the playing stream
+    // Compares release group, source, resolution and edition. A field that is
+    // unknown on either side counts as half a match, so subtitles without
+    // release tags rank between compatible and conflicting releases.
+    matchesRelease(filename, release) {
+        const subtitle = parseReleaseInfo(filename);
+        const hasReleaseInfo = subtitle.releaseGroup || subtitle.source || subtitle.quality || subtitle.edition;
+        
+        if (!release || !hasReleaseInfo) {
+            return { score: 0.5, method: 'release_unknown', matched: [], conflicts: [] };
+        }
+        
+        // 'HD' doesn't tell 720p from 1080p
+        const resolution = quality => quality === 'HD' ? null : quality;
+        const fields = {
+            group: [release.releaseGroup, subtitle.releaseGroup],
+            source: [release.source, subtitle.source],
+            resolution: [resolution(release.quality), resolution(subtitle.quality)],
+            // Without an edition tag it's the standard cut
+            edition: [release.edition || 'standard', subtitle.edition || 'standard']
+        };
+        
+        let score = 0;
+        const matched = [];
+        const conflicts = [];
+        
+        for (const [field, [streamValue, subtitleValue]] of Object.entries(fields)) {
+            const weight = this.releaseFieldWeights[field];
+            
+            if (!streamValue || !subtitleValue) {
+                score += weight * 0.5;
+            } else if (streamValue === subtitleValue) {
+                score += weight;
+                matched.push(field);
+            } else if (field === 'source' && this.relatedSources.some(pair => pair.includes(streamValue) && pair.includes(subtitleValue))) {
+                score += weight * 0.5;
+            } else {
+                conflicts.push(field);
+            }
+        }
+        
+        let method = 'release_unknown';
+        if (['group', 'source', 'resolution'].every(field => matched.includes(field)) && conflicts.length === 0) {
+            method = 'release_exact';
+        } else if (conflicts.length > 0) {
+            method = 'release_conflict';
+        } else if (matched.length > 0) {
+            method = 'release_partial';
+        }
+        
+        return { score: Math.min(1, score), method, matched, conflicts };
+    }
+
     // Enhanced best matches finder with multi-strategy scoring
-    findBestMatches(files, type, id, targetTitle = null, targetYear = null, minScore = 0.4) {
+    // targetTitle is a title or a list of titles (main title first, then original and alternate titles)
+    // options.release holds the parsed filename of the playing stream (see parseReleaseInfo);
+    // matching files are then also ranked by release compatibility
+    // options.seasons holds the episode count per season of a series (for absolute numbering)
+    // and options.episodes its episode air dates (for daily shows)
+    findBestMatches(files, type, id, targetTitle = null, targetYear = null, minScore = 0.4, options = {}) {
         const matches = [];
+        const release = options.release || null;
+        const series = { seasons: options.seasons || null, episodes: options.episodes || null };
         
         console.log(`\n=== ENHANCED FUZZY MATCHING ===`);
-        console.log(`Type: ${type}, ID: ${id}, Target: "${targetTitle}" (${targetYear})`);
+        const titleCandidates = targetTitle ? this.getTitleCandidates(targetTitle) : [];
+        console.log(`Type: ${type}, ID: ${id}, Target: "${titleCandidates[0] || null}" (${targetYear})`);
+        if (titleCandidates.length > 1) {
+            console.log(`Also known as: ${titleCandidates.slice(1).map(title => `"${title}"`).join(', ')}`);
+        }
         console.log(`Files to analyze: ${files.length}`);
         console.log(`Minimum score threshold: ${minScore}`);
+        if (release) {
+            console.log(`Stream release: ${JSON.stringify(release)}`);
+        }
         
         for (let i = 0; i < files.length; i++) {
             const file = files[i];
@@ -607,6 +1160,13 @@ class FuzzyMatcher {
             
             let matchResult = { score: 0, method: 'none' };
             
+            // Folders like "The Matrix (1999)/" or "Dark/Season 2/" add to the filename evidence
+            const directory = this.parseDirectoryHints(file);
+            if (directory.hasHints) {
+                console.log(`  Directory hints: ${JSON.stringify({ imdbId: directory.imdbId, season: directory.season, year: directory.year, titles: directory.titleFolders.map(folder => folder.name) })}`);
+            }
+            let directoryConflicts = [];
+            
             if (type === 'movie') {
                 // Multi-strategy matching for movies
                 const strategies = [];
@@ -625,6 +1185,15 @@ class FuzzyMatcher {
                 const filenameScore = this.analyzeFilename(file.name, targetTitle, targetYear);
                 strategies.push({ ...filenameScore, strategy: 'filename', weight: 0.4 });
                 
+                // Strategy 4: Directory names
+                if (directory.hasHints) {
+                    const { conflicts, ...directoryMatch } = this.matchesMovieDirectory(directory, file.name, id, targetTitle, targetYear);
+                    if (directoryMatch.score > 0) {
+                        strategies.push({ ...directoryMatch, strategy: 'directory', weight: 0.6 });
+                    }
+                    directoryConflicts = conflicts;
+                }
+                
                 // Find best strategy
                 let bestStrategy = strategies.reduce((best, current) => 
                     current.score > best.score ? current : best
@@ -654,15 +1223,51 @@ class FuzzyMatcher {
                     const episodeNum = parseInt(episode);
                     
                     // Strategy 1: Episode pattern matching
-                    const episodeMatch = this.matchesEpisode(file.name, seasonNum, episodeNum);
+                    let episodeMatch = this.matchesEpisode(file.name, seasonNum, episodeNum, 0.7, series);
                     
                     // Strategy 2: IMDB + Episode combined
-                    const imdbMatch = this.matchesImdbId(file.name, imdbId);
+                    let imdbMatch = this.matchesImdbId(file.name, imdbId);
+                    
+                    // Strategy 3: Show title (if available)
+                    let titleMatch = targetTitle ? this.matchesSeriesTitle(file.name, targetTitle) : null;
+                    
+                    // Directories fill in what the filename doesn't say
+                    if (directory.hasHints) {
+                        const evidence = this.matchesSeriesDirectory(directory, file.name, imdbId, seasonNum, episodeNum, targetTitle);
+                        if (evidence.episodeMatch && evidence.episodeMatch.score > episodeMatch.score) {
+                            episodeMatch = evidence.episodeMatch;
+                        }
+                        if (evidence.imdbMatch && evidence.imdbMatch.score > imdbMatch.score) {
+                            imdbMatch = evidence.imdbMatch;
+                        }
+                        // Only a real title in the filename outranks the folder's
+                        if (evidence.titleMatch && (!titleMatch || titleMatch.method !== 'series_title_match') && !this.hasOwnTitle(file.name)) {
+                            titleMatch = evidence.titleMatch;
+                        }
+                        directoryConflicts = evidence.conflicts;
+                    }
                     
                     console.log(`  Episode match: ${episodeMatch.score.toFixed(3)} (${episodeMatch.method})`);
                     console.log(`  IMDB match: ${imdbMatch.score.toFixed(3)} (${imdbMatch.method})`);
+                    if (titleMatch) {
+                        console.log(`  Title match: ${titleMatch.score.toFixed(3)} (${titleMatch.method})`);
+                    }
                     
-                    if (episodeMatch.score > 0 && imdbMatch.score > 0) {
+                    if (titleMatch && titleMatch.method === 'series_title_mismatch' && imdbMatch.score < 1.0) {
+                        // The episode may match, but the file belongs to another show
+                        matchResult = {
+                            score: 0,
+                            method: 'series_title_mismatch',
+                            details: { episodeMatch, titleMatch }
+                        };
+                    } else if (titleMatch && titleMatch.score > 0 && episodeMatch.score > 0.6) {
+                        // Show title and episode both match
+                        matchResult = {
+                            score: Math.min(1.0, (episodeMatch.score * 0.7) + (titleMatch.score * 0.3) + (imdbMatch.score > 0 ? 0.05 : 0)),
+                            method: 'series_title_episode',
+                            details: { episodeMatch, titleMatch, imdbMatch }
+                        };
+                    } else if (episodeMatch.score > 0 && imdbMatch.score > 0) {
                         // Combined scoring for series
                         const combinedScore = (episodeMatch.score * 0.7) + (imdbMatch.score * 0.3);
                         matchResult = {
@@ -689,9 +1294,25 @@ class FuzzyMatcher {
                 }
             }
             
+            if (directoryConflicts.length > 0) {
+                matchResult = this.applyDirectoryConflicts(matchResult, directoryConflicts);
+                console.log(`  Directory conflicts: ${directoryConflicts.join(', ')}`);
+            }
+            
             console.log(`  Final score: ${matchResult.score.toFixed(3)} (${matchResult.method})`);
             
             if (matchResult.score >= minScore) {
+                // Release compatibility only reorders files that already identify the content
+                if (release) {
+                    const releaseMatch = this.matchesRelease(file.name, release);
+                    matchResult = {
+                        ...matchResult,
+                        score: matchResult.score * (1 - this.releaseWeight) + releaseMatch.score * this.releaseWeight,
+                        identificationScore: matchResult.score,
+                        release: releaseMatch
+                    };
+                    console.log(`  Release: ${releaseMatch.score.toFixed(3)} (${releaseMatch.method}${releaseMatch.matched.length ? `, same ${releaseMatch.matched.join('/')}` : ''}${releaseMatch.conflicts.length ? `, different ${releaseMatch.conflicts.join('/')}` : ''}) -> ${matchResult.score.toFixed(3)}`);
+                }
                 matches.push({
                     file,
                     match: matchResult
@@ -708,7 +1329,10 @@ class FuzzyMatcher {
                 // If scores are very close, prefer certain methods
                 const methodPriority = {
                     'direct_imdb': 10,
+                    'directory_imdb': 10,
+                    'series_title_episode': 10,
                     'exact_episode': 9,
+                    'directory_season_episode': 8,
                     'series_combined': 8,
                     'enhanced_title_match': 7,
                     'multi_strategy': 6,
@@ -717,7 +1341,8 @@ class FuzzyMatcher {
                 };
                 const aPriority = methodPriority[a.match.method] || 0;
                 const bPriority = methodPriority[b.match.method] || 0;
-                return bPriority - aPriority;
+                // A fansub v2 replaces v1 of the same episode
+                return (bPriority - aPriority) || (this.getEpisodeVersion(b.match) - this.getEpisodeVersion(a.match));
             }
             return b.match.score - a.match.score;
         });
@@ -728,6 +1353,13 @@ class FuzzyMatcher {
         return matches;
     }
 
+    // Release version (v2, v3) of the episode a match was found by, 1 when unversioned
+    getEpisodeVersion(match) {
+        const details = match.details || {};
+        const episodeMatch = match.version ? match : details.episodeMatch || {};
+        return episodeMatch.version || 1;
+    }
+
     // Additional filename analysis for context
     analyzeFilename(filename, targetTitle, targetYear) {
         const basename = path.basename(filename, path.extname(filename));
@@ -742,18 +1374,26 @@ class FuzzyMatcher {
             indicators.push('year_match');
         }
         
-        // Title keywords
+        // Title keywords (best of the main and alternate titles)
         if (targetTitle) {
-            const titleWords = this.normalizeText(targetTitle).split(' ');
             const filenameWords = this.normalizeText(basename).split(' ');
+            let bestRatio = 0;
+            let bestMatches = 0;
             
-            const wordMatches = titleWords.filter(word => 
-                filenameWords.some(fw => fw.includes(word) || word.includes(fw))
-            );
+            for (const candidate of this.getTitleCandidates(targetTitle)) {
+                const titleWords = this.normalizeText(candidate).split(' ');
+                const wordMatches = titleWords.filter(word => 
+                    filenameWords.some(fw => fw.includes(word) || word.includes(fw))
+                );
+                if (wordMatches.length / titleWords.length > bestRatio) {
+                    bestRatio = wordMatches.length / titleWords.length;
+                    bestMatches = wordMatches.length;
+                }
+            }
             
-            if (wordMatches.length > 0) {
-                score += (wordMatches.length / titleWords.length) * 0.3;
-                indicators.push(`${wordMatches.length}_word_matches`);
+            if (bestMatches > 0) {
+                score += bestRatio * 0.3;
+                indicators.push(`${bestMatches}_word_matches`);
             }
         }
         
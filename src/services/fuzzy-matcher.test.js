@@ -0,0 +1,164 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const FuzzyMatcher = require('./fuzzy-matcher');
+
+mock.method(console, 'log', () => {});
+
+const matcher = new FuzzyMatcher();
+
+/**
+ * Build a listed file from its path below the source path
+ * @param {string} filePath - Path relative to the repository root
+ * @returns {Object} File as listed by the GitHub service
+ */
+function listedFile(filePath) {
+    return { name: filePath.split('/').pop(), path: filePath, source: { path: 'subs' } };
+}
+
+/**
+ * Paths of the files findBestMatches accepts
+ * @param {Array<string>} paths - Listed paths
+ * @param {...*} args - type, id, title, year, minScore and options
+ * @returns {Array<string>} Matched paths, best first
+ */
+function matchedPaths(paths, ...args) {
+    return matcher.findBestMatches(paths.map(listedFile), ...args).map(({ file }) => file.path);
+}
+
+describe('FuzzyMatcher', () => {
+    describe('directory hints', () => {
+        it('matches a movie folder by title and year', () => {
+            assert.deepEqual(
+                matchedPaths(['subs/Movie (2019)/English.srt', 'subs/Other Film (2019)/English.srt'], 'movie', 'tt1', ['Movie'], 2019),
+                ['subs/Movie (2019)/English.srt']
+            );
+        });
+
+        it('rejects a folder of another release of the title', () => {
+            assert.deepEqual(
+                matchedPaths(['subs/Movie (1998)/Movie.srt', 'subs/Movie (2019)/Movie.srt'], 'movie', 'tt1', ['Movie'], 2019),
+                ['subs/Movie (2019)/Movie.srt']
+            );
+
+            const hints = matcher.parseDirectoryHints(listedFile('subs/Movie (1998)/Movie.srt'));
+            const result = matcher.matchesMovieDirectory(hints, 'Movie.srt', 'tt1', ['Movie'], 2019);
+            assert.equal(result.score, 0);
+            assert.deepEqual(result.conflicts, ['release']);
+        });
+
+        it('trusts an IMDb id in the folder name over its year', () => {
+            const hints = matcher.parseDirectoryHints(listedFile('subs/Movie (1998) [tt0120000]/Movie.srt'));
+            const result = matcher.matchesMovieDirectory(hints, 'Movie.srt', 'tt0120000', ['Movie'], 2019);
+            assert.equal(result.method, 'directory_imdb');
+            assert.deepEqual(result.conflicts, []);
+        });
+
+        it('reads the season from the folder for episode-only filenames', () => {
+            assert.deepEqual(
+                matchedPaths(['subs/Dark/Season 2/E05.en.srt', 'subs/Dark/Season 1/E05.en.srt'], 'series', 'tt5753856:2:5', ['Dark']),
+                ['subs/Dark/Season 2/E05.en.srt']
+            );
+        });
+    });
+
+    describe('absolute episode numbers', () => {
+        it('reads fansub and anime style numbers with their version', () => {
+            assert.deepEqual(matcher.extractAbsoluteEpisode('[SubsPlease] Frieren - 17 [1080p][ABCD1234].ass'), { episode: 17, version: 1 });
+            assert.deepEqual(matcher.extractAbsoluteEpisode('Frieren - 17v2.srt'), { episode: 17, version: 2 });
+            assert.deepEqual(matcher.extractAbsoluteEpisode('One.Piece.E1043.srt'), { episode: 1043, version: 1 });
+            assert.equal(matcher.extractAbsoluteEpisode('Movie - 2010.srt'), null);
+            assert.equal(matcher.extractAbsoluteEpisode('Show.S02E05.srt'), null);
+        });
+
+        it('maps the requested episode to an absolute number using the season lengths', () => {
+            const seasons = { 1: 28, 2: 12 };
+            assert.equal(matcher.toAbsoluteEpisode(2, 3, seasons), 31);
+            assert.equal(matcher.toAbsoluteEpisode(1, 3, null), 3);
+            assert.equal(matcher.toAbsoluteEpisode(3, 1, seasons), 41);
+            assert.equal(matcher.toAbsoluteEpisode(4, 1, seasons), null);
+            assert.equal(matcher.toAbsoluteEpisode(0, 1, seasons), null);
+        });
+
+        it('matches later seasons by absolute number when season lengths are known', () => {
+            const series = { seasons: { 1: 28 } };
+            assert.equal(matcher.matchesEpisode('Frieren - 31.srt', 2, 3, 0.7, series).method, 'absolute_episode');
+            assert.equal(matcher.matchesEpisode('Frieren - 03.srt', 2, 3, 0.7, series).score, 0);
+        });
+
+        it('only gives a season relative number a partial score without season lengths', () => {
+            const match = matcher.matchesEpisode('Frieren - 03.srt', 2, 3);
+            assert.equal(match.method, 'season_relative_episode');
+            assert.equal(match.score, 0.5);
+        });
+
+        it('ranks a v2 release above v1 of the same episode', () => {
+            const paths = ['subs/[Group] Frieren - 17 [1080p].ass', 'subs/[Group] Frieren - 17v2 [1080p].ass', 'subs/[Group] Frieren - 18 [1080p].ass'];
+            assert.deepEqual(
+                matchedPaths(paths, 'series', 'tt22248376:1:17', ['Frieren']),
+                ['subs/[Group] Frieren - 17v2 [1080p].ass', 'subs/[Group] Frieren - 17 [1080p].ass']
+            );
+        });
+    });
+
+    describe('episode patterns', () => {
+        it('matches the common season and episode notations', () => {
+            for (const filename of ['Show.S02E05.en.srt', 'Show.s2e5.srt', 'Show.2x05.srt', 'Show Season 2 Episode 5.srt']) {
+                assert.equal(matcher.matchesEpisode(filename, 2, 5).score, 1.0, filename);
+            }
+            assert.equal(matcher.matchesEpisode('Show.S02E06.srt', 2, 5).score, 0);
+        });
+
+        it('matches every episode a multi-episode file covers', () => {
+            assert.equal(matcher.matchesEpisode('Show.S01E01E02.srt', 1, 2).method, 'episode_range');
+            assert.equal(matcher.matchesEpisode('Show.S01E01-E03.srt', 1, 3).method, 'episode_range');
+            assert.equal(matcher.matchesEpisode('Show.S01E01-E03.srt', 1, 4).score, 0);
+            // A title that starts with a number isn't an episode range
+            assert.equal(matcher.extractEpisodeRange('Show.S01E05-12.Angry.Men.srt'), null);
+        });
+
+        it('matches specials named outside season 0 to season 0 only', () => {
+            assert.equal(matcher.matchesEpisode('Show.Special.2.srt', 0, 2).method, 'special_episode');
+            assert.equal(matcher.matchesEpisode('[Group] Show OVA 1.ass', 0, 1).method, 'special_episode');
+            assert.equal(matcher.matchesEpisode('Show.Special.2.srt', 1, 2).score, 0);
+        });
+    });
+
+    describe('air dates', () => {
+        const episodes = [
+            { season: 29, episode: 50, airDate: '2024-03-13' },
+            { season: 29, episode: 51, airDate: '2024-03-14' },
+            { season: 29, episode: 53, airDate: '2024-03-18' }
+        ];
+
+        it('reads year first and day first dates', () => {
+            assert.equal(matcher.extractAirDate('The.Daily.Show.2024.03.14.en.srt'), '2024-03-14');
+            assert.equal(matcher.extractAirDate('The Daily Show 14-03-2024.srt'), '2024-03-14');
+            assert.equal(matcher.extractAirDate('Show.2024.13.40.srt'), null);
+        });
+
+        it('matches the episode that aired on the date', () => {
+            assert.equal(matcher.matchesEpisode('The.Daily.Show.2024.03.14.en.srt', 29, 51, 0.7, { episodes }).method, 'air_date');
+            assert.equal(matcher.matchesEpisode('The.Daily.Show.2024.03.13.en.srt', 29, 51, 0.7, { episodes }).method, 'air_date_mismatch');
+        });
+
+        it('accepts a date a day off when no other episode aired that day', () => {
+            const match = matcher.matchesEpisode('The.Daily.Show.2024.03.19.en.srt', 29, 53, 0.7, { episodes });
+            assert.equal(match.method, 'air_date_close');
+            assert.equal(match.score, 0.8);
+        });
+
+        it('matches nothing when the metadata lacks the requested episode', () => {
+            assert.equal(matcher.matchesEpisode('The.Daily.Show.2024.03.20.en.srt', 29, 54, 0.7, { episodes }).method, 'air_date_unknown');
+            assert.equal(matcher.matchesEpisode('The.Daily.Show.2024.03.14.en.srt', 29, 51).method, 'air_date_unknown');
+        });
+
+        it('finds date named files through findBestMatches', () => {
+            const paths = ['subs/The.Daily.Show.2024.03.13.en.srt', 'subs/The.Daily.Show.2024.03.14.en.srt', 'subs/The.Daily.Show.S29E50.en.srt'];
+            assert.deepEqual(
+                matchedPaths(paths, 'series', 'tt0115147:29:51', ['The Daily Show'], null, 0.4, { episodes }),
+                ['subs/The.Daily.Show.2024.03.14.en.srt']
+            );
+        });
+    });
+});
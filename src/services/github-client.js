@@ -0,0 +1,192 @@
+/**
+ * Shared GitHub API HTTP client
+ *
+ * Adds authentication, tracks the X-RateLimit-* headers per token and retries
+ * requests that hit GitHub's secondary rate limits. Exhausted rate limits are
+ * surfaced as a GitHubRateLimitError instead of a generic failure.
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+// Last known rate limit state, keyed by token (or 'anonymous')
+const rateLimits = new Map();
+
+/**
+ * Error raised when GitHub refuses requests because a rate limit was exceeded
+ */
+class GitHubRateLimitError extends Error {
+    /**
+     * @param {Date} resetAt - When GitHub will accept requests again
+     * @param {string} kind - 'primary' or 'secondary'
+     */
+    constructor(resetAt, kind = 'primary') {
+        super(`GitHub API rate limited until ${formatTime(resetAt)}`);
+        this.name = 'GitHubRateLimitError';
+        this.resetAt = resetAt;
+        this.kind = kind;
+    }
+}
+
+/**
+ * Resolve the GitHub token for a request
+ * @param {Object} config - Addon configuration (optional)
+ * @returns {string|null} Token from config, GITHUB_TOKEN env variable, or null
+ */
+function resolveToken(config = {}) {
+    return (config && config.github_token) || process.env.GITHUB_TOKEN || null;
+}
+
+/**
+ * Get a fingerprint of a token that can be used in cache keys and URLs
+ * @param {string|null} token - GitHub token
+ * @returns {string|null} Hex fingerprint, or null without a token
+ */
+function getTokenFingerprint(token) {
+    return token ? crypto.createHash('sha256').update(token).digest('hex').substring(0, 20) : null;
+}
+
+/**
+ * Perform a request against the GitHub API
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {string} [options.token] - GitHub token used for authentication
+ * @param {Object} [options.headers] - Additional request headers
+ * @returns {Promise<Object>} fetch Response (any status other than a rate limit)
+ * @throws {GitHubRateLimitError} When the rate limit is exhausted
+ */
+async function githubRequest(url, options = {}) {
+    const { token = null, headers = {} } = options;
+    const limitKey = token || 'anonymous';
+
+    const known = rateLimits.get(limitKey);
+    if (known && known.remaining === 0 && known.resetAt > new Date()) {
+        throw new GitHubRateLimitError(known.resetAt);
+    }
+
+    const requestHeaders = {
+        'Accept': 'application/vnd.github+json',
+        'User-Agent': 'stremio-github-subtitles',
+        ...headers
+    };
+    if (token) {
+        requestHeaders['Authorization'] = `Bearer ${token}`;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        const response = await fetch(url, { headers: requestHeaders });
+        const state = updateRateLimit(limitKey, response);
+
+        if (response.status !== 403 && response.status !== 429) {
+            return response;
+        }
+
+        if (state && state.remaining === 0) {
+            console.error(`GitHub primary rate limit exhausted (limit ${state.limit}), resets at ${formatTime(state.resetAt)}`);
+            throw new GitHubRateLimitError(state.resetAt);
+        }
+
+        const body = await response.text();
+        const retryAfter = parseInt(response.headers.get('retry-after'));
+        const isSecondary = !isNaN(retryAfter) || /secondary rate limit|abuse/i.test(body);
+
+        if (!isSecondary) {
+            // Plain 403 (e.g. forbidden resource) - let the caller handle it
+            return rebuildResponse(response, body);
+        }
+
+        const waitMs = !isNaN(retryAfter)
+            ? retryAfter * 1000
+            : BASE_BACKOFF_MS * Math.pow(2, attempt);
+
+        if (attempt >= MAX_RETRIES || waitMs > MAX_BACKOFF_MS) {
+            const resetAt = new Date(Date.now() + waitMs);
+            console.error(`GitHub secondary rate limit hit, giving up after ${attempt + 1} attempts`);
+            throw new GitHubRateLimitError(resetAt, 'secondary');
+        }
+
+        console.log(`GitHub secondary rate limit hit, retrying in ${waitMs}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+        await sleep(waitMs);
+    }
+}
+
+/**
+ * Record the X-RateLimit-* headers of a response
+ * @param {string} limitKey - Token or 'anonymous'
+ * @param {Object} response - fetch Response
+ * @returns {Object|null} Updated rate limit state or null if headers are missing
+ */
+function updateRateLimit(limitKey, response) {
+    const remaining = response.headers.get('x-ratelimit-remaining');
+    const reset = response.headers.get('x-ratelimit-reset');
+
+    if (remaining === null || reset === null) {
+        return null;
+    }
+
+    const state = {
+        limit: parseInt(response.headers.get('x-ratelimit-limit')),
+        remaining: parseInt(remaining),
+        used: parseInt(response.headers.get('x-ratelimit-used')),
+        resetAt: new Date(parseInt(reset) * 1000)
+    };
+
+    rateLimits.set(limitKey, state);
+    return state;
+}
+
+/**
+ * Get the last known rate limit state
+ * @param {string} token - GitHub token (optional)
+ * @returns {Object|null} Rate limit state or null if unknown
+ */
+function getRateLimit(token = null) {
+    return rateLimits.get(token || 'anonymous') || null;
+}
+
+/**
+ * Recreate a response whose body has already been consumed
+ * @param {Object} response - Original fetch Response
+ * @param {string} body - Body text
+ * @returns {Object} New fetch Response
+ */
+function rebuildResponse(response, body) {
+    return new fetch.Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+}
+
+/**
+ * Format a date as HH:MM UTC with the time left until then
+ * The server's time zone means nothing to whoever reads the message.
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted time, e.g. "14:05 UTC, in 12 minutes"
+ */
+function formatTime(date) {
+    const time = `${String(date.getUTCHours()).padStart(2, '0')}:${String(date.getUTCMinutes()).padStart(2, '0')} UTC`;
+    const minutes = Math.max(0, Math.ceil((date.getTime() - Date.now()) / 60000));
+    return `${time}, in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    githubRequest,
+    resolveToken,
+    getTokenFingerprint,
+    getRateLimit,
+    GitHubRateLimitError
+};
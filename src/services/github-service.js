@@ -2,70 +2,362 @@
  * GitHub API service for fetching subtitle files
  */
 
-const fetch = require('node-fetch');
+const { githubRequest, GitHubRateLimitError } = require('./github-client');
+const repoIndexCache = require('./repo-index-cache');
+
+// Optional index of video hashes published at the repository (or subtitles path) root
+const HASH_INDEX_FILENAME = 'subtitles.index.json';
+const MANIFEST_FILENAMES = ['subtitles.manifest.json', 'subtitles.manifest.yaml', 'subtitles.manifest.yml'];
+// Responses meaning the token can't (or can no longer) read the repository
+const ACCESS_DENIED_STATUSES = [401, 403, 404];
+
+/**
+ * Error raised when the GitHub API answers with an error status
+ */
+class GitHubApiError extends Error {
+    /**
+     * @param {number} status - HTTP status of the GitHub response
+     * @param {string} statusText - HTTP status text
+     */
+    constructor(status, statusText) {
+        super(`GitHub API error: ${status} ${statusText}`);
+        this.name = 'GitHubApiError';
+        this.status = status;
+    }
+}
 
 /**
- * Fetch files from GitHub repository recursively
+ * Fetch subtitle files from GitHub repository
+ * Uses a single recursive Git Trees API request and only walks the
+ * contents API when GitHub reports the tree as truncated. Listings are
+ * cached per token and revalidated with If-None-Match once their TTL expires;
+ * the cached listing is served when GitHub cannot be reached, but not when
+ * GitHub denies access to the repository.
  * @param {string} repo - Repository in format 'owner/repo'
  * @param {string} path - Path within the repository (optional)
+ * @param {Object} options - Request options
+ * @param {string} [options.token] - GitHub token used for authentication
+ * @param {string} [options.ref] - Branch, tag or commit to list (defaults to HEAD)
  * @returns {Promise<Array>} Array of subtitle files with metadata
+ * @throws {GitHubRateLimitError} When rate limited and no cached listing is available
  */
-async function fetchGitHubFiles(repo, path = '') {
+async function fetchGitHubFiles(repo, path = '', options = {}) {
+    const { token = null } = options;
+    const ref = options.ref || 'HEAD';
+    const cacheKey = repoIndexCache.buildKey(repo, ref, path, token);
+    const cached = await repoIndexCache.getEntry(cacheKey);
+    
+    if (repoIndexCache.isFresh(cached)) {
+        console.log(`Repository index cache hit for ${cacheKey} (${cached.files.length} files)`);
+        return cached.files;
+    }
+    
     try {
-        const url = `https://api.github.com/repos/${repo}/contents/${path}`;
-        console.log(`Fetching from GitHub: ${url}`);
+        const tree = await fetchGitHubTree(repo, path, ref, {
+            etag: cached ? cached.etag : null,
+            token
+        });
         
-        const response = await fetch(url);
-        if (!response.ok) {
-            console.error(`GitHub API error: ${response.status} ${response.statusText}`);
-            const errorText = await response.text();
-            console.error(`Error response body: ${errorText}`);
-            throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+        if (tree.notModified) {
+            console.log(`Repository index for ${cacheKey} not modified - reusing cached listing`);
+            await repoIndexCache.touchEntry(cacheKey);
+            return cached.files;
         }
         
-        const data = await response.json();
-        console.log(`GitHub API response: ${Array.isArray(data) ? data.length : 'not array'} items`);
+        let files = tree.files;
+        if (tree.truncated) {
+            console.log(`Tree listing for ${repo} is truncated - falling back to contents API walk`);
+            files = await fetchGitHubContents(repo, path, { token, ref });
+        }
+        
+        await repoIndexCache.setEntry(cacheKey, files, tree.etag);
+        return files;
+    } catch (error) {
+        console.error('Error fetching GitHub files:', error);
+        
+        const isAccessDenied = error instanceof GitHubApiError && ACCESS_DENIED_STATUSES.includes(error.status);
+        if (cached && !isAccessDenied) {
+            console.log(`Serving stale repository index for ${cacheKey} (${cached.files.length} files)`);
+            return cached.files;
+        }
         
-        if (!Array.isArray(data)) {
-            console.log('Response is not an array:', data);
-            return [];
+        if (error instanceof GitHubRateLimitError) {
+            throw error;
         }
         
-        let files = [];
+        return [];
+    }
+}
+
+/**
+ * Fetch the whole repository tree in one request and filter subtitle files
+ * @param {string} repo - Repository in format 'owner/repo'
+ * @param {string} path - Path prefix within the repository (optional)
+ * @param {string} ref - Branch, tag or commit to list (defaults to HEAD)
+ * @param {Object} options - Request options
+ * @param {string} [options.etag] - ETag of a previous response for conditional revalidation
+ * @param {string} [options.token] - GitHub token used for authentication
+ * @returns {Promise<Object>} Object with subtitle files, truncated flag and ETag
+ *                            (or notModified: true when the ETag still matches)
+ */
+async function fetchGitHubTree(repo, path = '', ref = 'HEAD', options = {}) {
+    const url = `https://api.github.com/repos/${repo}/git/trees/${encodePath(ref)}?recursive=1`;
+    console.log(`Fetching tree from GitHub: ${url}`);
+    
+    const headers = {};
+    if (options.etag) {
+        headers['If-None-Match'] = options.etag;
+    }
+    
+    const response = await githubRequest(url, { token: options.token, headers });
+    if (response.status === 304) {
+        return { notModified: true, etag: options.etag };
+    }
+    
+    if (!response.ok) {
+        console.error(`GitHub API error: ${response.status} ${response.statusText}`);
+        const errorText = await response.text();
+        console.error(`Error response body: ${errorText}`);
+        throw new GitHubApiError(response.status, response.statusText);
+    }
+    
+    const data = await response.json();
+    const entries = Array.isArray(data.tree) ? data.tree : [];
+    console.log(`GitHub tree response: ${entries.length} entries${data.truncated ? ' (truncated)' : ''}`);
+    
+    const prefix = normalizePath(path);
+    const files = [];
+    
+    for (const entry of entries) {
+        const indexKind = entry.type === 'blob' ? getIndexFileKind(entry.path, prefix) : null;
+        if (indexKind) {
+            files.push({
+                name: entry.path.split('/').pop(),
+                path: entry.path,
+                download_url: buildRawUrl(repo, ref, entry.path),
+                size: entry.size,
+                sha: entry.sha,
+                [indexKind]: true
+            });
+            continue;
+        }
         
-        for (const item of data) {
-            console.log(`Processing item: ${item.name} (type: ${item.type})`);
-            
-            if (item.type === 'file' && isSubtitleFile(item.name)) {
-                console.log(`  Found subtitle file: ${item.name}`);
-                files.push({
-                    name: item.name,
-                    path: item.path,
-                    download_url: item.download_url,
-                    size: item.size,
-                    sha: item.sha
-                });
-            } else if (item.type === 'dir') {
-                console.log(`  Recursively scanning directory: ${item.path}`);
-                // Recursively fetch files from subdirectories
-                const subFiles = await fetchGitHubFiles(repo, item.path);
-                console.log(`  Found ${subFiles.length} subtitle files in ${item.path}`);
-                files = files.concat(subFiles);
-            } else {
-                console.log(`  Skipping ${item.name} (not a subtitle file)`);
-            }
+        if (entry.type !== 'blob' || !isWithinPath(entry.path, prefix)) {
+            continue;
         }
         
-        console.log(`Total subtitle files found: ${files.length}`);
-        if (files.length > 0) {
-            console.log('All found subtitle files:', files.map(f => f.name));
+        const name = entry.path.split('/').pop();
+        if (!isSubtitleFile(name) && !isArchiveFile(name)) {
+            continue;
         }
         
-        return files;
-    } catch (error) {
-        console.error('Error fetching GitHub files:', error);
+        files.push({
+            name,
+            path: entry.path,
+            download_url: buildRawUrl(repo, ref, entry.path),
+            size: entry.size,
+            sha: entry.sha
+        });
+    }
+    
+    markVobSubPairs(files, entries.filter(entry => entry.type === 'blob').map(entry => entry.path));
+    
+    console.log(`Total subtitle files found in tree: ${files.length}`);
+    if (files.length > 0) {
+        console.log('All found subtitle files:', files.map(f => f.name));
+    }
+    
+    return {
+        files,
+        truncated: !!data.truncated,
+        etag: response.headers.get('etag')
+    };
+}
+
+/**
+ * Fetch files from GitHub repository by walking the contents API recursively
+ * @param {string} repo - Repository in format 'owner/repo'
+ * @param {string} path - Path within the repository (optional)
+ * @param {Object} options - Request options
+ * @param {string} [options.token] - GitHub token used for authentication
+ * @param {string} [options.ref] - Branch, tag or commit to list (defaults to the default branch)
+ * @returns {Promise<Array>} Array of subtitle files with metadata
+ */
+async function fetchGitHubContents(repo, path = '', options = {}) {
+    const query = options.ref && options.ref !== 'HEAD' ? `?ref=${encodeURIComponent(options.ref)}` : '';
+    const url = `https://api.github.com/repos/${repo}/contents/${encodePath(normalizePath(path))}${query}`;
+    console.log(`Fetching from GitHub: ${url}`);
+    
+    const response = await githubRequest(url, { token: options.token });
+    if (!response.ok) {
+        console.error(`GitHub API error: ${response.status} ${response.statusText}`);
+        const errorText = await response.text();
+        console.error(`Error response body: ${errorText}`);
+        throw new GitHubApiError(response.status, response.statusText);
+    }
+    
+    const data = await response.json();
+    console.log(`GitHub API response: ${Array.isArray(data) ? data.length : 'not array'} items`);
+    
+    if (!Array.isArray(data)) {
+        console.log('Response is not an array:', data);
         return [];
     }
+    
+    let files = [];
+    // The hash index and manifest are only picked up at the top of the walk
+    const root = options.root !== undefined ? options.root : normalizePath(path);
+    
+    for (const item of data) {
+        console.log(`Processing item: ${item.name} (type: ${item.type})`);
+        
+        const indexKind = item.type === 'file' ? getIndexFileKind(item.path, root) : null;
+        if (indexKind) {
+            files.push({
+                name: item.name,
+                path: item.path,
+                download_url: buildRawUrl(repo, options.ref || 'HEAD', item.path),
+                size: item.size,
+                sha: item.sha,
+                [indexKind]: true
+            });
+        } else if (item.type === 'file' && (isSubtitleFile(item.name) || isArchiveFile(item.name))) {
+            console.log(`  Found subtitle file: ${item.name}`);
+            files.push({
+                name: item.name,
+                path: item.path,
+                // Pin downloads to the requested ref rather than the default branch
+                download_url: options.ref && options.ref !== 'HEAD'
+                    ? buildRawUrl(repo, options.ref, item.path)
+                    : item.download_url,
+                size: item.size,
+                sha: item.sha
+            });
+        } else if (item.type === 'dir') {
+            console.log(`  Recursively scanning directory: ${item.path}`);
+            // Recursively fetch files from subdirectories
+            const subFiles = await fetchGitHubContents(repo, item.path, { ...options, root });
+            console.log(`  Found ${subFiles.length} subtitle files in ${item.path}`);
+            files = files.concat(subFiles);
+        } else {
+            console.log(`  Skipping ${item.name} (not a subtitle file)`);
+        }
+    }
+    
+    markVobSubPairs(files, data.filter(item => item.type === 'file').map(item => item.path));
+    
+    console.log(`Total subtitle files found: ${files.length}`);
+    if (files.length > 0) {
+        console.log('All found subtitle files:', files.map(f => f.name));
+    }
+    
+    return files;
+}
+
+/**
+ * Flag .sub files that have a .idx companion (VobSub image subtitle pairs)
+ * @param {Array} files - Subtitle files found in the listing
+ * @param {Array<string>} paths - Paths of all files in the listing
+ */
+function markVobSubPairs(files, paths) {
+    const idxFiles = new Set(
+        paths
+            .filter(filePath => /\.idx$/i.test(filePath))
+            .map(filePath => filePath.slice(0, -4).toLowerCase())
+    );
+    
+    if (idxFiles.size === 0) {
+        return;
+    }
+    
+    for (const file of files) {
+        if (/\.sub$/i.test(file.path) && idxFiles.has(file.path.slice(0, -4).toLowerCase())) {
+            file.hasIdxCompanion = true;
+        }
+    }
+}
+
+/**
+ * Strip leading and trailing slashes from a repository path
+ * @param {string} path - Path within the repository
+ * @returns {string} Normalized path ('' for the repository root)
+ */
+function normalizePath(path) {
+    return (path || '').replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Check whether a repository path lies under a path prefix
+ * @param {string} filePath - Full path of the file in the repository
+ * @param {string} prefix - Normalized path prefix ('' matches everything)
+ * @returns {boolean} True if the file is inside the prefix
+ */
+function isWithinPath(filePath, prefix) {
+    return !prefix || filePath === prefix || filePath.startsWith(`${prefix}/`);
+}
+
+/**
+ * Check whether a repository path is a hash index the addon reads
+ * @param {string} filePath - Full path of the file in the repository
+ * @param {string} prefix - Normalized subtitles path ('' for the repository root)
+ * @returns {boolean} True for the index at the repository root or the subtitles path
+ */
+function isHashIndexPath(filePath, prefix) {
+    return isAtRoot(filePath, prefix, HASH_INDEX_FILENAME);
+}
+
+/**
+ * Check whether a repository path is a subtitle manifest the addon reads
+ * @param {string} filePath - Full path of the file in the repository
+ * @param {string} prefix - Normalized subtitles path ('' for the repository root)
+ * @returns {boolean} True for a manifest at the repository root or the subtitles path
+ */
+function isManifestPath(filePath, prefix) {
+    return MANIFEST_FILENAMES.some(name => isAtRoot(filePath, prefix, name));
+}
+
+/**
+ * Tell which repository index file a path is, if any
+ * @param {string} filePath - Full path of the file in the repository
+ * @param {string} prefix - Normalized subtitles path ('' for the repository root)
+ * @returns {string|null} 'hashIndex', 'manifest' or null for other files
+ */
+function getIndexFileKind(filePath, prefix) {
+    if (isHashIndexPath(filePath, prefix)) {
+        return 'hashIndex';
+    }
+    return isManifestPath(filePath, prefix) ? 'manifest' : null;
+}
+
+/**
+ * Check whether a path is a given file at the repository root or the subtitles path
+ * @param {string} filePath - Full path of the file in the repository
+ * @param {string} prefix - Normalized subtitles path ('' for the repository root)
+ * @param {string} name - File name
+ * @returns {boolean} True if the path is prefix/name or name
+ */
+function isAtRoot(filePath, prefix, name) {
+    return filePath === name || (!!prefix && filePath === `${prefix}/${name}`);
+}
+
+/**
+ * Build a raw.githubusercontent.com download URL for a file
+ * @param {string} repo - Repository in format 'owner/repo'
+ * @param {string} ref - Branch, tag or commit
+ * @param {string} filePath - Path of the file in the repository
+ * @returns {string} Raw download URL
+ */
+function buildRawUrl(repo, ref, filePath) {
+    return `https://raw.githubusercontent.com/${repo}/${encodePath(ref)}/${encodePath(filePath)}`;
+}
+
+/**
+ * URL-encode each segment of a slash separated path or ref
+ * @param {string} value - Path or ref to encode
+ * @returns {string} Encoded value with slashes preserved
+ */
+function encodePath(value) {
+    return value.split('/').map(encodeURIComponent).join('/');
 }
 
 /**
@@ -77,6 +369,15 @@ function isSubtitleFile(filename) {
     return /\.(srt|vtt|ass|ssa|sub)$/i.test(filename);
 }
 
+/**
+ * Check if a file is a subtitle archive (season packs etc.)
+ * @param {string} filename - The filename to check
+ * @returns {boolean} True if it's a .zip or .7z archive
+ */
+function isArchiveFile(filename) {
+    return /\.(zip|7z)$/i.test(filename);
+}
+
 /**
  * Get supported subtitle file extensions
  * @returns {Array<string>} Array of supported extensions
@@ -99,19 +400,36 @@ function validateRepoFormat(repo) {
     return parts.length === 2 && parts[0].length > 0 && parts[1].length > 0;
 }
 
+/**
+ * Validate a Git ref (branch, tag or commit SHA)
+ * @param {string} ref - Ref to validate
+ * @returns {boolean} True if the ref can be used in GitHub API and raw URLs
+ */
+function validateRef(ref) {
+    if (!ref || typeof ref !== 'string') {
+        return false;
+    }
+    
+    // Subset of git check-ref-format rules
+    return !/[\s~^:?*\[\\]|\.\.|@\{|\/\/|^[\/.]|[\/.]$|\.lock$/.test(ref);
+}
+
 /**
  * Fetch repository information
  * @param {string} repo - Repository in format 'owner/repo'
+ * @param {Object} options - Request options
+ * @param {string} [options.token] - GitHub token used for authentication
  * @returns {Promise<Object|null>} Repository information or null if error
+ * @throws {GitHubRateLimitError} When rate limited
  */
-async function fetchRepoInfo(repo) {
+async function fetchRepoInfo(repo, options = {}) {
     try {
         if (!validateRepoFormat(repo)) {
             throw new Error('Invalid repository format. Use owner/repo');
         }
         
         const url = `https://api.github.com/repos/${repo}`;
-        const response = await fetch(url);
+        const response = await githubRequest(url, { token: options.token });
         
         if (!response.ok) {
             throw new Error(`Repository not found or not accessible: ${response.status}`);
@@ -129,15 +447,29 @@ async function fetchRepoInfo(repo) {
             updatedAt: data.updated_at
         };
     } catch (error) {
+        if (error instanceof GitHubRateLimitError) {
+            throw error;
+        }
         console.error('Error fetching repository info:', error);
         return null;
     }
 }
 
 module.exports = {
+    HASH_INDEX_FILENAME,
+    MANIFEST_FILENAMES,
     fetchGitHubFiles,
+    fetchGitHubTree,
+    fetchGitHubContents,
     isSubtitleFile,
+    isArchiveFile,
+    isHashIndexPath,
+    isManifestPath,
+    markVobSubPairs,
     getSupportedExtensions,
     validateRepoFormat,
-    fetchRepoInfo
+    validateRef,
+    buildRawUrl,
+    fetchRepoInfo,
+    GitHubApiError
 };
@@ -0,0 +1,189 @@
+/**
+ * Repository hash index
+ *
+ * A repository can publish subtitles.index.json at its root (or at the root of
+ * the subtitles path) to map OpenSubtitles-style video hashes to subtitle
+ * files. A hash identifies the exact video file, so a hash match beats any
+ * filename matching. Format:
+ *
+ * {
+ *   "version": 1,
+ *   "videos": [
+ *     {
+ *       "hash": "8e245d9679d31e12",
+ *       "size": 12909756,
+ *       "name": "Movie.2010.1080p.BluRay.x264-GROUP.mkv",
+ *       "subtitles": ["movies/Movie.2010.en.srt", "packs/movie.zip/Movie.2010.hu.srt"]
+ *     }
+ *   ]
+ * }
+ *
+ * Subtitle paths are relative to the repository root; files inside archives
+ * are addressed as archive path + "/" + entry. size and name are optional,
+ * but a size guards against hash collisions.
+ */
+
+const { downloadSubtitle } = require('./subtitle-download');
+const { BoundedCache } = require('../utils/bounded-cache');
+
+const MAX_INDEX_BYTES = 5 * 1024 * 1024;
+const HASH_PATTERN = /^[0-9a-f]{16}$/;
+
+// Parsed indexes (or null for invalid ones), keyed by blob sha
+const indexCache = new BoundedCache(100);
+
+/**
+ * Error raised when a hash index file is malformed
+ */
+class HashIndexError extends Error {
+    /**
+     * @param {string} message - Error message
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'HashIndexError';
+    }
+}
+
+/**
+ * Normalize a video hash
+ * @param {*} value - Hash as sent by Stremio or written in the index
+ * @returns {string|null} Lowercase 16 digit hex hash or null when invalid
+ */
+function normalizeHash(value) {
+    const hash = String(value || '').trim().toLowerCase();
+    if (!hash) {
+        return null;
+    }
+    const padded = hash.padStart(16, '0');
+    return HASH_PATTERN.test(padded) ? padded : null;
+}
+
+/**
+ * Parse and validate the contents of a hash index
+ * Invalid entries are skipped with a warning; a file that isn't an index at
+ * all is rejected.
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} { videos: Map of hash to entries, count, warnings }
+ * @throws {HashIndexError} When the data has no videos list
+ */
+function parseHashIndex(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.videos)) {
+        throw new HashIndexError('Hash index must be an object with a "videos" array');
+    }
+
+    const videos = new Map();
+    const warnings = [];
+    let count = 0;
+
+    data.videos.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            warnings.push(`videos[${index}]: must be an object with "hash" and "subtitles"`);
+            return;
+        }
+
+        const hash = normalizeHash(entry.hash);
+        if (!hash) {
+            warnings.push(`videos[${index}]: "hash" must be a 16 digit hex string`);
+            return;
+        }
+
+        const size = entry.size === undefined || entry.size === null ? null : Number(entry.size);
+        if (size !== null && (!Number.isInteger(size) || size <= 0)) {
+            warnings.push(`videos[${index}]: "size" must be a positive integer`);
+            return;
+        }
+
+        const subtitles = Array.isArray(entry.subtitles)
+            ? entry.subtitles.filter(value => typeof value === 'string' && value.trim()).map(value => value.trim().replace(/^\/+/, ''))
+            : [];
+        if (subtitles.length === 0) {
+            warnings.push(`videos[${index}]: "subtitles" must list at least one path`);
+            return;
+        }
+
+        const entries = videos.get(hash) || [];
+        entries.push({ size, name: entry.name || null, subtitles });
+        videos.set(hash, entries);
+        count++;
+    });
+
+    return { videos, count, warnings };
+}
+
+/**
+ * Load the hash index published by a source
+ * @param {Object} indexFile - Index file from the repository listing, tagged with its source
+ * @returns {Promise<Object|null>} Parsed index, or null when it can't be used
+ */
+async function loadHashIndex(indexFile) {
+    if (indexFile.sha && indexCache.has(indexFile.sha)) {
+        return indexCache.get(indexFile.sha);
+    }
+
+    const { repo, ref, token } = indexFile.source;
+    let buffer;
+    try {
+        buffer = await downloadSubtitle(repo, ref, indexFile.path, { maxBytes: MAX_INDEX_BYTES, token });
+    } catch (error) {
+        console.error(`Error downloading hash index ${repo}:${indexFile.path}:`, error.message);
+        return null;
+    }
+
+    let index = null;
+    try {
+        index = parseHashIndex(JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, '')));
+        index.warnings.forEach(warning => console.log(`Hash index ${repo}:${indexFile.path}: skipping ${warning}`));
+        console.log(`Loaded hash index ${repo}:${indexFile.path} with ${index.count} videos`);
+    } catch (error) {
+        console.error(`Invalid hash index ${repo}:${indexFile.path}:`, error.message);
+    }
+
+    if (indexFile.sha) {
+        indexCache.set(indexFile.sha, index);
+    }
+
+    return index;
+}
+
+/**
+ * Find the subtitle paths listed for a video
+ * @param {Object} index - Parsed hash index
+ * @param {string} videoHash - Hash of the playing video
+ * @param {number|string} [videoSize] - Size of the playing video in bytes
+ * @returns {Set<string>} Subtitle paths (relative to the repository root)
+ */
+function findHashMatches(index, videoHash, videoSize) {
+    const paths = new Set();
+    const hash = normalizeHash(videoHash);
+    if (!index || !hash) {
+        return paths;
+    }
+
+    const size = parseInt(videoSize) || null;
+    for (const entry of index.videos.get(hash) || []) {
+        // A hash with a different size is a collision, not the same video
+        if (size && entry.size && entry.size !== size) {
+            continue;
+        }
+        entry.subtitles.forEach(subtitlePath => paths.add(subtitlePath));
+    }
+
+    return paths;
+}
+
+/**
+ * Clear the hash index cache
+ */
+function clearCache() {
+    indexCache.clear();
+}
+
+module.exports = {
+    loadHashIndex,
+    parseHashIndex,
+    findHashMatches,
+    normalizeHash,
+    clearCache,
+    HashIndexError
+};
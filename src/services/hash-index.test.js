@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseHashIndex, findHashMatches, normalizeHash, HashIndexError } = require('./hash-index');
+
+const HASH = '8e245d9679d31e12';
+
+describe('parseHashIndex', () => {
+    it('indexes videos by normalized hash', () => {
+        const index = parseHashIndex({
+            videos: [
+                { hash: HASH.toUpperCase(), size: 12909756, name: 'Movie.2010.mkv', subtitles: ['/movies/Movie.2010.en.srt', ' movies/Movie.2010.de.srt '] },
+                { hash: 'abc', subtitles: ['short.srt'] }
+            ]
+        });
+
+        assert.equal(index.count, 2);
+        assert.deepEqual(index.warnings, []);
+        assert.deepEqual(index.videos.get(HASH), [
+            { size: 12909756, name: 'Movie.2010.mkv', subtitles: ['movies/Movie.2010.en.srt', 'movies/Movie.2010.de.srt'] }
+        ]);
+        assert.ok(index.videos.has('0000000000000abc'));
+    });
+
+    it('skips invalid entries with a warning', () => {
+        const index = parseHashIndex({
+            videos: [
+                { hash: 'not a hash', subtitles: ['a.srt'] },
+                { hash: HASH, size: -1, subtitles: ['a.srt'] },
+                { hash: HASH, subtitles: [] },
+                null
+            ]
+        });
+
+        assert.equal(index.count, 0);
+        assert.deepEqual(index.warnings, [
+            'videos[0]: "hash" must be a 16 digit hex string',
+            'videos[1]: "size" must be a positive integer',
+            'videos[2]: "subtitles" must list at least one path',
+            'videos[3]: must be an object with "hash" and "subtitles"'
+        ]);
+    });
+
+    it('rejects data without a videos list', () => {
+        assert.throws(() => parseHashIndex({ files: [] }), HashIndexError);
+        assert.throws(() => parseHashIndex(null), HashIndexError);
+    });
+});
+
+describe('findHashMatches', () => {
+    const index = parseHashIndex({
+        videos: [
+            { hash: HASH, size: 1000, subtitles: ['a.en.srt'] },
+            { hash: HASH, size: 2000, subtitles: ['b.en.srt'] },
+            { hash: HASH, subtitles: ['c.en.srt'] }
+        ]
+    });
+
+    it('skips entries of another size as hash collisions', () => {
+        assert.deepEqual([...findHashMatches(index, HASH, 1000)], ['a.en.srt', 'c.en.srt']);
+        assert.deepEqual([...findHashMatches(index, HASH, '2000')], ['b.en.srt', 'c.en.srt']);
+    });
+
+    it('lists every entry when the size is unknown', () => {
+        assert.deepEqual([...findHashMatches(index, HASH)], ['a.en.srt', 'b.en.srt', 'c.en.srt']);
+    });
+
+    it('finds nothing for an invalid or unknown hash', () => {
+        assert.equal(findHashMatches(index, 'xyz', 1000).size, 0);
+        assert.equal(findHashMatches(index, '0000000000000001').size, 0);
+        assert.equal(findHashMatches(null, HASH).size, 0);
+    });
+});
+
+describe('normalizeHash', () => {
+    it('pads and lowercases hex hashes', () => {
+        assert.equal(normalizeHash('ABC'), '0000000000000abc');
+        assert.equal(normalizeHash(' 8E245D9679D31E12 '), HASH);
+        assert.equal(normalizeHash('12345678901234567'), null);
+        assert.equal(normalizeHash(undefined), null);
+        assert.equal(normalizeHash('  '), null);
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Subtitle language detection service
+ *
+ * Samples the text of a subtitle file through the download path and
+ * classifies its language offline (see ../utils/language-detect). Used when
+ * the filename doesn't tell the language reliably. Results are cached per
+ * blob sha, which only changes with the file's content.
+ */
+
+const { downloadSubtitleSample } = require('./subtitle-download');
+const { extractArchiveEntry } = require('./archive-service');
+const { decodeSubtitle } = require('../utils/charset');
+const { detectTextLanguage } = require('../utils/language-detect');
+const { BoundedCache } = require('../utils/bounded-cache');
+
+// Detection results (or null when undetermined), keyed by blob sha
+const languageCache = new BoundedCache(5000);
+
+/**
+ * Detect the language of a repository subtitle file from its content
+ * @param {Object} file - Subtitle file tagged with its source (archive entries are supported)
+ * @returns {Promise<Object|null>} { code, confidence, method } or null when undetermined
+ */
+async function detectFileLanguage(file) {
+    if (file.sha && languageCache.has(file.sha)) {
+        return languageCache.get(file.sha);
+    }
+
+    const { repo, ref, token } = file.source;
+    let result;
+    try {
+        const buffer = file.archive
+            ? await extractArchiveEntry(repo, ref, file.archive.path, file.archive.entry, { token })
+            : await downloadSubtitleSample(repo, ref, file.path, { token });
+        result = detectTextLanguage(decodeSubtitle(buffer).text);
+    } catch (error) {
+        console.error(`Language detection failed for ${file.path}:`, error.message);
+        return null;
+    }
+
+    console.log(`Detected language of ${file.path}: ${result ? `${result.code} (${result.method}, ${result.confidence.toFixed(2)})` : 'undetermined'}`);
+
+    if (file.sha) {
+        languageCache.set(file.sha, result);
+    }
+
+    return result;
+}
+
+/**
+ * Clear the language detection cache
+ */
+function clearCache() {
+    languageCache.clear();
+}
+
+module.exports = {
+    detectFileLanguage,
+    clearCache
+};
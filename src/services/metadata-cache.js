@@ -0,0 +1,321 @@
+/**
+ * Metadata cache
+ *
+ * Bounded LRU cache for title metadata, keyed by IMDB ID. Found titles and
+ * misses expire separately, so a title that wasn't found (or a provider that
+ * was briefly down) is looked up again much sooner than a known one. Series
+ * expire after a few hours, as new episodes and their air dates are added
+ * while they run.
+ * Entries are optionally persisted to a single JSON file so they survive
+ * restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_ENTRIES = 5000;
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_SERIES_TTL_SECONDS = 6 * 60 * 60;
+const DEFAULT_NEGATIVE_TTL_SECONDS = 60 * 60;
+const DEFAULT_CACHE_FILE = path.join(process.cwd(), '.cache', 'metadata.json');
+// Bump whenever cached metadata gains or changes fields, so titles stored by an
+// older version (without seasons and episodes) are looked up again
+const CACHE_FORMAT_VERSION = 2;
+// Writes are batched so a burst of lookups results in a single write
+const PERSIST_DELAY_MS = 1000;
+
+const settings = {
+    maxEntries: parseNumber(process.env.METADATA_CACHE_SIZE, DEFAULT_MAX_ENTRIES),
+    ttl: parseNumber(process.env.METADATA_CACHE_TTL, DEFAULT_TTL_SECONDS),
+    seriesTtl: parseNumber(process.env.METADATA_CACHE_SERIES_TTL, DEFAULT_SERIES_TTL_SECONDS),
+    negativeTtl: parseNumber(process.env.METADATA_CACHE_NEGATIVE_TTL, DEFAULT_NEGATIVE_TTL_SECONDS),
+    file: process.env.METADATA_CACHE_FILE || DEFAULT_CACHE_FILE,
+    persist: process.env.METADATA_CACHE_PERSIST !== 'false'
+};
+
+// Map iteration order doubles as LRU order: least recently used first
+const entries = new Map();
+const stats = { hits: 0, misses: 0, evictions: 0 };
+let loaded = false;
+let persistTimer = null;
+
+/**
+ * Parse a non-negative number, falling back to a default
+ * @param {string|number} value - Value to parse
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value
+ */
+function parseNumber(value, fallback) {
+    const number = parseInt(value);
+    return isNaN(number) || number < 0 ? fallback : number;
+}
+
+/**
+ * Override cache settings
+ * @param {Object} options - Settings to change
+ * @param {number} [options.maxEntries] - Maximum number of entries kept
+ * @param {number} [options.ttl] - Seconds found titles are kept
+ * @param {number} [options.seriesTtl] - Seconds found series are kept
+ * @param {number} [options.negativeTtl] - Seconds misses are kept
+ * @param {string} [options.file] - File used to persist entries
+ * @param {boolean} [options.persist] - Whether entries are written to disk
+ */
+function configure(options = {}) {
+    if (options.maxEntries !== undefined) settings.maxEntries = parseNumber(options.maxEntries, DEFAULT_MAX_ENTRIES);
+    if (options.ttl !== undefined) settings.ttl = parseNumber(options.ttl, DEFAULT_TTL_SECONDS);
+    if (options.seriesTtl !== undefined) settings.seriesTtl = parseNumber(options.seriesTtl, DEFAULT_SERIES_TTL_SECONDS);
+    if (options.negativeTtl !== undefined) settings.negativeTtl = parseNumber(options.negativeTtl, DEFAULT_NEGATIVE_TTL_SECONDS);
+    if (options.file !== undefined) settings.file = options.file;
+    if (options.persist !== undefined) settings.persist = !!options.persist;
+    // Settings may point at another file; reload on next access
+    loaded = false;
+}
+
+/**
+ * Load persisted entries the first time the cache is used
+ * The file is bounded by maxEntries, so it is read synchronously once.
+ */
+function ensureLoaded() {
+    if (loaded) {
+        return;
+    }
+    loaded = true;
+
+    if (!settings.persist) {
+        return;
+    }
+
+    try {
+        const data = JSON.parse(fs.readFileSync(settings.file, 'utf8'));
+        if (data.version !== CACHE_FORMAT_VERSION) {
+            console.log(`Ignoring metadata cache ${settings.file} written by an older version`);
+            return;
+        }
+        const now = Date.now();
+        for (const entry of data.entries || []) {
+            if (entry && entry.key && entry.expiresAt > now && !entries.has(entry.key)) {
+                entries.set(entry.key, entry);
+            }
+        }
+        enforceLimit();
+        console.log(`Loaded ${entries.size} metadata cache entries from ${settings.file}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading metadata cache ${settings.file}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Drop least recently used entries above the size limit
+ */
+function enforceLimit() {
+    while (entries.size > settings.maxEntries) {
+        entries.delete(entries.keys().next().value);
+        stats.evictions++;
+    }
+}
+
+/**
+ * Check whether an entry has expired
+ * @param {Object} entry - Cache entry
+ * @returns {boolean} True if the entry must not be used anymore
+ */
+function isExpired(entry) {
+    return Date.now() >= entry.expiresAt;
+}
+
+/**
+ * Get a cached value
+ * @param {string} key - Cache key (IMDB ID)
+ * @returns {Object} { hit, value } - hit is true for cached misses (value null) as well
+ */
+function get(key) {
+    ensureLoaded();
+
+    const entry = entries.get(key);
+    if (!entry || isExpired(entry)) {
+        if (entry) {
+            entries.delete(key);
+            schedulePersist();
+        }
+        stats.misses++;
+        return { hit: false, value: null };
+    }
+
+    // Re-insert to mark the entry as most recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    stats.hits++;
+    return { hit: true, value: entry.value };
+}
+
+/**
+ * Get the number of seconds a value is cached
+ * @param {Object|null} value - Metadata or null when the title wasn't found
+ * @returns {number} Negative TTL for misses, series TTL for series, TTL otherwise
+ */
+function getTtl(value) {
+    if (!value) {
+        return settings.negativeTtl;
+    }
+    // Episode air dates of running series change, and matching relies on them
+    return value.type === 'series' ? Math.min(settings.seriesTtl, settings.ttl) : settings.ttl;
+}
+
+/**
+ * Store a value; null values are cached as misses with the negative TTL
+ * @param {string} key - Cache key (IMDB ID)
+ * @param {Object|null} value - Metadata or null when the title wasn't found
+ * @returns {Object} Stored entry
+ */
+function set(key, value) {
+    ensureLoaded();
+
+    const storedAt = Date.now();
+    const ttl = getTtl(value);
+    const entry = { key, value: value || null, storedAt, expiresAt: storedAt + ttl * 1000 };
+
+    entries.delete(key);
+    entries.set(key, entry);
+    enforceLimit();
+    schedulePersist();
+    return entry;
+}
+
+/**
+ * Remove an entry
+ * @param {string} key - Cache key (IMDB ID)
+ * @returns {boolean} True if an entry was removed
+ */
+function remove(key) {
+    ensureLoaded();
+
+    const removed = entries.delete(key);
+    if (removed) {
+        schedulePersist();
+    }
+    return removed;
+}
+
+/**
+ * Remove all expired entries
+ * @returns {number} Number of removed entries
+ */
+function prune() {
+    ensureLoaded();
+
+    let removed = 0;
+    for (const [key, entry] of entries) {
+        if (isExpired(entry)) {
+            entries.delete(key);
+            removed++;
+        }
+    }
+    if (removed > 0) {
+        schedulePersist();
+    }
+    return removed;
+}
+
+/**
+ * List the cached entries, least recently used first
+ * @returns {Array<Object>} Entries with key, value, storedAt, expiresAt and negative
+ */
+function list() {
+    ensureLoaded();
+
+    return [...entries.values()]
+        .filter(entry => !isExpired(entry))
+        .map(entry => ({ ...entry, negative: entry.value === null }));
+}
+
+/**
+ * Get cache statistics
+ * @returns {Object} Entry counts, hit/miss/eviction counters and settings
+ */
+function getStats() {
+    ensureLoaded();
+
+    const values = [...entries.values()];
+    return {
+        size: entries.size,
+        negative: values.filter(entry => entry.value === null).length,
+        hits: stats.hits,
+        misses: stats.misses,
+        evictions: stats.evictions,
+        maxEntries: settings.maxEntries,
+        ttl: settings.ttl,
+        seriesTtl: settings.seriesTtl,
+        negativeTtl: settings.negativeTtl,
+        persist: settings.persist ? settings.file : false
+    };
+}
+
+/**
+ * Schedule writing the cache to disk
+ */
+function schedulePersist() {
+    if (!settings.persist || persistTimer) {
+        return;
+    }
+
+    persistTimer = setTimeout(() => {
+        persistTimer = null;
+        flush();
+    }, PERSIST_DELAY_MS);
+    // Don't keep the process alive just to write the cache
+    persistTimer.unref();
+}
+
+/**
+ * Write the cache to disk now
+ * @returns {Promise<void>}
+ */
+async function flush() {
+    if (persistTimer) {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+    }
+    if (!settings.persist) {
+        return;
+    }
+
+    try {
+        await fs.promises.mkdir(path.dirname(settings.file), { recursive: true });
+        // Write to a temporary file first so a crash can't leave a truncated cache
+        const tempFile = `${settings.file}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify({ version: CACHE_FORMAT_VERSION, entries: [...entries.values()] }));
+        await fs.promises.rename(tempFile, settings.file);
+    } catch (error) {
+        console.error(`Error persisting metadata cache ${settings.file}:`, error.message);
+    }
+}
+
+/**
+ * Clear the metadata cache, in memory and on disk
+ */
+async function clear() {
+    entries.clear();
+    loaded = true;
+
+    if (persistTimer) {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+    }
+    if (settings.persist) {
+        await fs.promises.rm(settings.file, { force: true });
+    }
+}
+
+module.exports = {
+    configure,
+    get,
+    set,
+    remove,
+    prune,
+    list,
+    getStats,
+    flush,
+    clear
+};
@@ -0,0 +1,60 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const metadataCache = require('./metadata-cache');
+
+mock.method(console, 'log', () => {});
+
+describe('metadataCache', () => {
+    let directory;
+    let file;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-cache-'));
+        file = path.join(directory, 'metadata.json');
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        metadataCache.configure({ file, persist: true, ttl: 3600, seriesTtl: 600, negativeTtl: 60 });
+        await metadataCache.clear();
+    });
+
+    it('keeps series for the series TTL and misses for the negative TTL', () => {
+        const movie = metadataCache.set('tt0000001', { title: 'Movie', type: 'movie' });
+        const series = metadataCache.set('tt0000002', { title: 'Show', type: 'series', episodes: [] });
+        const miss = metadataCache.set('tt0000003', null);
+
+        assert.equal(movie.expiresAt - movie.storedAt, 3600 * 1000);
+        assert.equal(series.expiresAt - series.storedAt, 600 * 1000);
+        assert.equal(miss.expiresAt - miss.storedAt, 60 * 1000);
+        assert.deepEqual(metadataCache.get('tt0000003'), { hit: true, value: null });
+    });
+
+    it('reloads persisted entries', async () => {
+        metadataCache.set('tt0000001', { title: 'Movie', type: 'movie' });
+        await metadataCache.flush();
+        const persisted = fs.readFileSync(file);
+        await metadataCache.clear();
+        fs.writeFileSync(file, persisted);
+
+        metadataCache.configure({ file });
+        assert.deepEqual(metadataCache.get('tt0000001'), { hit: true, value: { title: 'Movie', type: 'movie' } });
+    });
+
+    it('ignores files written by an older version', () => {
+        const storedAt = Date.now();
+        fs.writeFileSync(file, JSON.stringify({
+            entries: [{ key: 'tt0000001', value: { title: 'Show', type: 'series' }, storedAt, expiresAt: storedAt + 60000 }]
+        }));
+
+        metadataCache.configure({ file });
+        assert.equal(metadataCache.get('tt0000001').hit, false);
+    });
+});
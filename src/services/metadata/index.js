@@ -0,0 +1,115 @@
+/**
+ * Metadata provider chain
+ *
+ * Providers are tried in order until one knows the title. Providers that
+ * aren't configured (missing API key or file) are skipped, and a failing
+ * provider falls through to the next one.
+ *
+ * Order: `metadata_providers` config, METADATA_PROVIDERS env variable,
+ * or local, tmdb, omdb, cinemeta.
+ */
+
+const omdb = require('./providers/omdb');
+const tmdb = require('./providers/tmdb');
+const cinemeta = require('./providers/cinemeta');
+const localFile = require('./providers/local-file');
+
+const PROVIDERS = {
+    [localFile.name]: localFile,
+    [tmdb.name]: tmdb,
+    [omdb.name]: omdb,
+    [cinemeta.name]: cinemeta
+};
+
+const DEFAULT_ORDER = ['local', 'tmdb', 'omdb', 'cinemeta'];
+
+/**
+ * Parse a provider list
+ * @param {string|Array<string>} value - Comma separated provider names or an array
+ * @returns {Array<string>} Known provider names in order
+ */
+function parseProviderList(value) {
+    const names = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+    const result = [];
+
+    for (const rawName of names) {
+        const providerName = String(rawName).trim().toLowerCase();
+        if (!providerName) continue;
+        if (!PROVIDERS[providerName]) {
+            console.log(`Ignoring unknown metadata provider: ${providerName}`);
+            continue;
+        }
+        if (!result.includes(providerName)) {
+            result.push(providerName);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Resolve metadata settings from addon config and environment variables
+ * Config values win over environment variables.
+ * @param {Object} config - Addon configuration (optional)
+ * @returns {Object} Settings with providers, omdbApiKey, tmdbApiKey and localFile
+ */
+function resolveSettings(config = {}) {
+    const configured = parseProviderList((config && config.metadata_providers) || process.env.METADATA_PROVIDERS);
+
+    return {
+        providers: configured.length > 0 ? configured : DEFAULT_ORDER,
+        omdbApiKey: (config && config.omdb_api_key) || process.env.OMDB_API_KEY || null,
+        tmdbApiKey: (config && config.tmdb_api_key) || process.env.TMDB_API_KEY || null,
+        // A server path, so it can only be set by whoever runs the addon
+        localFile: process.env.METADATA_FILE || null
+    };
+}
+
+/**
+ * Fetch metadata from the first provider that knows the IMDB ID
+ * @param {string} imdbId - IMDB ID (e.g., 'tt0111161')
+ * @param {Object} options - Lookup options
+ * @param {string} [options.type] - 'movie' or 'series' when known
+ * @param {Object} [options.config] - Addon configuration
+ * @returns {Promise<Object>} { metadata, failed } - metadata is null when no provider found it;
+ *   failed is true when a provider errored, so a miss shouldn't be cached
+ */
+async function fetchMetadata(imdbId, options = {}) {
+    const settings = { ...resolveSettings(options.config), type: options.type || null };
+    let failed = false;
+
+    for (const providerName of settings.providers) {
+        const provider = PROVIDERS[providerName];
+        if (!provider.isAvailable(settings)) {
+            continue;
+        }
+
+        try {
+            const metadata = await provider.fetchMetadata(imdbId, settings);
+            if (metadata) {
+                return { metadata, failed };
+            }
+            console.log(`Metadata provider ${providerName} has no entry for ${imdbId}`);
+        } catch (error) {
+            failed = true;
+            console.error(`Metadata provider ${providerName} failed for ${imdbId}:`, error.message);
+        }
+    }
+
+    return { metadata: null, failed };
+}
+
+/**
+ * Get the names of all metadata providers
+ * @returns {Array<string>} Provider names
+ */
+function getProviderNames() {
+    return Object.keys(PROVIDERS);
+}
+
+module.exports = {
+    fetchMetadata,
+    resolveSettings,
+    parseProviderList,
+    getProviderNames
+};
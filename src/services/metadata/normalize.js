@@ -0,0 +1,150 @@
+/**
+ * Normalized metadata shape shared by all metadata providers
+ *
+ * {
+ *   imdbId, title, originalTitle, year, type ('movie' | 'series'),
+ *   runtime (minutes), alternateTitles,
+ *   seasons (series only: episode count per season number, { 1: 28, 2: 12 }),
+ *   episodes (series only: air dates, [{ season, episode, airDate: 'YYYY-MM-DD' }]),
+ *   provider
+ * }
+ */
+
+/**
+ * Parse a year from provider data
+ * Series report ranges such as "2008–2013"; the first year is kept.
+ * @param {*} value - Year, date or year range
+ * @returns {number|null} Four digit year or null
+ */
+function parseYear(value) {
+    const match = String(value || '').match(/\b(1[89]\d{2}|2\d{3})\b/);
+    return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Parse a runtime in minutes from provider data
+ * @param {*} value - Minutes as a number or text such as "47 min" or "1h 30min"
+ * @returns {number|null} Runtime in minutes or null
+ */
+function parseRuntime(value) {
+    if (typeof value === 'number') {
+        return value > 0 ? value : null;
+    }
+
+    const text = String(value || '');
+    const hours = text.match(/(\d+)\s*h/i);
+    const minutes = text.match(/(\d+)\s*m/i);
+    if (hours || minutes) {
+        return (hours ? parseInt(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1]) : 0) || null;
+    }
+
+    const plain = parseInt(text);
+    return plain > 0 ? plain : null;
+}
+
+/**
+ * Parse per-season episode counts from provider data
+ * @param {*} value - Object keyed by season number, or an array of counts
+ *   for seasons 1, 2, ... (CSV files separate them with "|")
+ * @returns {Object|null} Episode count keyed by season number, null when unknown
+ */
+function parseSeasons(value) {
+    if (!value) {
+        return null;
+    }
+
+    const entries = typeof value === 'object' && !Array.isArray(value)
+        ? Object.entries(value)
+        : (Array.isArray(value) ? value : String(value).split('|')).map((count, index) => [index + 1, count]);
+
+    const seasons = {};
+    for (const [season, count] of entries) {
+        const seasonNumber = parseInt(season);
+        const episodeCount = parseInt(count);
+        if (seasonNumber >= 0 && episodeCount > 0) {
+            seasons[seasonNumber] = episodeCount;
+        }
+    }
+
+    return Object.keys(seasons).length > 0 ? seasons : null;
+}
+
+/**
+ * Parse episode air dates from provider data
+ * @param {*} value - Array of { season, episode, airDate } (air_date and
+ *   released are accepted too); dates may carry a time, which is dropped
+ * @returns {Array<Object>|null} Episodes with a valid air date, null when none
+ */
+function parseEpisodes(value) {
+    if (!Array.isArray(value)) {
+        return null;
+    }
+
+    const episodes = [];
+    for (const entry of value.filter(Boolean)) {
+        const season = parseInt(entry.season);
+        const episode = parseInt(entry.episode);
+        const date = String(entry.airDate || entry.air_date || entry.released || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (season >= 0 && episode > 0 && date) {
+            episodes.push({ season, episode, airDate: date[0] });
+        }
+    }
+
+    return episodes.length > 0 ? episodes : null;
+}
+
+/**
+ * Normalize a content type name
+ * @param {string} value - Provider type (movie, series, tv, ...)
+ * @returns {string|null} 'movie', 'series' or null
+ */
+function parseType(value) {
+    const type = String(value || '').trim().toLowerCase();
+    if (type === 'movie' || type === 'film') return 'movie';
+    if (['series', 'tv', 'show', 'tvseries', 'tv_series'].includes(type)) return 'series';
+    return null;
+}
+
+/**
+ * Build a normalized metadata object
+ * @param {Object} data - Provider data already mapped to the normalized field names
+ * @param {string} provider - Provider name
+ * @returns {Object|null} Normalized metadata, or null without a title
+ */
+function buildMetadata(data, provider) {
+    const title = String(data.title || '').trim();
+    if (!title) {
+        return null;
+    }
+
+    const originalTitle = String(data.originalTitle || '').trim() || title;
+    const alternateTitles = [];
+    for (const alternate of data.alternateTitles || []) {
+        const value = String(alternate || '').trim();
+        if (value && value !== title && value !== originalTitle && !alternateTitles.includes(value)) {
+            alternateTitles.push(value);
+        }
+    }
+
+    return {
+        imdbId: data.imdbId || null,
+        title,
+        originalTitle,
+        year: parseYear(data.year),
+        type: parseType(data.type),
+        runtime: parseRuntime(data.runtime),
+        alternateTitles,
+        seasons: parseSeasons(data.seasons),
+        episodes: parseEpisodes(data.episodes),
+        provider
+    };
+}
+
+module.exports = {
+    buildMetadata,
+    parseYear,
+    parseRuntime,
+    parseSeasons,
+    parseEpisodes,
+    parseType
+};
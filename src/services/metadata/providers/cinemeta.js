@@ -0,0 +1,81 @@
+/**
+ * Cinemeta metadata provider
+ * Stremio's own metadata addon; needs no API key.
+ */
+
+const { fetchJson } = require('../request');
+const { buildMetadata } = require('../normalize');
+
+const name = 'cinemeta';
+const CINEMETA_URL = process.env.CINEMETA_URL || 'https://v3-cinemeta.strem.io';
+
+/**
+ * Check whether the provider can be used
+ * @returns {boolean} Always true
+ */
+function isAvailable() {
+    return true;
+}
+
+/**
+ * Fetch metadata from Cinemeta
+ * Both content types are tried when the type isn't known.
+ * @param {string} imdbId - IMDB ID (e.g., 'tt0111161')
+ * @param {Object} settings - Metadata settings with the optional content type
+ * @returns {Promise<Object|null>} Normalized metadata or null if not found
+ */
+async function fetchMetadata(imdbId, settings) {
+    const types = settings.type ? [settings.type] : ['movie', 'series'];
+
+    for (const type of types) {
+        const data = await fetchJson(`${CINEMETA_URL}/meta/${type}/${encodeURIComponent(imdbId)}.json`, { label: 'Cinemeta' });
+        const meta = data && data.meta;
+        if (!meta || !meta.name) {
+            continue;
+        }
+
+        return buildMetadata({
+            imdbId: meta.imdb_id || meta.id || imdbId,
+            title: meta.name,
+            year: meta.year || meta.releaseInfo || meta.released,
+            type: meta.type || type,
+            runtime: meta.runtime,
+            seasons: countEpisodes(meta.videos),
+            episodes: (meta.videos || []).map(video => ({
+                season: video.season,
+                episode: video.episode,
+                airDate: video.released || video.firstAired
+            }))
+        }, name);
+    }
+
+    return null;
+}
+
+/**
+ * Count the episodes of each season in a Cinemeta video list
+ * @param {Array<Object>} videos - Cinemeta videos with season and episode numbers
+ * @returns {Object|null} Episode count keyed by season number
+ */
+function countEpisodes(videos) {
+    if (!Array.isArray(videos)) {
+        return null;
+    }
+
+    const seasons = {};
+    for (const video of videos) {
+        const season = parseInt(video.season);
+        const episode = parseInt(video.episode);
+        // Numbering may have gaps, so the highest episode number is the count
+        if (season >= 0 && episode > 0) {
+            seasons[season] = Math.max(seasons[season] || 0, episode);
+        }
+    }
+    return seasons;
+}
+
+module.exports = {
+    name,
+    isAvailable,
+    fetchMetadata
+};
@@ -0,0 +1,178 @@
+/**
+ * Local file metadata provider for offline installs
+ *
+ * Reads a JSON or CSV file (METADATA_FILE). JSON files hold an array of
+ * entries or an object keyed by IMDB ID; CSV files need a header row.
+ * Fields: imdb_id, title, original_title, year, type, runtime,
+ * alternate_titles (an array in JSON, separated by "|" in CSV) and, for
+ * series, seasons: episode counts per season (an object keyed by season
+ * number or an array in JSON, counts separated by "|" in CSV) and episodes:
+ * air dates as an array of { season, episode, air_date } (JSON only).
+ * camelCase field names are accepted as well.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildMetadata } = require('../normalize');
+
+const name = 'local';
+
+// Parsed file, reloaded when its modification time changes
+let loaded = { file: null, mtimeMs: 0, entries: new Map() };
+
+/**
+ * Check whether the provider can be used
+ * @param {Object} settings - Metadata settings
+ * @returns {boolean} True when a metadata file is configured
+ */
+function isAvailable(settings) {
+    return !!settings.localFile;
+}
+
+/**
+ * Look up metadata in the local file
+ * @param {string} imdbId - IMDB ID (e.g., 'tt0111161')
+ * @param {Object} settings - Metadata settings with localFile
+ * @returns {Promise<Object|null>} Normalized metadata or null if not listed
+ */
+async function fetchMetadata(imdbId, settings) {
+    const entries = await loadEntries(settings.localFile);
+    const entry = entries.get(imdbId.toLowerCase());
+    return entry ? buildMetadata({ ...entry, imdbId }, name) : null;
+}
+
+/**
+ * Load and index the metadata file
+ * @param {string} file - Path of the JSON or CSV file
+ * @returns {Promise<Map>} Entries keyed by lower case IMDB ID
+ * @throws {Error} When the file can't be read or parsed
+ */
+async function loadEntries(file) {
+    const stats = await fs.promises.stat(file);
+    if (loaded.file === file && loaded.mtimeMs === stats.mtimeMs) {
+        return loaded.entries;
+    }
+
+    const content = await fs.promises.readFile(file, 'utf8');
+    const records = path.extname(file).toLowerCase() === '.csv'
+        ? parseCsv(content)
+        : parseJson(content, file);
+
+    const entries = new Map();
+    for (const record of records) {
+        const entry = mapRecord(record);
+        if (entry.imdbId) {
+            entries.set(entry.imdbId.toLowerCase(), entry);
+        }
+    }
+
+    loaded = { file, mtimeMs: stats.mtimeMs, entries };
+    console.log(`Loaded ${entries.size} metadata entries from ${file}`);
+    return entries;
+}
+
+/**
+ * Parse a JSON metadata file
+ * @param {string} content - File contents
+ * @param {string} file - File path (for error messages)
+ * @returns {Array<Object>} Raw records
+ */
+function parseJson(content, file) {
+    let data;
+    try {
+        data = JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error(`Invalid JSON in metadata file ${file}: ${error.message}`);
+    }
+
+    if (Array.isArray(data)) {
+        return data;
+    }
+    return Object.entries(data || {}).map(([imdbId, record]) => ({ imdb_id: imdbId, ...record }));
+}
+
+/**
+ * Parse a CSV metadata file with a header row
+ * Supports quoted fields with escaped quotes ("") and embedded separators.
+ * @param {string} content - File contents
+ * @returns {Array<Object>} Raw records keyed by header name
+ */
+function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const text = content.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim()));
+    const [header = [], ...records] = nonEmpty;
+    const keys = header.map(key => key.trim());
+
+    return records.map(cells => {
+        const record = {};
+        keys.forEach((key, index) => {
+            record[key] = (cells[index] || '').trim();
+        });
+        return record;
+    });
+}
+
+/**
+ * Map a raw record to the normalized field names
+ * @param {Object} record - Raw JSON or CSV record
+ * @returns {Object} Record with normalized field names
+ */
+function mapRecord(record) {
+    const pick = (...keys) => keys.map(key => record[key]).find(value => value !== undefined && value !== '');
+    const alternates = pick('alternate_titles', 'alternateTitles', 'aliases') || [];
+
+    return {
+        imdbId: pick('imdb_id', 'imdbId', 'imdb', 'id') || null,
+        title: pick('title', 'name'),
+        originalTitle: pick('original_title', 'originalTitle'),
+        year: pick('year'),
+        type: pick('type'),
+        runtime: pick('runtime'),
+        seasons: pick('seasons', 'episode_counts', 'episodeCounts'),
+        episodes: pick('episodes'),
+        alternateTitles: Array.isArray(alternates) ? alternates : String(alternates).split('|')
+    };
+}
+
+module.exports = {
+    name,
+    isAvailable,
+    fetchMetadata,
+    parseCsv
+};
@@ -0,0 +1,52 @@
+/**
+ * OMDb metadata provider
+ * Requires an API key (https://www.omdbapi.com/apikey.aspx).
+ */
+
+const { fetchJson } = require('../request');
+const { buildMetadata } = require('../normalize');
+
+const name = 'omdb';
+
+/**
+ * Check whether the provider can be used
+ * @param {Object} settings - Metadata settings
+ * @returns {boolean} True when an OMDb API key is configured
+ */
+function isAvailable(settings) {
+    return !!settings.omdbApiKey;
+}
+
+/**
+ * Fetch metadata from OMDb
+ * @param {string} imdbId - IMDB ID (e.g., 'tt0111161')
+ * @param {Object} settings - Metadata settings with omdbApiKey
+ * @returns {Promise<Object|null>} Normalized metadata or null if not found
+ */
+async function fetchMetadata(imdbId, settings) {
+    const url = `https://www.omdbapi.com/?i=${encodeURIComponent(imdbId)}&apikey=${encodeURIComponent(settings.omdbApiKey)}`;
+    const data = await fetchJson(url, { label: 'OMDb' });
+
+    if (!data || data.Response !== 'True') {
+        const error = data && data.Error;
+        // OMDb answers 200 with an error message for bad keys and exhausted limits
+        if (error && !/not found|incorrect imdb id/i.test(error)) {
+            throw new Error(`OMDb error: ${error}`);
+        }
+        return null;
+    }
+
+    return buildMetadata({
+        imdbId: data.imdbID,
+        title: data.Title,
+        year: data.Year,
+        type: data.Type,
+        runtime: data.Runtime
+    }, name);
+}
+
+module.exports = {
+    name,
+    isAvailable,
+    fetchMetadata
+};
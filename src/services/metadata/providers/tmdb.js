@@ -0,0 +1,138 @@
+/**
+ * TMDB metadata provider
+ * Accepts either a v3 API key or a v4 read access token.
+ */
+
+const { fetchJson } = require('../request');
+const { buildMetadata } = require('../normalize');
+
+const name = 'tmdb';
+const TMDB_API_URL = 'https://api.themoviedb.org/3';
+// TMDB appends at most 20 sub-requests to a single request
+const MAX_APPENDED_SEASONS = 20;
+
+/**
+ * Check whether the provider can be used
+ * @param {Object} settings - Metadata settings
+ * @returns {boolean} True when a TMDB key is configured
+ */
+function isAvailable(settings) {
+    return !!settings.tmdbApiKey;
+}
+
+/**
+ * Perform a TMDB API request
+ * @param {string} endpoint - API path with query string
+ * @param {string} apiKey - v3 API key or v4 read access token
+ * @returns {Promise<Object|null>} Response body or null if not found
+ */
+function tmdbRequest(endpoint, apiKey) {
+    // v4 read access tokens are JWTs and go in the Authorization header
+    if (apiKey.includes('.')) {
+        return fetchJson(`${TMDB_API_URL}${endpoint}`, {
+            label: 'TMDB',
+            headers: { 'Authorization': `Bearer ${apiKey}` }
+        });
+    }
+
+    const separator = endpoint.includes('?') ? '&' : '?';
+    return fetchJson(`${TMDB_API_URL}${endpoint}${separator}api_key=${encodeURIComponent(apiKey)}`, { label: 'TMDB' });
+}
+
+/**
+ * Fetch metadata from TMDB
+ * @param {string} imdbId - IMDB ID (e.g., 'tt0111161')
+ * @param {Object} settings - Metadata settings with tmdbApiKey and the optional content type
+ * @returns {Promise<Object|null>} Normalized metadata or null if not found
+ */
+async function fetchMetadata(imdbId, settings) {
+    const { tmdbApiKey, type } = settings;
+    const found = await tmdbRequest(`/find/${encodeURIComponent(imdbId)}?external_source=imdb_id`, tmdbApiKey);
+    if (!found) {
+        return null;
+    }
+
+    const movie = (found.movie_results || [])[0];
+    const show = (found.tv_results || [])[0];
+    const isSeries = type === 'series' ? !!show : !movie && !!show;
+    const result = isSeries ? show : movie;
+    if (!result) {
+        return null;
+    }
+
+    const details = await tmdbRequest(
+        `/${isSeries ? 'tv' : 'movie'}/${result.id}?append_to_response=alternative_titles`,
+        tmdbApiKey
+    ) || result;
+
+    const alternatives = details.alternative_titles || {};
+    // Movies list alternative titles under "titles", TV shows under "results"
+    const alternateTitles = (alternatives.titles || alternatives.results || []).map(entry => entry.title);
+
+    return buildMetadata({
+        imdbId,
+        title: isSeries ? details.name : details.title,
+        originalTitle: isSeries ? details.original_name : details.original_title,
+        year: isSeries ? details.first_air_date : details.release_date,
+        type: isSeries ? 'series' : 'movie',
+        runtime: isSeries ? (details.episode_run_time || [])[0] : details.runtime,
+        alternateTitles,
+        seasons: isSeries ? countEpisodes(details.seasons) : null,
+        episodes: isSeries ? await fetchEpisodes(result.id, details.seasons, tmdbApiKey) : null
+    }, name);
+}
+
+/**
+ * Fetch the episode air dates of a show
+ * Shows with more seasons than one request can carry get the latest ones.
+ * @param {number} showId - TMDB show id
+ * @param {Array<Object>} seasons - TMDB seasons with season_number
+ * @param {string} apiKey - v3 API key or v4 read access token
+ * @returns {Promise<Array<Object>|null>} Episodes { season, episode, airDate }, null when unavailable
+ */
+async function fetchEpisodes(showId, seasons, apiKey) {
+    const seasonNumbers = (seasons || []).map(season => season.season_number).slice(-MAX_APPENDED_SEASONS);
+    if (seasonNumbers.length === 0) {
+        return null;
+    }
+
+    let data;
+    try {
+        const append = seasonNumbers.map(number => `season/${number}`).join(',');
+        data = await tmdbRequest(`/tv/${showId}?append_to_response=${append}`, apiKey);
+    } catch (error) {
+        // Air dates are optional, the rest of the metadata is still usable
+        console.error(`Error fetching TMDB episodes for show ${showId}:`, error.message);
+        return null;
+    }
+
+    return seasonNumbers.flatMap(number => ((data || {})[`season/${number}`] || {}).episodes || [])
+        .map(episode => ({
+            season: episode.season_number,
+            episode: episode.episode_number,
+            airDate: episode.air_date
+        }));
+}
+
+/**
+ * Read the episode counts from a TMDB season list
+ * @param {Array<Object>} seasons - TMDB seasons with season_number and episode_count
+ * @returns {Object|null} Episode count keyed by season number
+ */
+function countEpisodes(seasons) {
+    if (!Array.isArray(seasons)) {
+        return null;
+    }
+
+    const counts = {};
+    for (const season of seasons) {
+        counts[season.season_number] = season.episode_count;
+    }
+    return counts;
+}
+
+module.exports = {
+    name,
+    isAvailable,
+    fetchMetadata
+};
@@ -0,0 +1,38 @@
+/**
+ * HTTP helper shared by the metadata providers
+ */
+
+const fetch = require('node-fetch');
+
+const REQUEST_TIMEOUT_MS = 8000;
+
+/**
+ * Fetch a JSON document
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {Object} [options.headers] - Request headers
+ * @param {string} [options.label] - Service name used in error messages
+ * @returns {Promise<Object|null>} Parsed body, or null for 404 responses
+ * @throws {Error} On network errors and other unsuccessful responses
+ */
+async function fetchJson(url, options = {}) {
+    const { headers = {}, label = 'Metadata service' } = options;
+
+    const response = await fetch(url, {
+        headers: { 'Accept': 'application/json', ...headers },
+        timeout: REQUEST_TIMEOUT_MS
+    });
+
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`${label} error: ${response.status} ${response.statusText}`);
+    }
+
+    return response.json();
+}
+
+module.exports = {
+    fetchJson
+};
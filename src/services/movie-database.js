@@ -1,57 +1,48 @@
 /**
  * Movie database and metadata service
  * 
- * This service provides movie metadata functionality using external APIs.
- * It fetches movie information from OMDB API to enable title-based matching.
+ * This service provides movie and series metadata to enable title-based matching.
+ * Lookups go through the metadata provider chain (OMDb, TMDB, Cinemeta or a
+ * local file, see ./metadata) and are cached with separate TTLs for found titles
+ * and misses (see ./metadata-cache).
  */
 
-// Simple in-memory cache to avoid repeated API calls
-const movieCache = new Map();
+const { fetchMetadata } = require('./metadata');
+const metadataCache = require('./metadata-cache');
 
 /**
  * Get movie information by IMDB ID
  * @param {string} imdbId - The IMDB ID (e.g., 'tt0111161')
- * @returns {Promise<Object|null>} Movie information or null if not found
+ * @param {Object} options - Lookup options
+ * @param {string} [options.type] - 'movie' or 'series' when known
+ * @param {Object} [options.config] - Addon configuration (provider order and API keys)
+ * @returns {Promise<Object|null>} Normalized metadata (title, originalTitle, year, type,
+ *   runtime, alternateTitles, seasons, episodes) or null if not found
  */
-async function getMovieInfo(imdbId) {
+async function getMovieInfo(imdbId, options = {}) {
     // Check cache first
-    if (movieCache.has(imdbId)) {
-        console.log(`Cache hit for ${imdbId}`);
-        return movieCache.get(imdbId);
+    const cached = metadataCache.get(imdbId);
+    if (cached.hit) {
+        console.log(`Cache hit for ${imdbId}${cached.value ? '' : ' (not found)'}`);
+        return cached.value;
     }
 
-    try {
-        // Fetch from OMDB API (using 'trilogy' as a free API key)
-        const response = await fetch(`https://www.omdbapi.com/?i=${imdbId}&apikey=trilogy`);
-        const data = await response.json();
-        
-        if (data.Response === 'True') {
-            const movieInfo = {
-                imdbId: data.imdbID,
-                title: data.Title,
-                year: data.Year,
-                director: data.Director,
-                genre: data.Genre,
-                plot: data.Plot,
-                runtime: data.Runtime,
-                rating: data.imdbRating
-            };
-            
-            // Cache the result
-            movieCache.set(imdbId, movieInfo);
-            console.log(`Fetched movie info for ${imdbId}: "${movieInfo.title}" (${movieInfo.year})`);
-            
-            return movieInfo;
-        } else {
-            console.log(`Movie not found in OMDB for ${imdbId}: ${data.Error}`);
-            // Cache null result to avoid repeated failed requests
-            movieCache.set(imdbId, null);
-            return null;
-        }
-    } catch (error) {
-        console.error(`Error fetching movie info for ${imdbId}:`, error.message);
-        return null;
+    const { metadata, failed } = await fetchMetadata(imdbId, options);
+
+    if (metadata) {
+        // Cache the result
+        metadataCache.set(imdbId, metadata);
+        console.log(`Fetched ${metadata.type || 'title'} info for ${imdbId} from ${metadata.provider}: "${metadata.title}" (${metadata.year})`);
+        return metadata;
+    }
+
+    console.log(`No metadata found for ${imdbId}`);
+    // Misses are cached briefly (negative TTL) to avoid repeated failed requests,
+    // unless a provider was only unreachable
+    if (!failed) {
+        metadataCache.set(imdbId, null);
     }
+    return null;
 }
 
 /**
@@ -60,17 +51,13 @@ async function getMovieInfo(imdbId) {
  * @returns {Promise<Array>} Array of matching movies from cache
  */
 async function searchMoviesByTitle(title) {
-    const results = [];
     const normalizedTitle = title.toLowerCase();
     
-    // Search through cached movies
-    for (const [imdbId, movieInfo] of movieCache.entries()) {
-        if (movieInfo && movieInfo.title && movieInfo.title.toLowerCase().includes(normalizedTitle)) {
-            results.push(movieInfo);
-        }
-    }
-    
-    return results;
+    // Search through cached movies, including original and alternate titles
+    return Object.values(getAllMovies()).filter(movieInfo =>
+        [movieInfo.title, movieInfo.originalTitle, ...(movieInfo.alternateTitles || [])]
+            .some(candidate => candidate && candidate.toLowerCase().includes(normalizedTitle))
+    );
 }
 
 /**
@@ -79,7 +66,7 @@ async function searchMoviesByTitle(title) {
  * @param {Object} movieData - Movie data object
  */
 function addMovie(imdbId, movieData) {
-    movieCache.set(imdbId, movieData);
+    metadataCache.set(imdbId, movieData);
     console.log(`Added movie to cache: ${imdbId} - ${movieData.title}`);
 }
 
@@ -89,19 +76,59 @@ function addMovie(imdbId, movieData) {
  */
 function getAllMovies() {
     const movies = {};
-    for (const [imdbId, movieInfo] of movieCache.entries()) {
-        if (movieInfo) {
-            movies[imdbId] = movieInfo;
+    for (const entry of metadataCache.list()) {
+        if (entry.value) {
+            movies[entry.key] = entry.value;
         }
     }
     return movies;
 }
 
 /**
- * Clear the movie cache
+ * Get all cache entries, including cached misses, for inspection
+ * @returns {Array<Object>} Entries with key, value, storedAt, expiresAt and negative,
+ *   least recently used first
+ */
+function getCacheEntries() {
+    return metadataCache.list();
+}
+
+/**
+ * Get metadata cache statistics
+ * @returns {Object} Entry counts, hit/miss/eviction counters and settings
+ */
+function getCacheStats() {
+    return metadataCache.getStats();
+}
+
+/**
+ * Remove a movie (or a cached miss) from the cache so it is looked up again
+ * @param {string} imdbId - The IMDB ID
+ * @returns {boolean} True if an entry was removed
+ */
+function evictMovie(imdbId) {
+    const removed = metadataCache.remove(imdbId);
+    if (removed) {
+        console.log(`Evicted ${imdbId} from movie cache`);
+    }
+    return removed;
+}
+
+/**
+ * Remove expired entries from the cache
+ * @returns {number} Number of removed entries
+ */
+function pruneCache() {
+    const removed = metadataCache.prune();
+    console.log(`Pruned ${removed} expired entries from movie cache`);
+    return removed;
+}
+
+/**
+ * Clear the movie cache, in memory and on disk
  */
-function clearCache() {
-    movieCache.clear();
+async function clearCache() {
+    await metadataCache.clear();
     console.log('Movie cache cleared');
 }
 
@@ -110,5 +137,9 @@ module.exports = {
     searchMoviesByTitle,
     addMovie,
     getAllMovies,
+    getCacheEntries,
+    getCacheStats,
+    evictMovie,
+    pruneCache,
     clearCache
 };
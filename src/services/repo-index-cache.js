@@ -0,0 +1,297 @@
+/**
+ * Repository index cache
+ *
+ * Keeps the subtitle file listing of each repository (keyed by repo, ref, path and token)
+ * in memory and on disk so restarts don't trigger a full refetch. Entries carry the
+ * ETag of the GitHub response they were built from so they can be revalidated with
+ * a conditional request once their TTL has expired. Archive listings (keyed by
+ * buildArchiveKey) are stored here too. The number of entries is bounded, with
+ * a smaller share for archive listings (least recently used go first, in memory
+ * and on disk), and entries written by an older version of the listing format
+ * are ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getTokenFingerprint } = require('./github-client');
+
+const DEFAULT_TTL_SECONDS = 3600;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_ARCHIVE_ENTRIES = 200;
+const ARCHIVE_KEY_PREFIX = 'archive:';
+// Bump whenever listed files gain or change fields, so listings built by an
+// older version are fetched again instead of being revalidated forever
+const INDEX_FORMAT_VERSION = 2;
+const DEFAULT_CACHE_DIR = path.join(process.cwd(), '.cache', 'repo-index');
+
+const settings = {
+    ttl: parseTtl(process.env.REPO_INDEX_TTL),
+    maxEntries: parseMaxEntries(process.env.REPO_INDEX_CACHE_SIZE),
+    maxArchiveEntries: parseMaxEntries(process.env.ARCHIVE_INDEX_CACHE_SIZE, DEFAULT_MAX_ARCHIVE_ENTRIES),
+    dir: process.env.REPO_INDEX_CACHE_DIR || DEFAULT_CACHE_DIR,
+    persist: process.env.REPO_INDEX_PERSIST !== 'false'
+};
+
+// Map iteration order doubles as LRU order: least recently used first
+const indexCache = new Map();
+// The cache directory is trimmed once per process, evictions keep it bounded afterwards
+let directoryPruned = false;
+
+/**
+ * Parse a TTL value in seconds, falling back to the default
+ * @param {string|number} value - TTL in seconds
+ * @returns {number} TTL in seconds
+ */
+function parseTtl(value) {
+    const ttl = parseInt(value);
+    return isNaN(ttl) || ttl < 0 ? DEFAULT_TTL_SECONDS : ttl;
+}
+
+/**
+ * Parse the maximum number of entries, falling back to the default
+ * @param {string|number} value - Maximum number of entries
+ * @param {number} fallback - Default maximum
+ * @returns {number} Maximum number of entries
+ */
+function parseMaxEntries(value, fallback = DEFAULT_MAX_ENTRIES) {
+    const maxEntries = parseInt(value);
+    return isNaN(maxEntries) || maxEntries < 1 ? fallback : maxEntries;
+}
+
+/**
+ * Override cache settings
+ * @param {Object} options - Settings to change
+ * @param {number} [options.ttl] - Time in seconds before an entry needs revalidation
+ * @param {number} [options.maxEntries] - Maximum number of entries kept
+ * @param {number} [options.maxArchiveEntries] - Maximum number of archive listings kept
+ * @param {string} [options.dir] - Directory used to persist entries
+ * @param {boolean} [options.persist] - Whether entries are written to disk
+ */
+function configure(options = {}) {
+    if (options.ttl !== undefined) settings.ttl = parseTtl(options.ttl);
+    if (options.maxEntries !== undefined) settings.maxEntries = parseMaxEntries(options.maxEntries);
+    if (options.maxArchiveEntries !== undefined) {
+        settings.maxArchiveEntries = parseMaxEntries(options.maxArchiveEntries, DEFAULT_MAX_ARCHIVE_ENTRIES);
+    }
+    if (options.dir !== undefined) settings.dir = options.dir;
+    if (options.persist !== undefined) settings.persist = !!options.persist;
+}
+
+/**
+ * Build the cache key for a repository listing
+ * Listings of private repositories must only reach requests with the same
+ * token, so the key names the token by its fingerprint ('anon' without one).
+ * @param {string} repo - Repository in format 'owner/repo'
+ * @param {string} ref - Branch, tag or commit
+ * @param {string} subPath - Path within the repository
+ * @param {string|null} token - GitHub token the listing is fetched with
+ * @returns {string} Cache key
+ */
+function buildKey(repo, ref, subPath, token = null) {
+    const cleanPath = (subPath || '').replace(/^\/+|\/+$/g, '');
+    return `${repo.toLowerCase()}@${ref || 'HEAD'}:${cleanPath}#${getTokenFingerprint(token) || 'anon'}`;
+}
+
+/**
+ * Build the cache key for the entry listing of an archive
+ * @param {string} id - Blob sha of the archive, or another identifier of its content
+ * @returns {string} Cache key
+ */
+function buildArchiveKey(id) {
+    return `${ARCHIVE_KEY_PREFIX}${id}`;
+}
+
+/**
+ * Get the file used to persist an entry
+ * @param {string} key - Cache key
+ * @returns {string} Absolute file path
+ */
+function getEntryFile(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(settings.dir, `${hash}.json`);
+}
+
+/**
+ * Get a cached entry, loading it from disk if it isn't in memory yet
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} Cached entry or null
+ */
+async function getEntry(key) {
+    if (indexCache.has(key)) {
+        // Re-insert to mark the entry as most recently used
+        const entry = indexCache.get(key);
+        indexCache.delete(key);
+        indexCache.set(key, entry);
+        return entry;
+    }
+
+    if (!settings.persist) {
+        return null;
+    }
+
+    try {
+        const raw = await fs.promises.readFile(getEntryFile(key), 'utf8');
+        const entry = JSON.parse(raw);
+        if (entry.key !== key || entry.version !== INDEX_FORMAT_VERSION || !Array.isArray(entry.files)) {
+            return null;
+        }
+        indexCache.set(key, entry);
+        await enforceLimit();
+        console.log(`Loaded repository index from disk: ${key} (${entry.files.length} files)`);
+        return entry;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading repository index cache for ${key}:`, error.message);
+        }
+        return null;
+    }
+}
+
+/**
+ * Store a repository listing
+ * @param {string} key - Cache key
+ * @param {Array} files - Subtitle files found in the repository
+ * @param {string|null} etag - ETag of the GitHub response the listing came from
+ * @returns {Promise<Object>} Stored entry
+ */
+async function setEntry(key, files, etag = null) {
+    const entry = {
+        key,
+        version: INDEX_FORMAT_VERSION,
+        files,
+        etag,
+        fetchedAt: Date.now()
+    };
+
+    indexCache.delete(key);
+    indexCache.set(key, entry);
+    await enforceLimit();
+    await persistEntry(entry);
+    return entry;
+}
+
+/**
+ * Drop least recently used entries above the size limits, in memory and on disk
+ * Archive listings are held to their own limit so they can't push out repository listings.
+ */
+async function enforceLimit() {
+    const archiveKeys = [...indexCache.keys()].filter(key => key.startsWith(ARCHIVE_KEY_PREFIX));
+    const stale = archiveKeys.slice(0, Math.max(0, archiveKeys.length - settings.maxArchiveEntries));
+
+    for (const key of stale) {
+        await evictEntry(key);
+    }
+    while (indexCache.size > settings.maxEntries) {
+        await evictEntry(indexCache.keys().next().value);
+    }
+}
+
+/**
+ * Remove an entry, in memory and on disk
+ * @param {string} key - Cache key
+ */
+async function evictEntry(key) {
+    indexCache.delete(key);
+    if (settings.persist) {
+        await fs.promises.rm(getEntryFile(key), { force: true });
+    }
+}
+
+/**
+ * Trim the cache directory to the size limit, removing the oldest files
+ * Entries persisted by earlier runs aren't in memory, so evictions don't cover them.
+ */
+async function pruneDirectory() {
+    directoryPruned = true;
+
+    try {
+        const names = (await fs.promises.readdir(settings.dir)).filter(name => name.endsWith('.json'));
+        if (names.length <= settings.maxEntries) {
+            return;
+        }
+
+        const files = await Promise.all(names.map(async name => {
+            const file = path.join(settings.dir, name);
+            const stats = await fs.promises.stat(file);
+            return { file, mtimeMs: stats.mtimeMs };
+        }));
+        files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        const stale = files.slice(0, files.length - settings.maxEntries);
+        await Promise.all(stale.map(({ file }) => fs.promises.rm(file, { force: true })));
+        console.log(`Removed ${stale.length} old repository index cache files from ${settings.dir}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error pruning repository index cache ${settings.dir}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Mark an entry as freshly validated (e.g. after a 304 Not Modified)
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} Updated entry or null if not cached
+ */
+async function touchEntry(key) {
+    const entry = indexCache.get(key);
+    if (!entry) {
+        return null;
+    }
+
+    entry.fetchedAt = Date.now();
+    await persistEntry(entry);
+    return entry;
+}
+
+/**
+ * Write an entry to the cache directory
+ * @param {Object} entry - Cache entry
+ */
+async function persistEntry(entry) {
+    if (!settings.persist) {
+        return;
+    }
+
+    try {
+        await fs.promises.mkdir(settings.dir, { recursive: true });
+        await fs.promises.writeFile(getEntryFile(entry.key), JSON.stringify(entry));
+        if (!directoryPruned) {
+            await pruneDirectory();
+        }
+    } catch (error) {
+        console.error(`Error persisting repository index cache for ${entry.key}:`, error.message);
+    }
+}
+
+/**
+ * Check whether an entry is still within its TTL
+ * @param {Object} entry - Cache entry
+ * @returns {boolean} True if the entry can be used without revalidation
+ */
+function isFresh(entry) {
+    return !!entry && (Date.now() - entry.fetchedAt) < settings.ttl * 1000;
+}
+
+/**
+ * Clear the repository index cache, in memory and on disk
+ */
+async function clearCache() {
+    indexCache.clear();
+
+    if (settings.persist) {
+        await fs.promises.rm(settings.dir, { recursive: true, force: true });
+    }
+
+    console.log('Repository index cache cleared');
+}
+
+module.exports = {
+    configure,
+    buildKey,
+    buildArchiveKey,
+    getEntry,
+    setEntry,
+    touchEntry,
+    isFresh,
+    clearCache
+};
@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildKey, buildArchiveKey } = require('./repo-index-cache');
+const { getTokenFingerprint } = require('./github-client');
+
+describe('buildKey', () => {
+    it('names the repository, ref and path', () => {
+        assert.equal(buildKey('Owner/Repo', 'v1', '/subs/'), 'owner/repo@v1:subs#anon');
+        assert.equal(buildKey('owner/repo', null, ''), 'owner/repo@HEAD:#anon');
+    });
+
+    it('keeps listings fetched with different tokens apart', () => {
+        const first = buildKey('owner/repo', 'main', 'subs', 'token-a');
+        const second = buildKey('owner/repo', 'main', 'subs', 'token-b');
+
+        assert.equal(first, `owner/repo@main:subs#${getTokenFingerprint('token-a')}`);
+        assert.notEqual(first, second);
+        assert.notEqual(first, buildKey('owner/repo', 'main', 'subs'));
+        assert.ok(!first.includes('token-a'));
+    });
+});
+
+describe('buildArchiveKey', () => {
+    it('keeps archive listings apart from repository listings', () => {
+        assert.equal(buildArchiveKey('abc123'), 'archive:abc123');
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Registry of the sources configured by recent subtitles requests
+ *
+ * The subtitle proxy routes only serve files listed for these sources, so the
+ * addon can't be used to fetch arbitrary GitHub content. Stremio asks for the
+ * subtitle list before loading a subtitle, which registers its sources again.
+ * Each source is registered together with the token it was listed with; links
+ * refer to that token by its fingerprint, which only unlocks the sources it
+ * was registered for.
+ * Entries expire after a week without requests; their number is bounded.
+ */
+
+const { getTokenFingerprint } = require('./github-client');
+const { BoundedCache } = require('../utils/bounded-cache');
+
+const MAX_SOURCES = 1000;
+const SOURCE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// { repo, ref, path, token, fingerprint, registeredAt } keyed by source and token fingerprint
+const sources = new BoundedCache(MAX_SOURCES);
+
+/**
+ * Register the sources of a subtitles request
+ * @param {Array<Object>} requestSources - Valid sources with repo, ref, path and the token they are read with
+ */
+function registerSources(requestSources) {
+    const now = Date.now();
+    for (const source of requestSources) {
+        const token = source.token || null;
+        const fingerprint = getTokenFingerprint(token);
+        const ref = source.ref || 'HEAD';
+        const key = `${source.repo.toLowerCase()}@${ref}:${source.path || ''}#${fingerprint || 'anon'}`;
+        sources.set(key, { repo: source.repo, ref, path: source.path || '', token, fingerprint, registeredAt: now });
+    }
+}
+
+/**
+ * Get the registered sources that haven't expired
+ * @returns {Array<Object>} Registered sources
+ */
+function getActiveSources() {
+    const now = Date.now();
+    return [...sources.values()].filter(source => now - source.registeredAt <= SOURCE_TTL_MS);
+}
+
+/**
+ * Check whether a repository was configured by a recent subtitles request
+ * @param {string} repo - Repository in format 'owner/repo'
+ * @returns {boolean} True if the repository has registered sources
+ */
+function isRegisteredRepo(repo) {
+    const name = String(repo || '').toLowerCase();
+    return getActiveSources().some(source => source.repo.toLowerCase() === name);
+}
+
+/**
+ * Get the registered sources of a repository ref that were read with a token
+ * @param {string} repo - Repository in format 'owner/repo'
+ * @param {string} ref - Branch, tag or commit ('HEAD' for the default branch)
+ * @param {string|null} fingerprint - Token fingerprint from a subtitle link, null for anonymous sources
+ * @returns {Array<Object>} Sources with repo, ref, path and token
+ */
+function getRegisteredSources(repo, ref, fingerprint) {
+    const name = String(repo || '').toLowerCase();
+    return getActiveSources().filter(source => source.repo.toLowerCase() === name
+        && source.ref === (ref || 'HEAD')
+        && source.fingerprint === (fingerprint || null));
+}
+
+/**
+ * Forget all registered sources
+ */
+function clearRegistry() {
+    sources.clear();
+}
+
+module.exports = {
+    registerSources,
+    isRegisteredRepo,
+    getRegisteredSources,
+    clearRegistry
+};
@@ -0,0 +1,37 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { registerSources, isRegisteredRepo, getRegisteredSources, clearRegistry } = require('./source-registry');
+const { getTokenFingerprint } = require('./github-client');
+
+describe('source registry', () => {
+    beforeEach(() => {
+        clearRegistry();
+    });
+
+    it('knows the repositories of registered sources', () => {
+        registerSources([{ repo: 'Owner/Repo', ref: null, path: 'subs', token: null }]);
+
+        assert.equal(isRegisteredRepo('owner/repo'), true);
+        assert.equal(isRegisteredRepo('owner/other'), false);
+    });
+
+    it('only hands out a token for the sources it was registered with', () => {
+        registerSources([{ repo: 'owner/private', ref: 'main', path: '', token: 'secret' }]);
+        const fingerprint = getTokenFingerprint('secret');
+
+        const [source] = getRegisteredSources('owner/private', 'main', fingerprint);
+        assert.equal(source.token, 'secret');
+        assert.deepEqual(getRegisteredSources('owner/private', 'main', null), []);
+        assert.deepEqual(getRegisteredSources('owner/private', 'dev', fingerprint), []);
+        assert.deepEqual(getRegisteredSources('owner/private', 'main', getTokenFingerprint('other')), []);
+    });
+
+    it('registers anonymous sources under the default branch', () => {
+        registerSources([{ repo: 'owner/repo', path: 'subs' }]);
+
+        const [source] = getRegisteredSources('owner/repo', 'HEAD', null);
+        assert.equal(source.path, 'subs');
+        assert.equal(source.token, null);
+    });
+});
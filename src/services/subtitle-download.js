@@ -0,0 +1,205 @@
+/**
+ * Subtitle download service
+ *
+ * Fetches subtitle files from raw.githubusercontent.com so they can be
+ * post-processed (transcoded, converted, ...) before they reach Stremio.
+ */
+
+const fetch = require('node-fetch');
+const { buildRawUrl } = require('./github-service');
+const { decodeSubtitle } = require('../utils/charset');
+const { BoundedCache } = require('../utils/bounded-cache');
+
+const MAX_SUBTITLE_BYTES = 10 * 1024 * 1024;
+const SNIFF_BYTES = 512;
+const SAMPLE_BYTES = 64 * 1024;
+
+// First bytes of files, keyed by blob sha (or URL when the sha is unknown)
+const headerCache = new BoundedCache(5000);
+
+/**
+ * Error raised when a subtitle file can't be downloaded
+ */
+class SubtitleDownloadError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status to report to the client
+     */
+    constructor(message, status = 502) {
+        super(message);
+        this.name = 'SubtitleDownloadError';
+        this.status = status;
+    }
+}
+
+/**
+ * Build the headers of a raw file request
+ * Private repositories need the token the listing was made with.
+ * @param {string|null} token - GitHub token
+ * @param {Object} headers - Additional request headers
+ * @returns {Object} Request headers
+ */
+function buildHeaders(token, headers = {}) {
+    return token ? { ...headers, 'Authorization': `Bearer ${token}` } : headers;
+}
+
+/**
+ * Download a subtitle file from a repository
+ * @param {string} repo - Repository in format 'owner/repo'
+ * @param {string} ref - Branch, tag or commit ('HEAD' for the default branch)
+ * @param {string} filePath - Path of the file in the repository
+ * @param {Object} options - Download options
+ * @param {number} [options.maxBytes] - Size limit (defaults to 10 MiB)
+ * @param {string} [options.token] - GitHub token for private repositories
+ * @returns {Promise<Buffer>} Raw file contents
+ * @throws {SubtitleDownloadError} When the file is missing, too large or GitHub is unreachable
+ */
+async function downloadSubtitle(repo, ref, filePath, options = {}) {
+    const url = buildRawUrl(repo, ref || 'HEAD', filePath);
+    console.log(`Downloading subtitle: ${url}`);
+
+    let response;
+    try {
+        response = await fetch(url, {
+            headers: buildHeaders(options.token),
+            size: options.maxBytes || MAX_SUBTITLE_BYTES
+        });
+    } catch (error) {
+        throw new SubtitleDownloadError(`Failed to download ${filePath}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+        throw new SubtitleDownloadError(
+            `Failed to download ${filePath}: ${response.status} ${response.statusText}`,
+            response.status === 404 ? 404 : 502
+        );
+    }
+
+    try {
+        return await response.buffer();
+    } catch (error) {
+        throw new SubtitleDownloadError(`Failed to read ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Download a subtitle file and decode it to text
+ * @param {string} repo - Repository in format 'owner/repo'
+ * @param {string} ref - Branch, tag or commit ('HEAD' for the default branch)
+ * @param {string} filePath - Path of the file in the repository
+ * @param {Object} options - Download options (see downloadSubtitle)
+ * @returns {Promise<Object>} { text, encoding } of the decoded file
+ */
+async function downloadSubtitleText(repo, ref, filePath, options = {}) {
+    const buffer = await downloadSubtitle(repo, ref, filePath, options);
+    const { text, encoding } = decodeSubtitle(buffer);
+    return { text, encoding };
+}
+
+/**
+ * Download the beginning of a subtitle file using a range request
+ * Used to sample the text for language detection without fetching whole files.
+ * @param {string} repo - Repository in format 'owner/repo'
+ * @param {string} ref - Branch, tag or commit ('HEAD' for the default branch)
+ * @param {string} filePath - Path of the file in the repository
+ * @param {Object} options - Download options
+ * @param {number} [options.bytes] - Number of bytes to fetch (defaults to 64 KiB)
+ * @param {string} [options.token] - GitHub token for private repositories
+ * @returns {Promise<Buffer>} Start of the file, cut after the last complete line
+ * @throws {SubtitleDownloadError} When the file is missing or GitHub is unreachable
+ */
+async function downloadSubtitleSample(repo, ref, filePath, options = {}) {
+    const url = buildRawUrl(repo, ref || 'HEAD', filePath);
+    const bytes = options.bytes || SAMPLE_BYTES;
+
+    let response;
+    try {
+        response = await fetch(url, {
+            headers: buildHeaders(options.token, { 'Range': `bytes=0-${bytes - 1}` }),
+            size: MAX_SUBTITLE_BYTES
+        });
+    } catch (error) {
+        throw new SubtitleDownloadError(`Failed to download ${filePath}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+        throw new SubtitleDownloadError(
+            `Failed to download ${filePath}: ${response.status} ${response.statusText}`,
+            response.status === 404 ? 404 : 502
+        );
+    }
+
+    const buffer = await response.buffer();
+    // Servers ignoring the Range header send the whole file
+    return trimToLastLine(buffer.length > bytes ? buffer.subarray(0, bytes) : buffer);
+}
+
+/**
+ * Cut a partial download after its last line break
+ * Avoids a multi-byte character split at the end confusing encoding detection.
+ * @param {Buffer} buffer - Start of a file
+ * @returns {Buffer} Buffer ending with a complete line (copied)
+ */
+function trimToLastLine(buffer) {
+    const isUtf16 = buffer.length >= 2 &&
+        ((buffer[0] === 0xFF && buffer[1] === 0xFE) || (buffer[0] === 0xFE && buffer[1] === 0xFF));
+    let end = buffer.lastIndexOf(0x0A) + 1;
+
+    if (end <= 0) {
+        end = buffer.length;
+    }
+    if (isUtf16) {
+        // Keep whole UTF-16 code units; "\n" is 0A 00 in little endian
+        end = Math.min(buffer.length, end + (buffer[0] === 0xFF ? 1 : 0));
+        end -= end % 2;
+    }
+
+    return Buffer.from(buffer.subarray(0, end));
+}
+
+/**
+ * Fetch the first bytes of a subtitle file using a range request
+ * Used to tell binary VobSub .sub payloads from text MicroDVD and SubViewer files.
+ * @param {string} repo - Repository in format 'owner/repo'
+ * @param {string} ref - Branch, tag or commit ('HEAD' for the default branch)
+ * @param {string} filePath - Path of the file in the repository
+ * @param {string} sha - Blob sha used as cache key (optional)
+ * @param {Object} options - Download options
+ * @param {string} [options.token] - GitHub token for private repositories
+ * @returns {Promise<Buffer|null>} First bytes of the file or null if unavailable
+ */
+async function sniffSubtitle(repo, ref, filePath, sha = null, options = {}) {
+    const url = buildRawUrl(repo, ref || 'HEAD', filePath);
+    const cacheKey = sha || url;
+
+    if (headerCache.has(cacheKey)) {
+        return headerCache.get(cacheKey);
+    }
+
+    try {
+        const response = await fetch(url, {
+            headers: buildHeaders(options.token, { 'Range': `bytes=0-${SNIFF_BYTES - 1}` }),
+            size: MAX_SUBTITLE_BYTES
+        });
+        if (!response.ok) {
+            console.error(`Failed to sniff ${filePath}: ${response.status} ${response.statusText}`);
+            return null;
+        }
+
+        // Servers ignoring the Range header send the whole file; copy so it can be released
+        const header = Buffer.from((await response.buffer()).subarray(0, SNIFF_BYTES));
+        headerCache.set(cacheKey, header);
+        return header;
+    } catch (error) {
+        console.error(`Failed to sniff ${filePath}:`, error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    downloadSubtitle,
+    downloadSubtitleSample,
+    sniffSubtitle,
+    downloadSubtitleText,
+    SubtitleDownloadError
+};
@@ -0,0 +1,295 @@
+/**
+ * Repository subtitle manifest
+ *
+ * A repository can publish subtitles.manifest.json (or .yaml / .yml) at its
+ * root (or at the root of the subtitles path) to state which files belong to
+ * which title instead of relying on filenames. Listed files are authoritative:
+ * they are returned for their title without fuzzy matching and never offered
+ * for other titles. Files the manifest doesn't list are still matched by
+ * filename. Format:
+ *
+ * version: 1
+ * titles:
+ *   tt0133093:
+ *     - movies/The.Matrix.1999.en.srt
+ *     - path: movies/matrix-signs.srt
+ *       lang: hun
+ *       forced: true
+ *       label: Magyar (feliratok)
+ *   tt0903747:1:1:
+ *     - path: packs/breaking-bad-s01.zip/01.srt
+ *       lang: en
+ *       sdh: true
+ *
+ * Keys are IMDb ids for movies and id:season:episode for episodes. An entry is
+ * a path or an object with "path" and optional "lang" (any code or name the
+ * language registry knows, or another ISO 639-2 code), "forced", "sdh" and
+ * "label", which override what the filename says. Paths are relative to the
+ * repository root; files inside archives are addressed as archive path + "/" +
+ * entry.
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+const { downloadSubtitle } = require('./subtitle-download');
+const { findLanguageCode } = require('../utils/languages');
+const { normalizePath } = require('../config/normalize');
+const { BoundedCache } = require('../utils/bounded-cache');
+
+const MANIFEST_VERSION = 1;
+const MAX_MANIFEST_BYTES = 5 * 1024 * 1024;
+const ID_PATTERN = /^(tt\d+)(?::(\d+):(\d+))?$/i;
+const ENTRY_FIELDS = ['path', 'lang', 'forced', 'sdh', 'label'];
+
+// Parsed manifests (or null for invalid ones), keyed by blob sha
+const manifestCache = new BoundedCache(100);
+
+/**
+ * Error raised when a manifest can't be used at all
+ */
+class ManifestError extends Error {
+    /**
+     * @param {string} message - Error message
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'ManifestError';
+    }
+}
+
+/**
+ * Normalize a title id
+ * @param {string} id - IMDb id, optionally with :season:episode
+ * @returns {string|null} Canonical id ("tt0903747:1:1") or null when invalid
+ */
+function normalizeManifestId(id) {
+    const match = String(id || '').trim().match(ID_PATTERN);
+    if (!match) {
+        return null;
+    }
+    const imdbId = match[1].toLowerCase();
+    return match[2] !== undefined ? `${imdbId}:${parseInt(match[2])}:${parseInt(match[3])}` : imdbId;
+}
+
+/**
+ * Parse the text of a manifest file
+ * @param {string} text - File contents
+ * @param {string} filename - Manifest filename, its extension picks the format
+ * @returns {Object} Parsed manifest, see validateManifest
+ * @throws {ManifestError} When the file isn't valid JSON/YAML or isn't a manifest
+ */
+function parseManifest(text, filename) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    const isYaml = /\.ya?ml$/i.test(filename || '');
+
+    let data;
+    try {
+        // The core schema keeps dates and the like as plain strings, as in JSON
+        data = isYaml ? yaml.load(content, { schema: yaml.CORE_SCHEMA }) : JSON.parse(content);
+    } catch (error) {
+        throw new ManifestError(`Invalid ${isYaml ? 'YAML' : 'JSON'}: ${error.message}`);
+    }
+
+    return validateManifest(data);
+}
+
+/**
+ * Validate manifest data
+ * Invalid entries are reported and skipped; the valid ones are still used.
+ * @param {Object} data - Parsed JSON or YAML
+ * @returns {Object} { titles: Map of id to entries, paths: Set of listed paths, count, errors }
+ * @throws {ManifestError} When the data has no titles mapping or an unsupported version
+ */
+function validateManifest(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ManifestError('Manifest must be an object with a "titles" mapping');
+    }
+    if (data.version !== undefined && data.version !== MANIFEST_VERSION) {
+        throw new ManifestError(`Unsupported manifest version ${JSON.stringify(data.version)} (expected ${MANIFEST_VERSION})`);
+    }
+    if (!data.titles || typeof data.titles !== 'object' || Array.isArray(data.titles)) {
+        throw new ManifestError('"titles" must map IMDb ids (tt1234567 or tt1234567:season:episode) to files');
+    }
+
+    const titles = new Map();
+    const paths = new Set();
+    const errors = [];
+    let count = 0;
+
+    for (const [key, value] of Object.entries(data.titles)) {
+        const id = normalizeManifestId(key);
+        if (!id) {
+            errors.push(`titles.${key}: not an IMDb id (expected tt1234567 or tt1234567:season:episode)`);
+            continue;
+        }
+        if (titles.has(id)) {
+            errors.push(`titles.${key}: duplicate of ${id}`);
+            continue;
+        }
+
+        const values = Array.isArray(value) ? value : [value];
+        const entries = [];
+        values.forEach((raw, index) => {
+            const location = `titles.${key}${Array.isArray(value) ? `[${index}]` : ''}`;
+            const result = validateEntry(raw);
+            if (result.error) {
+                errors.push(`${location}: ${result.error}`);
+            } else if (entries.some(entry => entry.path === result.entry.path)) {
+                errors.push(`${location}: "${result.entry.path}" is listed twice`);
+            } else {
+                entries.push(result.entry);
+                paths.add(result.entry.path);
+                count++;
+            }
+        });
+
+        if (entries.length > 0) {
+            titles.set(id, entries);
+        }
+    }
+
+    return { titles, paths, count, errors };
+}
+
+/**
+ * Validate a single manifest entry
+ * @param {string|Object} raw - Path or entry object
+ * @returns {Object} { entry } or { error }
+ */
+function validateEntry(raw) {
+    const fields = typeof raw === 'string' ? { path: raw } : raw;
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        return { error: 'expected a path or an object with "path"' };
+    }
+
+    const unknown = Object.keys(fields).filter(field => !ENTRY_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        return { error: `unknown field ${unknown.map(field => `"${field}"`).join(', ')} (allowed: ${ENTRY_FIELDS.join(', ')})` };
+    }
+
+    if (typeof fields.path !== 'string' || !normalizePath(fields.path)) {
+        return { error: '"path" must be a non-empty string' };
+    }
+    const filePath = normalizePath(fields.path);
+    if (filePath.split('/').includes('..')) {
+        return { error: `"path" can't leave the repository: ${fields.path}` };
+    }
+
+    const entry = { path: filePath, language: null, forced: null, sdh: null, label: null };
+
+    if (fields.lang !== undefined && fields.lang !== null) {
+        const language = findLanguageCode(String(fields.lang));
+        if (!language) {
+            return { error: `unknown language "${fields.lang}"` };
+        }
+        entry.language = language.code;
+    }
+
+    for (const flag of ['forced', 'sdh']) {
+        if (fields[flag] !== undefined && fields[flag] !== null) {
+            if (typeof fields[flag] !== 'boolean') {
+                return { error: `"${flag}" must be true or false` };
+            }
+            entry[flag] = fields[flag];
+        }
+    }
+
+    if (fields.label !== undefined && fields.label !== null) {
+        if (typeof fields.label !== 'string' || !fields.label.trim()) {
+            return { error: '"label" must be a non-empty string' };
+        }
+        entry.label = fields.label.trim();
+    }
+
+    return { entry };
+}
+
+/**
+ * Load the manifest published by a source
+ * @param {Object} manifestFile - Manifest file from the repository listing, tagged with its source
+ * @returns {Promise<Object|null>} Parsed manifest, or null when it can't be used
+ */
+async function loadManifest(manifestFile) {
+    if (manifestFile.sha && manifestCache.has(manifestFile.sha)) {
+        return manifestCache.get(manifestFile.sha);
+    }
+
+    const { repo, ref, token } = manifestFile.source;
+    const location = `${repo}:${manifestFile.path}`;
+    let buffer;
+    try {
+        buffer = await downloadSubtitle(repo, ref, manifestFile.path, { maxBytes: MAX_MANIFEST_BYTES, token });
+    } catch (error) {
+        console.error(`Error downloading manifest ${location}:`, error.message);
+        return null;
+    }
+
+    let manifest = null;
+    try {
+        manifest = parseManifest(buffer.toString('utf8'), path.basename(manifestFile.path));
+        manifest.errors.forEach(error => console.error(`Manifest ${location}: skipping ${error}`));
+        console.log(`Loaded manifest ${location} with ${manifest.count} files for ${manifest.titles.size} titles`);
+    } catch (error) {
+        console.error(`Invalid manifest ${location}: ${error.message}`);
+    }
+
+    if (manifestFile.sha) {
+        manifestCache.set(manifestFile.sha, manifest);
+    }
+
+    return manifest;
+}
+
+/**
+ * Find the manifest entries listed for a title
+ * @param {Object} manifest - Parsed manifest
+ * @param {string} id - Requested id (tt1234567 or tt1234567:season:episode)
+ * @returns {Array<Object>} Entries { path, language, forced, sdh, label }
+ */
+function findManifestEntries(manifest, id) {
+    const key = normalizeManifestId(id);
+    return (manifest && key && manifest.titles.get(key)) || [];
+}
+
+/**
+ * Apply the overrides of a manifest entry to parsed filename metadata
+ * @param {Object} metadata - Parsed filename metadata (modified in place)
+ * @param {Object} entry - Manifest entry
+ * @returns {Object} The metadata
+ */
+function applyManifestEntry(metadata, entry) {
+    if (entry.language) {
+        metadata.language = entry.language;
+        // Stated by the repository, so content detection leaves it alone
+        metadata.languageStrength = 'strong';
+        metadata.languageSource = 'manifest';
+    }
+    if (entry.forced !== null) {
+        metadata.isForced = entry.forced;
+    }
+    if (entry.sdh !== null) {
+        metadata.isSDH = entry.sdh;
+    }
+    if (entry.label) {
+        metadata.label = entry.label;
+    }
+    return metadata;
+}
+
+/**
+ * Clear the manifest cache
+ */
+function clearCache() {
+    manifestCache.clear();
+}
+
+module.exports = {
+    loadManifest,
+    parseManifest,
+    validateManifest,
+    findManifestEntries,
+    applyManifestEntry,
+    normalizeManifestId,
+    clearCache,
+    ManifestError
+};
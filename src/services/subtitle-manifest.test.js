@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseManifest, findManifestEntries, applyManifestEntry, normalizeManifestId, ManifestError } = require('./subtitle-manifest');
+
+const YAML_MANIFEST = `
+version: 1
+titles:
+  tt0133093:
+    - movies/The.Matrix.1999.en.srt
+    - path: /movies/matrix-signs.srt
+      lang: hun
+      forced: true
+      label: Magyar (feliratok)
+  TT0903747:01:1:
+    path: packs/breaking-bad-s01.zip/01.srt
+    lang: en
+    sdh: true
+`;
+
+describe('parseManifest', () => {
+    it('reads YAML manifests', () => {
+        const manifest = parseManifest(YAML_MANIFEST, 'subtitles.manifest.yaml');
+
+        assert.equal(manifest.count, 3);
+        assert.deepEqual(manifest.errors, []);
+        assert.deepEqual(manifest.titles.get('tt0133093'), [
+            { path: 'movies/The.Matrix.1999.en.srt', language: null, forced: null, sdh: null, label: null },
+            { path: 'movies/matrix-signs.srt', language: 'hun', forced: true, sdh: null, label: 'Magyar (feliratok)' }
+        ]);
+        assert.deepEqual(manifest.titles.get('tt0903747:1:1'), [
+            { path: 'packs/breaking-bad-s01.zip/01.srt', language: 'eng', forced: null, sdh: true, label: null }
+        ]);
+        assert.ok(manifest.paths.has('packs/breaking-bad-s01.zip/01.srt'));
+    });
+
+    it('reads JSON manifests, with or without a byte order mark', () => {
+        const json = JSON.stringify({ titles: { tt0133093: ['movies/The.Matrix.1999.en.srt'] } });
+        assert.equal(parseManifest(json, 'subtitles.manifest.json').count, 1);
+        assert.equal(parseManifest(`\uFEFF${json}`, 'subtitles.manifest.json').count, 1);
+    });
+
+    it('keeps YAML values such as dates as plain strings', () => {
+        const manifest = parseManifest('titles:\n  tt1:\n    - path: 2024-03-13.srt\n      label: 2024-03-13\n', 'subtitles.manifest.yml');
+        assert.deepEqual(manifest.titles.get('tt1')[0].label, '2024-03-13');
+    });
+
+    it('skips invalid entries and reports where they are', () => {
+        const manifest = parseManifest(JSON.stringify({
+            titles: {
+                matrix: ['a.srt'],
+                tt1: [
+                    'a.srt',
+                    'a.srt',
+                    { path: '../secret.srt' },
+                    { path: 'b.srt', lang: 'xx' },
+                    { path: 'c.srt', forced: 'yes' },
+                    { path: 'd.srt', language: 'en' },
+                    { path: '' }
+                ],
+                TT1: 'e.srt'
+            }
+        }), 'subtitles.manifest.json');
+
+        assert.equal(manifest.count, 1);
+        assert.deepEqual(manifest.errors, [
+            'titles.matrix: not an IMDb id (expected tt1234567 or tt1234567:season:episode)',
+            'titles.tt1[1]: "a.srt" is listed twice',
+            'titles.tt1[2]: "path" can\'t leave the repository: ../secret.srt',
+            'titles.tt1[3]: unknown language "xx"',
+            'titles.tt1[4]: "forced" must be true or false',
+            'titles.tt1[5]: unknown field "language" (allowed: path, lang, forced, sdh, label)',
+            'titles.tt1[6]: "path" must be a non-empty string',
+            'titles.TT1: duplicate of tt1'
+        ]);
+    });
+
+    it('accepts ISO 639-2 codes outside the language table', () => {
+        const manifest = parseManifest('titles:\n  tt1:\n    - path: a.srt\n      lang: sux\n', 'subtitles.manifest.yaml');
+        assert.equal(manifest.titles.get('tt1')[0].language, 'sux');
+    });
+
+    it('rejects files that aren\'t manifests', () => {
+        assert.throws(() => parseManifest('{ not json', 'subtitles.manifest.json'), /Invalid JSON/);
+        assert.throws(() => parseManifest('titles: [a, b', 'subtitles.manifest.yaml'), /Invalid YAML/);
+        assert.throws(() => parseManifest('[]', 'subtitles.manifest.json'), ManifestError);
+        assert.throws(() => parseManifest('{"titles": []}', 'subtitles.manifest.json'), ManifestError);
+        assert.throws(() => parseManifest('{"version": 2, "titles": {}}', 'subtitles.manifest.json'), /Unsupported manifest version/);
+    });
+});
+
+describe('findManifestEntries', () => {
+    it('looks titles up by normalized id', () => {
+        const manifest = parseManifest(YAML_MANIFEST, 'subtitles.manifest.yaml');
+        assert.equal(findManifestEntries(manifest, 'tt0903747:1:01').length, 1);
+        assert.deepEqual(findManifestEntries(manifest, 'tt0903747:1:2'), []);
+        assert.deepEqual(findManifestEntries(null, 'tt0133093'), []);
+    });
+});
+
+describe('normalizeManifestId', () => {
+    it('lowercases ids and drops leading zeros of season and episode', () => {
+        assert.equal(normalizeManifestId(' TT0903747:01:001 '), 'tt0903747:1:1');
+        assert.equal(normalizeManifestId('tt0133093'), 'tt0133093');
+        assert.equal(normalizeManifestId('tt0133093:1'), null);
+    });
+});
+
+describe('applyManifestEntry', () => {
+    it('overrides the filename metadata the entry states', () => {
+        const metadata = { language: 'und', languageStrength: 'none', isForced: false, isSDH: true };
+        applyManifestEntry(metadata, { language: 'hun', forced: true, sdh: null, label: 'Magyar' });
+        assert.deepEqual(metadata, {
+            language: 'hun',
+            languageStrength: 'strong',
+            languageSource: 'manifest',
+            isForced: true,
+            isSDH: true,
+            label: 'Magyar'
+        });
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Subtitle preferences
+ *
+ * Orders subtitles by the user's preferred languages, optionally hides the
+ * other languages, applies the forced/SDH track choices and caps the number
+ * of subtitles listed per language.
+ */
+
+const { findLanguageCode, isSameLanguage, toStremioCode } = require('../utils/languages');
+const { parseBoolean, parseList, parseLimit, parseChoice, TRACK_CHOICES } = require('../config/normalize');
+
+// Track kinds with an include/prefer/exclude choice: config key and metadata flag
+const TRACK_KINDS = [
+    { key: 'forced_subtitles', flag: 'isForced', name: 'forced' },
+    { key: 'sdh_subtitles', flag: 'isSDH', name: 'sdh' }
+];
+
+/**
+ * Resolve the subtitle preferences from the config
+ * @param {Object} config - Addon configuration (raw or normalized)
+ * @returns {Object} { languages, unknown, onlyPreferred, maxPerLanguage, forced, sdh }
+ */
+function resolvePreferences(config = {}) {
+    const languages = [];
+    const unknown = [];
+
+    for (const value of parseList(config.preferred_languages)) {
+        const language = findLanguageCode(value);
+        if (!language) {
+            unknown.push(value);
+        } else if (!languages.includes(language.code)) {
+            languages.push(language.code);
+        }
+    }
+
+    const preferences = {
+        languages,
+        unknown,
+        // Without a list there is nothing to restrict to
+        onlyPreferred: parseBoolean(config.only_preferred_languages) && languages.length > 0,
+        maxPerLanguage: parseLimit(config.max_per_language)
+    };
+
+    for (const { key, name } of TRACK_KINDS) {
+        preferences[name] = parseChoice(config[key], TRACK_CHOICES);
+    }
+
+    return preferences;
+}
+
+/**
+ * Rank a language against the preferred languages
+ * An exact match ranks before a region variant of the same language, so
+ * "por" prefers European Portuguese but still lists "pob" with it.
+ * @param {string} code - Registry language code of the subtitle
+ * @param {Array<string>} languages - Preferred language codes in order
+ * @returns {number} Rank (lower is better), Infinity when not preferred
+ */
+function rankLanguage(code, languages) {
+    for (let i = 0; i < languages.length; i++) {
+        if (languages[i] === code) {
+            return i * 2;
+        }
+        if (isSameLanguage(languages[i], code)) {
+            return i * 2 + 1;
+        }
+    }
+    return Infinity;
+}
+
+/**
+ * Rank a subtitle by its forced/SDH flags
+ * @param {Object} metadata - Parsed filename metadata
+ * @param {Object} preferences - Result of resolvePreferences
+ * @returns {number} Number of 'prefer' choices the subtitle doesn't satisfy (lower is better)
+ */
+function rankTrackKind(metadata, preferences) {
+    return TRACK_KINDS.filter(({ flag, name }) => preferences[name] === 'prefer' && !metadata[flag]).length;
+}
+
+/**
+ * Check whether a subtitle is hidden by an 'exclude' choice
+ * @param {Object} metadata - Parsed filename metadata
+ * @param {Object} preferences - Result of resolvePreferences
+ * @returns {boolean} True if the subtitle must be left out
+ */
+function isExcludedTrack(metadata, preferences) {
+    return TRACK_KINDS.some(({ flag, name }) => preferences[name] === 'exclude' && metadata[flag]);
+}
+
+/**
+ * Apply subtitle preferences to a list of subtitles
+ * Subtitles carry internal fields: _language (registry code), _metadata
+ * (parsed filename), _score, _priority (source priority), _exactMatch (listed
+ * for the playing video in a hash index or for the title in a manifest) and
+ * _trackId, which is shared by a file and its converted variant so both count
+ * as a single track.
+ * @param {Array<Object>} subtitles - Subtitles with internal fields
+ * @param {Object} preferences - Result of resolvePreferences
+ * @returns {Array<Object>} Filtered and ordered subtitles
+ */
+function applyPreferences(subtitles, preferences) {
+    const ranked = subtitles
+        .filter(subtitle => !isExcludedTrack(subtitle._metadata, preferences))
+        .map(subtitle => ({
+            subtitle,
+            rank: rankLanguage(subtitle._language, preferences.languages),
+            kindRank: rankTrackKind(subtitle._metadata, preferences)
+        }))
+        .filter(({ rank }) => !preferences.onlyPreferred || rank !== Infinity);
+
+    // Preferred languages first in their order, then hash index and manifest matches, then
+    // preferred track kinds, then by match score and source priority
+    ranked.sort((a, b) => {
+        if (a.rank !== b.rank) {
+            return a.rank === Infinity ? 1 : b.rank === Infinity ? -1 : a.rank - b.rank;
+        }
+        if (!!a.subtitle._exactMatch !== !!b.subtitle._exactMatch) {
+            return a.subtitle._exactMatch ? -1 : 1;
+        }
+        if (a.kindRank !== b.kindRank) {
+            return a.kindRank - b.kindRank;
+        }
+        return (b.subtitle._score - a.subtitle._score) || (a.subtitle._priority - b.subtitle._priority);
+    });
+
+    if (!preferences.maxPerLanguage) {
+        return ranked.map(({ subtitle }) => subtitle);
+    }
+
+    // Stremio groups its menu by code, so the cap applies per Stremio code
+    const tracks = new Map();
+    return ranked
+        .map(({ subtitle }) => subtitle)
+        .filter(subtitle => {
+            const code = toStremioCode(subtitle._language);
+            const seen = tracks.get(code) || new Set();
+            tracks.set(code, seen);
+            if (seen.has(subtitle._trackId)) {
+                return true;
+            }
+            if (seen.size >= preferences.maxPerLanguage) {
+                return false;
+            }
+            seen.add(subtitle._trackId);
+            return true;
+        });
+}
+
+module.exports = {
+    resolvePreferences,
+    applyPreferences,
+    rankLanguage
+};
@@ -0,0 +1,52 @@
+/**
+ * Size bounded in-memory cache
+ *
+ * A Map that keeps at most maxEntries entries, dropping the least recently
+ * used ones first. Used for results keyed by blob sha, which only change with
+ * the file's content. Callers store only what may be reused: results of
+ * failed downloads are left out so the next request tries again.
+ */
+
+class BoundedCache extends Map {
+    /**
+     * @param {number} maxEntries - Maximum number of entries kept
+     */
+    constructor(maxEntries) {
+        super();
+        this.maxEntries = maxEntries;
+    }
+
+    /**
+     * Get an entry, marking it as most recently used
+     * @param {*} key - Cache key
+     * @returns {*} Cached value, or undefined when missing
+     */
+    get(key) {
+        if (!super.has(key)) {
+            return undefined;
+        }
+        const value = super.get(key);
+        super.delete(key);
+        super.set(key, value);
+        return value;
+    }
+
+    /**
+     * Store an entry, evicting least recently used ones above the limit
+     * @param {*} key - Cache key
+     * @param {*} value - Value to cache
+     * @returns {BoundedCache} The cache
+     */
+    set(key, value) {
+        super.delete(key);
+        super.set(key, value);
+        while (this.size > this.maxEntries) {
+            super.delete(this.keys().next().value);
+        }
+        return this;
+    }
+}
+
+module.exports = {
+    BoundedCache
+};
@@ -0,0 +1,118 @@
+/**
+ * Subtitle character encoding detection and UTF-8 normalization
+ */
+
+const chardet = require('chardet');
+const iconv = require('iconv-lite');
+
+// Byte order marks, longest first so UTF-32LE isn't mistaken for UTF-16LE
+const BOMS = [
+    { bytes: [0x00, 0x00, 0xFE, 0xFF], encoding: 'utf-32be' },
+    { bytes: [0xFF, 0xFE, 0x00, 0x00], encoding: 'utf-32le' },
+    { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+    { bytes: [0xFE, 0xFF], encoding: 'utf-16be' },
+    { bytes: [0xFF, 0xFE], encoding: 'utf-16le' }
+];
+
+const FALLBACK_ENCODING = 'windows-1252';
+
+/**
+ * Detect a byte order mark at the start of a buffer
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {Object|null} { encoding, length } or null if no BOM
+ */
+function detectBom(buffer) {
+    for (const { bytes, encoding } of BOMS) {
+        if (buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte)) {
+            return { encoding, length: bytes.length };
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether a buffer is valid UTF-8
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {boolean} True if the buffer decodes as UTF-8 without errors
+ */
+function isValidUtf8(buffer) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Detect the character encoding of a subtitle file
+ * Checks for a BOM first, then strict UTF-8, then falls back to statistical detection.
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {Object} { encoding, method, confidence }
+ */
+function detectEncoding(buffer) {
+    const bom = detectBom(buffer);
+    if (bom) {
+        return { encoding: bom.encoding, method: 'bom', confidence: 100 };
+    }
+
+    if (isValidUtf8(buffer)) {
+        return { encoding: 'utf-8', method: 'utf8_valid', confidence: 100 };
+    }
+
+    const candidates = chardet.analyse(buffer)
+        .filter(candidate => candidate.name !== 'UTF-8' && iconv.encodingExists(candidate.name));
+
+    if (candidates.length > 0) {
+        return {
+            encoding: candidates[0].name.toLowerCase(),
+            method: 'statistical',
+            confidence: candidates[0].confidence
+        };
+    }
+
+    return { encoding: FALLBACK_ENCODING, method: 'fallback', confidence: 0 };
+}
+
+/**
+ * Decode a subtitle file into a string
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {Object} { text, encoding, method }
+ */
+function decodeSubtitle(buffer) {
+    const detection = detectEncoding(buffer);
+    const bom = detectBom(buffer);
+    const body = bom ? buffer.subarray(bom.length) : buffer;
+
+    let text = iconv.decode(body, detection.encoding);
+    // Strip a BOM that survived decoding
+    text = text.replace(/^﻿/, '');
+
+    console.log(`Detected subtitle encoding: ${detection.encoding} (${detection.method}, confidence ${detection.confidence})`);
+
+    return {
+        text,
+        encoding: detection.encoding,
+        method: detection.method
+    };
+}
+
+/**
+ * Transcode a subtitle file to UTF-8 (without BOM)
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {Object} { buffer, encoding } with the UTF-8 buffer and the source encoding
+ */
+function toUtf8(buffer) {
+    const { text, encoding } = decodeSubtitle(buffer);
+    return {
+        buffer: Buffer.from(text, 'utf8'),
+        encoding
+    };
+}
+
+module.exports = {
+    detectBom,
+    detectEncoding,
+    decodeSubtitle,
+    toUtf8
+};
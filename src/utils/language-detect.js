@@ -0,0 +1,227 @@
+/**
+ * Content based subtitle language detection
+ *
+ * Works offline: the script of the text decides for non-Latin languages
+ * (Cyrillic, Greek, Arabic, Hebrew, CJK, ...), and Latin script languages are
+ * told apart by how often their most common words (stopwords) appear.
+ */
+
+// Minimum number of letters needed before the text is classified at all
+const MIN_LETTERS = 20;
+// Share of letters a non-Latin script needs to decide the language
+const SCRIPT_THRESHOLD = 0.3;
+// Stopword hits needed for a Latin script language
+const MIN_STOPWORD_HITS = 5;
+
+const SCRIPTS = [
+    { name: 'cyrillic', pattern: /\p{Script=Cyrillic}/u },
+    { name: 'greek', pattern: /\p{Script=Greek}/u },
+    { name: 'arabic', pattern: /\p{Script=Arabic}/u },
+    { name: 'hebrew', pattern: /\p{Script=Hebrew}/u },
+    { name: 'hangul', pattern: /\p{Script=Hangul}/u },
+    { name: 'kana', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u },
+    { name: 'han', pattern: /\p{Script=Han}/u },
+    { name: 'thai', pattern: /\p{Script=Thai}/u },
+    { name: 'devanagari', pattern: /\p{Script=Devanagari}/u },
+    { name: 'latin', pattern: /\p{Script=Latin}/u }
+];
+
+// Most frequent words per language; words shared by related languages count
+// for each of them, so the distinctive ones decide
+const STOPWORDS = {
+    en: ['the', 'and', 'you', 'that', 'was', 'for', 'are', 'with', 'his', 'they', 'this', 'have', 'from', 'what', 'not', 'but', 'all', 'were', 'when', 'your', 'can', 'there', 'will', 'would', 'about', 'just', 'know', 'don\'t', 'it\'s', 'i\'m', 'is', 'of', 'to', 'it', 'me', 'my'],
+    es: ['que', 'de', 'no', 'la', 'el', 'es', 'y', 'en', 'lo', 'un', 'por', 'qué', 'me', 'una', 'te', 'los', 'se', 'con', 'para', 'mi', 'está', 'si', 'pero', 'las', 'bien', 'yo', 'su', 'eso', 'aquí', 'del', 'al', 'como', 'muy', 'tengo', 'todo', 'esto', 'usted', 'señor'],
+    fr: ['de', 'je', 'est', 'pas', 'le', 'vous', 'la', 'tu', 'que', 'un', 'il', 'et', 'à', 'ne', 'les', 'ce', 'en', 'on', 'ça', 'une', 'ai', 'pour', 'des', 'moi', 'qui', 'nous', 'mais', 'y', 'me', 'dans', 'du', 'bien', 'elle', 'si', 'tout', 'plus', 'suis', 'avec', 'oui', 'c\'est', 'j\'ai'],
+    de: ['ich', 'sie', 'das', 'ist', 'du', 'nicht', 'die', 'es', 'und', 'der', 'wir', 'was', 'zu', 'er', 'ein', 'in', 'mit', 'mir', 'den', 'auf', 'mich', 'ja', 'hier', 'wie', 'eine', 'dich', 'so', 'hat', 'dass', 'haben', 'aber', 'noch', 'nein', 'bin', 'kann', 'auch', 'doch', 'jetzt'],
+    it: ['non', 'di', 'che', 'è', 'e', 'la', 'il', 'un', 'a', 'per', 'in', 'una', 'mi', 'sono', 'ho', 'ma', 'lo', 'ha', 'le', 'si', 'ti', 'con', 'cosa', 'se', 'io', 'come', 'da', 'questo', 'qui', 'hai', 'sei', 'del', 'bene', 'tu', 'gli', 'perché', 'della', 'sì', 'anche'],
+    pt: ['que', 'não', 'de', 'o', 'a', 'é', 'e', 'um', 'para', 'com', 'eu', 'se', 'me', 'uma', 'você', 'no', 'do', 'os', 'na', 'está', 'mas', 'por', 'isso', 'em', 'da', 'ele', 'tem', 'como', 'foi', 'aqui', 'muito', 'meu', 'estou', 'vai', 'sim', 'bem', 'ela', 'já', 'vou', 'só'],
+    nl: ['ik', 'je', 'het', 'de', 'dat', 'is', 'een', 'niet', 'en', 'wat', 'van', 'we', 'in', 'ze', 'hij', 'op', 'te', 'zijn', 'er', 'maar', 'me', 'die', 'heb', 'voor', 'met', 'als', 'ben', 'was', 'dit', 'mijn', 'hebben', 'hier', 'naar', 'jij', 'kan', 'wel', 'nee', 'ja', 'moet', 'niets'],
+    sv: ['jag', 'det', 'är', 'du', 'inte', 'att', 'och', 'en', 'som', 'vi', 'på', 'har', 'han', 'med', 'för', 'vad', 'den', 'mig', 'kan', 'hon', 'så', 'ska', 'till', 'var', 'dig', 'här', 'om', 'nu', 'de', 'bara', 'ett', 'men', 'vill', 'hur', 'nej', 'ja', 'av', 'när', 'också', 'honom'],
+    no: ['jeg', 'det', 'er', 'du', 'ikke', 'at', 'og', 'en', 'som', 'vi', 'på', 'har', 'han', 'med', 'for', 'hva', 'den', 'meg', 'kan', 'hun', 'så', 'skal', 'til', 'var', 'deg', 'her', 'om', 'nå', 'de', 'bare', 'et', 'men', 'vil', 'hvordan', 'nei', 'ja', 'av', 'når', 'også', 'ham'],
+    da: ['jeg', 'det', 'er', 'du', 'ikke', 'at', 'og', 'en', 'som', 'vi', 'på', 'har', 'han', 'med', 'for', 'hvad', 'den', 'mig', 'kan', 'hun', 'så', 'skal', 'til', 'var', 'dig', 'her', 'om', 'nu', 'de', 'bare', 'et', 'men', 'vil', 'hvordan', 'nej', 'ja', 'af', 'når', 'også', 'ham'],
+    fi: ['on', 'ei', 'se', 'että', 'ja', 'hän', 'mitä', 'en', 'minä', 'sinä', 'me', 'olen', 'oli', 'tämä', 'ole', 'kun', 'niin', 'mutta', 'jos', 'nyt', 'sen', 'mikä', 'sinun', 'minun', 'vain', 'täällä', 'kuin', 'he', 'tiedän', 'voi', 'siitä', 'joka', 'ovat', 'ehkä', 'kaikki', 'mitään'],
+    pl: ['nie', 'to', 'się', 'w', 'na', 'i', 'z', 'co', 'jest', 'że', 'do', 'tak', 'jak', 'mnie', 'ja', 'o', 'mi', 'ale', 'ty', 'czy', 'tylko', 'po', 'tu', 'jestem', 'masz', 'go', 'już', 'tym', 'mam', 'dla', 'wiem', 'jesteś', 'ci', 'tego', 'teraz', 'może', 'mój', 'by'],
+    tr: ['bir', 've', 'bu', 'ne', 'için', 'çok', 'ben', 'sen', 'da', 'de', 'mi', 'o', 'değil', 'var', 'ama', 'gibi', 'beni', 'seni', 'evet', 'hayır', 'şey', 'daha', 'onu', 'biz', 'her', 'benim', 'senin', 'bana', 'sana', 'iyi', 'neden', 'nasıl', 'tamam', 'yok', 'şimdi', 'burada'],
+    ro: ['și', 'nu', 'să', 'de', 'a', 'în', 'e', 'la', 'ce', 'pe', 'este', 'cu', 'o', 'un', 'mă', 'ai', 'am', 'te', 'din', 'că', 'eu', 'mai', 'asta', 'el', 'ne', 'tu', 'sunt', 'pentru', 'aici', 'fi', 'ești', 'bine', 'da', 'dar', 'acum', 'poate', 'vreau', 'ca'],
+    cs: ['je', 'to', 'se', 'na', 'že', 'a', 'v', 'nejsem', 'ne', 'jsem', 'co', 'tak', 'jsi', 'mi', 'ale', 'ti', 'tady', 'jak', 'by', 'už', 'jen', 'mě', 'tě', 'ano', 'ještě', 'být', 'byl', 'pro', 'když', 'teď', 'vím', 'něco', 'tam', 'proč', 'nic', 'chci', 'jsme', 'můžu'],
+    hu: ['a', 'az', 'nem', 'hogy', 'és', 'ez', 'is', 'meg', 'van', 'egy', 'mi', 'csak', 'de', 'már', 'én', 'te', 'ha', 'itt', 'nincs', 'kell', 'mit', 'igen', 'most', 'volt', 'jó', 'még', 'vagy', 'akkor', 'nekem', 'ezt', 'azt', 'mert', 'tudom', 'vagyok', 'olyan', 'miért', 'hol'],
+    id: ['yang', 'tidak', 'aku', 'kau', 'ini', 'itu', 'dan', 'di', 'apa', 'kita', 'akan', 'dia', 'ada', 'saya', 'untuk', 'ke', 'dengan', 'kami', 'bisa', 'tahu', 'ya', 'tak', 'kamu', 'harus', 'sudah', 'mereka', 'dari', 'jika', 'bukan', 'hanya', 'semua', 'sini', 'juga', 'begitu', 'mau']
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+    Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words)])
+);
+
+/**
+ * Extract the spoken text of a subtitle file
+ * Drops cue numbers, timestamps, ASS/SSA headers and styling tags.
+ * @param {string} content - Subtitle file contents
+ * @returns {string} Dialogue text
+ */
+function extractDialogue(content) {
+    const lines = [];
+    const isAss = /^\[Script Info\]/im.test(content);
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        let line = rawLine.trim();
+        if (!line || /^\d+$/.test(line) || line.includes('-->') || line === 'WEBVTT') {
+            continue;
+        }
+
+        if (/^Dialogue\s*:/i.test(line)) {
+            // The text is everything after the ninth comma
+            line = line.split(',').slice(9).join(',');
+        } else if (isAss) {
+            // ASS/SSA section headers, styles and script info
+            continue;
+        }
+
+        line = line
+            .replace(/^(\{\d+\}){2}/, '') // MicroDVD frames
+            .replace(/\{[^}]*\}/g, ' ') // ASS override tags, MicroDVD codes
+            .replace(/<[^>]*>/g, ' ') // HTML-like tags
+            .replace(/\\[Nnh]/g, ' ')
+            .replace(/\|/g, ' ');
+
+        lines.push(line);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Count the letters of each script in a text
+ * @param {string} text - Text to analyze
+ * @returns {Object} { counts, total } with letters per script name
+ */
+function countScripts(text) {
+    const counts = {};
+    let total = 0;
+
+    for (const char of text) {
+        if (!/\p{L}/u.test(char)) continue;
+        total++;
+        const script = SCRIPTS.find(({ pattern }) => pattern.test(char));
+        const name = script ? script.name : 'other';
+        counts[name] = (counts[name] || 0) + 1;
+    }
+
+    return { counts, total };
+}
+
+/**
+ * Count how often given characters appear in a text
+ * @param {string} text - Text to analyze
+ * @param {RegExp} pattern - Global pattern matching the characters
+ * @returns {number} Number of matches
+ */
+function countMatches(text, pattern) {
+    return (text.match(pattern) || []).length;
+}
+
+/**
+ * Identify a language from its script
+ * @param {string} script - Dominant script name
+ * @param {string} text - Text to analyze (for letters that tell related languages apart)
+ * @param {Object} counts - Letters per script
+ * @returns {string|null} Language code, or null for Latin script
+ */
+function languageFromScript(script, text, counts) {
+    const lower = text.toLowerCase();
+
+    switch (script) {
+        case 'cyrillic':
+            if (countMatches(lower, /[іїєґ]/g) > 0) return 'uk';
+            if (countMatches(lower, /[ђјљњћџ]/g) > 0) return 'sr';
+            // Russian uses ы and э; Bulgarian uses ъ as a vowel
+            if (countMatches(lower, /[ыэ]/g) === 0 && countMatches(lower, /ъ/g) > counts.cyrillic * 0.01) return 'bg';
+            return 'ru';
+        case 'greek':
+            return 'el';
+        case 'arabic':
+            if (countMatches(text, /[ٹڈڑںے]/g) > 0) return 'ur';
+            if (countMatches(text, /[پچژگکی]/g) > counts.arabic * 0.02) return 'fa';
+            return 'ar';
+        case 'hebrew':
+            return 'he';
+        case 'hangul':
+            return 'ko';
+        case 'kana':
+            return 'ja';
+        case 'han':
+            // Japanese text mixes kana into kanji
+            return (counts.kana || 0) > counts.han * 0.05 ? 'ja' : 'zh';
+        case 'thai':
+            return 'th';
+        case 'devanagari':
+            return 'hi';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Score Latin script text against the stopword profiles
+ * @param {string} text - Text to analyze
+ * @returns {Array<Object>} { code, hits } sorted by hits, best first
+ */
+function scoreStopwords(text) {
+    const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+    const scores = Object.keys(STOPWORD_SETS).map(code => ({ code, hits: 0 }));
+
+    for (const word of words) {
+        for (const score of scores) {
+            if (STOPWORD_SETS[score.code].has(word)) {
+                score.hits++;
+            }
+        }
+    }
+
+    return scores.sort((a, b) => b.hits - a.hits);
+}
+
+/**
+ * Detect the language of subtitle text
+ * @param {string} content - Subtitle file contents (any supported format)
+ * @returns {Object|null} { code, confidence (0-1), method ('script' or 'stopwords') },
+ *   or null when the text is too short or ambiguous
+ */
+function detectTextLanguage(content) {
+    const text = extractDialogue(content || '');
+    const { counts, total } = countScripts(text);
+    if (total < MIN_LETTERS) {
+        return null;
+    }
+
+    // A non-Latin script is conclusive on its own
+    const cjk = (counts.han || 0) + (counts.kana || 0);
+    const [dominant, dominantCount] = Object.entries({ ...counts, han: cjk })
+        .filter(([name]) => name !== 'latin' && name !== 'other' && name !== 'kana')
+        .sort((a, b) => b[1] - a[1])[0] || [null, 0];
+
+    if (dominant && dominantCount / total >= SCRIPT_THRESHOLD) {
+        const code = languageFromScript(dominant, text, counts);
+        if (code) {
+            return { code, confidence: Math.min(1, dominantCount / total + 0.2), method: 'script' };
+        }
+    }
+
+    const [best, second] = scoreStopwords(text);
+    if (!best || best.hits < MIN_STOPWORD_HITS) {
+        return null;
+    }
+
+    // Related languages share stopwords; only a clear lead counts
+    const confidence = (best.hits - second.hits) / best.hits;
+    if (confidence < 0.1) {
+        return null;
+    }
+
+    return { code: best.code, confidence, method: 'stopwords' };
+}
+
+module.exports = {
+    detectTextLanguage,
+    extractDialogue,
+    scoreStopwords
+};
@@ -0,0 +1,455 @@
+/**
+ * Language registry
+ *
+ * All ISO 639-1 languages and the ISO 639-2 languages without a two-letter
+ * code that subtitles are found in, with their native names, the region
+ * variants subtitle sites distinguish (Brazilian Portuguese, Latin American
+ * Spanish, Simplified/Traditional Chinese) and the aliases found in subtitle
+ * filenames. Languages are identified by the code Stremio groups subtitles
+ * by: the ISO 639-2/B code, or the variant code such as "pob".
+ *
+ * The table is a subset of ISO 639-2, which also lists historical and
+ * collective codes. Other three-letter codes are accepted where a code is
+ * given explicitly (manifests, preferred languages) if the ICU data Node ships
+ * with names them; filename tags only match the table, so three-letter title
+ * words aren't taken for rare languages.
+ */
+
+// [ISO 639-1, ISO 639-2/B, ISO 639-2/T, English name, native name]
+const ISO_LANGUAGES = [
+    ['aa', 'aar', 'aar', 'Afar', 'Afaraf'],
+    ['ab', 'abk', 'abk', 'Abkhazian', 'аҧсуа бызшәа'],
+    ['ae', 'ave', 'ave', 'Avestan', 'avesta'],
+    ['af', 'afr', 'afr', 'Afrikaans', 'Afrikaans'],
+    ['ak', 'aka', 'aka', 'Akan', 'Akan'],
+    ['am', 'amh', 'amh', 'Amharic', 'አማርኛ'],
+    ['an', 'arg', 'arg', 'Aragonese', 'aragonés'],
+    ['ar', 'ara', 'ara', 'Arabic', 'العربية'],
+    ['as', 'asm', 'asm', 'Assamese', 'অসমীয়া'],
+    ['av', 'ava', 'ava', 'Avaric', 'авар мацӀ'],
+    ['ay', 'aym', 'aym', 'Aymara', 'aymar aru'],
+    ['az', 'aze', 'aze', 'Azerbaijani', 'azərbaycan dili'],
+    ['ba', 'bak', 'bak', 'Bashkir', 'башҡорт теле'],
+    ['be', 'bel', 'bel', 'Belarusian', 'беларуская мова'],
+    ['bg', 'bul', 'bul', 'Bulgarian', 'български език'],
+    ['bi', 'bis', 'bis', 'Bislama', 'Bislama'],
+    ['bm', 'bam', 'bam', 'Bambara', 'bamanankan'],
+    ['bn', 'ben', 'ben', 'Bengali', 'বাংলা'],
+    ['bo', 'tib', 'bod', 'Tibetan', 'བོད་ཡིག'],
+    ['br', 'bre', 'bre', 'Breton', 'brezhoneg'],
+    ['bs', 'bos', 'bos', 'Bosnian', 'bosanski jezik'],
+    ['ca', 'cat', 'cat', 'Catalan', 'català'],
+    ['ce', 'che', 'che', 'Chechen', 'нохчийн мотт'],
+    ['ch', 'cha', 'cha', 'Chamorro', 'Chamoru'],
+    ['co', 'cos', 'cos', 'Corsican', 'corsu'],
+    ['cr', 'cre', 'cre', 'Cree', 'ᓀᐦᐃᔭᐍᐏᐣ'],
+    ['cs', 'cze', 'ces', 'Czech', 'čeština'],
+    ['cu', 'chu', 'chu', 'Church Slavic', 'ѩзыкъ словѣньскъ'],
+    ['cv', 'chv', 'chv', 'Chuvash', 'чӑваш чӗлхи'],
+    ['cy', 'wel', 'cym', 'Welsh', 'Cymraeg'],
+    ['da', 'dan', 'dan', 'Danish', 'dansk'],
+    ['de', 'ger', 'deu', 'German', 'Deutsch'],
+    ['dv', 'div', 'div', 'Divehi', 'ދިވެހި'],
+    ['dz', 'dzo', 'dzo', 'Dzongkha', 'རྫོང་ཁ'],
+    ['ee', 'ewe', 'ewe', 'Ewe', 'Eʋegbe'],
+    ['el', 'gre', 'ell', 'Greek', 'Ελληνικά'],
+    ['en', 'eng', 'eng', 'English', 'English'],
+    ['eo', 'epo', 'epo', 'Esperanto', 'Esperanto'],
+    ['es', 'spa', 'spa', 'Spanish', 'español'],
+    ['et', 'est', 'est', 'Estonian', 'eesti'],
+    ['eu', 'baq', 'eus', 'Basque', 'euskara'],
+    ['fa', 'per', 'fas', 'Persian', 'فارسی'],
+    ['ff', 'ful', 'ful', 'Fulah', 'Fulfulde'],
+    ['fi', 'fin', 'fin', 'Finnish', 'suomi'],
+    ['fj', 'fij', 'fij', 'Fijian', 'vosa Vakaviti'],
+    ['fo', 'fao', 'fao', 'Faroese', 'føroyskt'],
+    ['fr', 'fre', 'fra', 'French', 'français'],
+    ['fy', 'fry', 'fry', 'Western Frisian', 'Frysk'],
+    ['ga', 'gle', 'gle', 'Irish', 'Gaeilge'],
+    ['gd', 'gla', 'gla', 'Scottish Gaelic', 'Gàidhlig'],
+    ['gl', 'glg', 'glg', 'Galician', 'galego'],
+    ['gn', 'grn', 'grn', 'Guarani', 'Avañe\'ẽ'],
+    ['gu', 'guj', 'guj', 'Gujarati', 'ગુજરાતી'],
+    ['gv', 'glv', 'glv', 'Manx', 'Gaelg'],
+    ['ha', 'hau', 'hau', 'Hausa', 'Hausa'],
+    ['he', 'heb', 'heb', 'Hebrew', 'עברית'],
+    ['hi', 'hin', 'hin', 'Hindi', 'हिन्दी'],
+    ['ho', 'hmo', 'hmo', 'Hiri Motu', 'Hiri Motu'],
+    ['hr', 'hrv', 'hrv', 'Croatian', 'hrvatski jezik'],
+    ['ht', 'hat', 'hat', 'Haitian Creole', 'Kreyòl ayisyen'],
+    ['hu', 'hun', 'hun', 'Hungarian', 'magyar'],
+    ['hy', 'arm', 'hye', 'Armenian', 'Հայերեն'],
+    ['hz', 'her', 'her', 'Herero', 'Otjiherero'],
+    ['ia', 'ina', 'ina', 'Interlingua', 'Interlingua'],
+    ['id', 'ind', 'ind', 'Indonesian', 'Bahasa Indonesia'],
+    ['ie', 'ile', 'ile', 'Interlingue', 'Interlingue'],
+    ['ig', 'ibo', 'ibo', 'Igbo', 'Asụsụ Igbo'],
+    ['ii', 'iii', 'iii', 'Sichuan Yi', 'ꆈꌠ꒿ Nuosuhxop'],
+    ['ik', 'ipk', 'ipk', 'Inupiaq', 'Iñupiaq'],
+    ['io', 'ido', 'ido', 'Ido', 'Ido'],
+    ['is', 'ice', 'isl', 'Icelandic', 'íslenska'],
+    ['it', 'ita', 'ita', 'Italian', 'italiano'],
+    ['iu', 'iku', 'iku', 'Inuktitut', 'ᐃᓄᒃᑎᑐᑦ'],
+    ['ja', 'jpn', 'jpn', 'Japanese', '日本語'],
+    ['jv', 'jav', 'jav', 'Javanese', 'basa Jawa'],
+    ['ka', 'geo', 'kat', 'Georgian', 'ქართული'],
+    ['kg', 'kon', 'kon', 'Kongo', 'Kikongo'],
+    ['ki', 'kik', 'kik', 'Kikuyu', 'Gĩkũyũ'],
+    ['kj', 'kua', 'kua', 'Kuanyama', 'Kuanyama'],
+    ['kk', 'kaz', 'kaz', 'Kazakh', 'қазақ тілі'],
+    ['kl', 'kal', 'kal', 'Kalaallisut', 'kalaallisut'],
+    ['km', 'khm', 'khm', 'Khmer', 'ខ្មែរ'],
+    ['kn', 'kan', 'kan', 'Kannada', 'ಕನ್ನಡ'],
+    ['ko', 'kor', 'kor', 'Korean', '한국어'],
+    ['kr', 'kau', 'kau', 'Kanuri', 'Kanuri'],
+    ['ks', 'kas', 'kas', 'Kashmiri', 'कश्मीरी'],
+    ['ku', 'kur', 'kur', 'Kurdish', 'Kurdî'],
+    ['kv', 'kom', 'kom', 'Komi', 'коми кыв'],
+    ['kw', 'cor', 'cor', 'Cornish', 'Kernewek'],
+    ['ky', 'kir', 'kir', 'Kyrgyz', 'Кыргызча'],
+    ['la', 'lat', 'lat', 'Latin', 'latine'],
+    ['lb', 'ltz', 'ltz', 'Luxembourgish', 'Lëtzebuergesch'],
+    ['lg', 'lug', 'lug', 'Ganda', 'Luganda'],
+    ['li', 'lim', 'lim', 'Limburgish', 'Limburgs'],
+    ['ln', 'lin', 'lin', 'Lingala', 'Lingála'],
+    ['lo', 'lao', 'lao', 'Lao', 'ພາສາລາວ'],
+    ['lt', 'lit', 'lit', 'Lithuanian', 'lietuvių kalba'],
+    ['lu', 'lub', 'lub', 'Luba-Katanga', 'Kiluba'],
+    ['lv', 'lav', 'lav', 'Latvian', 'latviešu valoda'],
+    ['mg', 'mlg', 'mlg', 'Malagasy', 'fiteny malagasy'],
+    ['mh', 'mah', 'mah', 'Marshallese', 'Kajin M̧ajeļ'],
+    ['mi', 'mao', 'mri', 'Maori', 'te reo Māori'],
+    ['mk', 'mac', 'mkd', 'Macedonian', 'македонски јазик'],
+    ['ml', 'mal', 'mal', 'Malayalam', 'മലയാളം'],
+    ['mn', 'mon', 'mon', 'Mongolian', 'Монгол хэл'],
+    ['mr', 'mar', 'mar', 'Marathi', 'मराठी'],
+    ['ms', 'may', 'msa', 'Malay', 'Bahasa Melayu'],
+    ['mt', 'mlt', 'mlt', 'Maltese', 'Malti'],
+    ['my', 'bur', 'mya', 'Burmese', 'ဗမာစာ'],
+    ['na', 'nau', 'nau', 'Nauru', 'Dorerin Naoero'],
+    ['nb', 'nob', 'nob', 'Norwegian Bokmål', 'Norsk bokmål'],
+    ['nd', 'nde', 'nde', 'North Ndebele', 'isiNdebele'],
+    ['ne', 'nep', 'nep', 'Nepali', 'नेपाली'],
+    ['ng', 'ndo', 'ndo', 'Ndonga', 'Owambo'],
+    ['nl', 'dut', 'nld', 'Dutch', 'Nederlands'],
+    ['nn', 'nno', 'nno', 'Norwegian Nynorsk', 'Norsk nynorsk'],
+    ['no', 'nor', 'nor', 'Norwegian', 'norsk'],
+    ['nr', 'nbl', 'nbl', 'South Ndebele', 'isiNdebele'],
+    ['nv', 'nav', 'nav', 'Navajo', 'Diné bizaad'],
+    ['ny', 'nya', 'nya', 'Chichewa', 'chiCheŵa'],
+    ['oc', 'oci', 'oci', 'Occitan', 'occitan'],
+    ['oj', 'oji', 'oji', 'Ojibwa', 'ᐊᓂᔑᓈᐯᒧᐎᓐ'],
+    ['om', 'orm', 'orm', 'Oromo', 'Afaan Oromoo'],
+    ['or', 'ori', 'ori', 'Oriya', 'ଓଡ଼ିଆ'],
+    ['os', 'oss', 'oss', 'Ossetian', 'ирон æвзаг'],
+    ['pa', 'pan', 'pan', 'Punjabi', 'ਪੰਜਾਬੀ'],
+    ['pi', 'pli', 'pli', 'Pali', 'पाऴि'],
+    ['pl', 'pol', 'pol', 'Polish', 'polski'],
+    ['ps', 'pus', 'pus', 'Pashto', 'پښتو'],
+    ['pt', 'por', 'por', 'Portuguese', 'português'],
+    ['qu', 'que', 'que', 'Quechua', 'Runa Simi'],
+    ['rm', 'roh', 'roh', 'Romansh', 'rumantsch grischun'],
+    ['rn', 'run', 'run', 'Rundi', 'Ikirundi'],
+    ['ro', 'rum', 'ron', 'Romanian', 'română'],
+    ['ru', 'rus', 'rus', 'Russian', 'русский'],
+    ['rw', 'kin', 'kin', 'Kinyarwanda', 'Ikinyarwanda'],
+    ['sa', 'san', 'san', 'Sanskrit', 'संस्कृतम्'],
+    ['sc', 'srd', 'srd', 'Sardinian', 'sardu'],
+    ['sd', 'snd', 'snd', 'Sindhi', 'सिन्धी'],
+    ['se', 'sme', 'sme', 'Northern Sami', 'davvisámegiella'],
+    ['sg', 'sag', 'sag', 'Sango', 'yângâ tî sängö'],
+    ['si', 'sin', 'sin', 'Sinhala', 'සිංහල'],
+    ['sk', 'slo', 'slk', 'Slovak', 'slovenčina'],
+    ['sl', 'slv', 'slv', 'Slovenian', 'slovenščina'],
+    ['sm', 'smo', 'smo', 'Samoan', 'gagana fa\'a Samoa'],
+    ['sn', 'sna', 'sna', 'Shona', 'chiShona'],
+    ['so', 'som', 'som', 'Somali', 'Soomaaliga'],
+    ['sq', 'alb', 'sqi', 'Albanian', 'shqip'],
+    ['sr', 'srp', 'srp', 'Serbian', 'српски језик'],
+    ['ss', 'ssw', 'ssw', 'Swati', 'SiSwati'],
+    ['st', 'sot', 'sot', 'Southern Sotho', 'Sesotho'],
+    ['su', 'sun', 'sun', 'Sundanese', 'Basa Sunda'],
+    ['sv', 'swe', 'swe', 'Swedish', 'svenska'],
+    ['sw', 'swa', 'swa', 'Swahili', 'Kiswahili'],
+    ['ta', 'tam', 'tam', 'Tamil', 'தமிழ்'],
+    ['te', 'tel', 'tel', 'Telugu', 'తెలుగు'],
+    ['tg', 'tgk', 'tgk', 'Tajik', 'тоҷикӣ'],
+    ['th', 'tha', 'tha', 'Thai', 'ไทย'],
+    ['ti', 'tir', 'tir', 'Tigrinya', 'ትግርኛ'],
+    ['tk', 'tuk', 'tuk', 'Turkmen', 'Türkmençe'],
+    ['tl', 'tgl', 'tgl', 'Tagalog', 'Wikang Tagalog'],
+    ['tn', 'tsn', 'tsn', 'Tswana', 'Setswana'],
+    ['to', 'ton', 'ton', 'Tonga', 'faka Tonga'],
+    ['tr', 'tur', 'tur', 'Turkish', 'Türkçe'],
+    ['ts', 'tso', 'tso', 'Tsonga', 'Xitsonga'],
+    ['tt', 'tat', 'tat', 'Tatar', 'татар теле'],
+    ['tw', 'twi', 'twi', 'Twi', 'Twi'],
+    ['ty', 'tah', 'tah', 'Tahitian', 'Reo Tahiti'],
+    ['ug', 'uig', 'uig', 'Uyghur', 'ئۇيغۇرچە'],
+    ['uk', 'ukr', 'ukr', 'Ukrainian', 'українська'],
+    ['ur', 'urd', 'urd', 'Urdu', 'اردو'],
+    ['uz', 'uzb', 'uzb', 'Uzbek', 'oʻzbek'],
+    ['ve', 'ven', 'ven', 'Venda', 'Tshivenḓa'],
+    ['vi', 'vie', 'vie', 'Vietnamese', 'Tiếng Việt'],
+    ['vo', 'vol', 'vol', 'Volapük', 'Volapük'],
+    ['wa', 'wln', 'wln', 'Walloon', 'walon'],
+    ['wo', 'wol', 'wol', 'Wolof', 'Wollof'],
+    ['xh', 'xho', 'xho', 'Xhosa', 'isiXhosa'],
+    ['yi', 'yid', 'yid', 'Yiddish', 'ייִדיש'],
+    ['yo', 'yor', 'yor', 'Yoruba', 'Yorùbá'],
+    ['za', 'zha', 'zha', 'Zhuang', 'Saɯ cueŋƅ'],
+    ['zh', 'chi', 'zho', 'Chinese', '中文'],
+    ['zu', 'zul', 'zul', 'Zulu', 'isiZulu'],
+    // ISO 639-2 languages without a two-letter code
+    [null, 'ace', 'ace', 'Achinese', 'Acèh'],
+    [null, 'ain', 'ain', 'Ainu', 'アイヌ・イタㇰ'],
+    [null, 'ang', 'ang', 'Old English', 'Englisc'],
+    [null, 'ast', 'ast', 'Asturian', 'asturianu'],
+    [null, 'ban', 'ban', 'Balinese', 'Basa Bali'],
+    [null, 'bho', 'bho', 'Bhojpuri', 'भोजपुरी'],
+    [null, 'ceb', 'ceb', 'Cebuano', 'Sinugboanon'],
+    [null, 'chr', 'chr', 'Cherokee', 'ᏣᎳᎩ'],
+    [null, 'crh', 'crh', 'Crimean Tatar', 'qırımtatar tili'],
+    [null, 'csb', 'csb', 'Kashubian', 'kaszëbsczi'],
+    [null, 'doi', 'doi', 'Dogri', 'डोगरी'],
+    [null, 'dsb', 'dsb', 'Lower Sorbian', 'dolnoserbšćina'],
+    [null, 'fil', 'fil', 'Filipino', 'Filipino'],
+    [null, 'grc', 'grc', 'Ancient Greek', 'Ἀρχαία ἑλληνικὴ'],
+    [null, 'gsw', 'gsw', 'Swiss German', 'Schwiizertüütsch'],
+    [null, 'haw', 'haw', 'Hawaiian', 'ʻŌlelo Hawaiʻi'],
+    [null, 'hmn', 'hmn', 'Hmong', 'Hmoob'],
+    [null, 'hsb', 'hsb', 'Upper Sorbian', 'hornjoserbšćina'],
+    [null, 'ilo', 'ilo', 'Iloko', 'Ilokano'],
+    [null, 'jbo', 'jbo', 'Lojban', 'la .lojban.'],
+    [null, 'kab', 'kab', 'Kabyle', 'Taqbaylit'],
+    [null, 'kok', 'kok', 'Konkani', 'कोंकणी'],
+    [null, 'lad', 'lad', 'Ladino', 'Judeo-español'],
+    [null, 'mai', 'mai', 'Maithili', 'मैथिली'],
+    [null, 'min', 'min', 'Minangkabau', 'Baso Minangkabau'],
+    [null, 'mni', 'mni', 'Manipuri', 'ꯃꯤꯇꯩꯂꯣꯟ'],
+    [null, 'nap', 'nap', 'Neapolitan', 'napulitano'],
+    [null, 'nds', 'nds', 'Low German', 'Plattdüütsch'],
+    [null, 'rom', 'rom', 'Romany', 'romani čhib'],
+    [null, 'sah', 'sah', 'Yakut', 'саха тыла'],
+    [null, 'sat', 'sat', 'Santali', 'ᱥᱟᱱᱛᱟᱲᱤ'],
+    [null, 'scn', 'scn', 'Sicilian', 'sicilianu'],
+    [null, 'syr', 'syr', 'Syriac', 'ܠܫܢܐ ܣܘܪܝܝܐ'],
+    [null, 'tet', 'tet', 'Tetum', 'Tetun'],
+    [null, 'tlh', 'tlh', 'Klingon', 'tlhIngan Hol'],
+    [null, 'tpi', 'tpi', 'Tok Pisin', 'Tok Pisin'],
+    [null, 'war', 'war', 'Waray', 'Winaray'],
+];
+
+// Region variants: [code, base language, English name, native name, Stremio code]
+// Stremio only has its own code for Brazilian Portuguese; the other variants
+// are listed under their base language
+const VARIANTS = [
+    ['pob', 'por', 'Portuguese (Brazil)', 'português (Brasil)', 'pob'],
+    ['spa-la', 'spa', 'Spanish (Latin America)', 'español (Latinoamérica)', 'spa'],
+    ['chi-hans', 'chi', 'Chinese (Simplified)', '简体中文', 'chi'],
+    ['chi-hant', 'chi', 'Chinese (Traditional)', '繁體中文', 'chi'],
+    ['fre-ca', 'fre', 'French (Canada)', 'français (Canada)', 'fre']
+];
+
+// Special ISO 639-2 codes for files in several languages or an unknown one
+const SPECIAL = [
+    ['mul', 'Multiple languages', 'Multiple languages'],
+    ['und', 'Undetermined', 'Undetermined']
+];
+
+// Filename tags that aren't ISO codes or language names. Some of them replace
+// a rarely used ISO 639-1 code: "br" is far more often Brazil than Breton.
+const ALIASES = {
+    // Portuguese
+    'pt-br': 'pob', 'ptbr': 'pob', 'pb': 'pob', 'br': 'pob', 'bra': 'pob',
+    'brazil': 'pob', 'brazilian': 'pob', 'brasil': 'pob', 'brasileiro': 'pob',
+    'pt-pt': 'por', 'portugues': 'por',
+    // Spanish
+    'spa-la': 'spa-la', 'es-la': 'spa-la', 'es-419': 'spa-la', 'es-mx': 'spa-la', 'lat': 'spa-la',
+    'latin': 'spa-la', 'latino': 'spa-la', 'latam': 'spa-la',
+    'es-es': 'spa', 'esp': 'spa', 'castellano': 'spa', 'castilian': 'spa',
+    // Chinese
+    'chs': 'chi-hans', 'zhs': 'chi-hans', 'zh-cn': 'chi-hans', 'zh-hans': 'chi-hans', 'zh-sg': 'chi-hans',
+    'simplified': 'chi-hans',
+    'cht': 'chi-hant', 'zht': 'chi-hant', 'zh-tw': 'chi-hant', 'zh-hk': 'chi-hant', 'zh-hant': 'chi-hant',
+    'big5': 'chi-hant', 'traditional': 'chi-hant',
+    'mandarin': 'chi',
+    // French
+    'fr-ca': 'fre-ca', 'canadian': 'fre-ca', 'quebecois': 'fre-ca',
+    // English
+    'us': 'eng', 'usa': 'eng', 'american': 'eng', 'british': 'eng', 'en-us': 'eng', 'en-gb': 'eng',
+    // Country codes and other common tags
+    'jp': 'jpn', 'jap': 'jpn', 'kr': 'kor', 'cz': 'cze', 'dk': 'dan', 'gr': 'gre', 'ua': 'ukr',
+    'vn': 'vie', 'cn': 'chi-hans', 'tw': 'chi-hant', 'farsi': 'per', 'scc': 'srp', 'scr': 'hrv',
+    'flemish': 'dut', 'moldavian': 'rum', 'bokmal': 'nob', 'nynorsk': 'nno',
+    // Files in several languages
+    'multi': 'mul', 'dual': 'mul'
+};
+
+const languages = new Map();
+const lookup = new Map();
+// Languages outside the table by code, null for codes ICU doesn't name
+const unlisted = new Map();
+const icuNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+/**
+ * Normalize a code, name or filename tag for lookup
+ * @param {string} value - Code, name or tag
+ * @returns {string} Lowercase value without diacritics
+ */
+function normalizeKey(value) {
+    return String(value || '')
+        .trim()
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .replace(/_/g, '-');
+}
+
+/**
+ * Register a language and the keys it is found by
+ * Codes are registered before names so a name never hides a code.
+ * @param {Object} language - Language entry
+ * @param {Array<string>} keys - Codes and names
+ */
+function register(language, keys) {
+    languages.set(language.code, language);
+    for (const key of keys) {
+        const normalized = normalizeKey(key);
+        if (normalized && !lookup.has(normalized)) {
+            lookup.set(normalized, language);
+        }
+    }
+}
+
+for (const [iso639_1, iso639_2b, iso639_2t, name, nativeName] of ISO_LANGUAGES) {
+    register({
+        code: iso639_2b,
+        base: iso639_2b,
+        iso639_1,
+        iso639_2b,
+        iso639_2t,
+        name,
+        nativeName,
+        stremioCode: iso639_2b
+    }, [iso639_2b, iso639_2t, iso639_1].filter(Boolean));
+}
+
+for (const [code, name, nativeName] of SPECIAL) {
+    register({ code, base: code, iso639_1: null, iso639_2b: code, iso639_2t: code, name, nativeName, stremioCode: code }, [code]);
+}
+
+for (const [code, baseCode, name, nativeName, stremioCode] of VARIANTS) {
+    const base = languages.get(baseCode);
+    register({ ...base, code, base: baseCode, name, nativeName, stremioCode }, [code]);
+}
+
+// Aliases replace ISO 639-1 codes they collide with
+for (const [alias, code] of Object.entries(ALIASES)) {
+    lookup.set(normalizeKey(alias), languages.get(code));
+}
+
+// Single word English and native names ("german", "deutsch", "русский")
+for (const language of languages.values()) {
+    for (const name of [language.name, language.nativeName]) {
+        const key = normalizeKey(name);
+        if (key.length >= 4 && !/[\s'.()-]/.test(key) && !lookup.has(key)) {
+            lookup.set(key, language);
+        }
+    }
+}
+
+/**
+ * Find a language by code, alias or name
+ * @param {string} value - ISO 639-1/2 code, variant code, filename alias or name
+ * @returns {Object|null} Language entry or null
+ */
+function findLanguage(value) {
+    return lookup.get(normalizeKey(value)) || null;
+}
+
+/**
+ * Find a language by code, alias or name, accepting ISO 639-2 codes missing
+ * from the table
+ * Only for explicitly given codes; filename tags go through findLanguage.
+ * @param {string} value - ISO 639-1/2 code, variant code, filename alias or name
+ * @returns {Object|null} Language entry or null
+ */
+function findLanguageCode(value) {
+    const language = findLanguage(value);
+    const code = normalizeKey(value);
+    if (language || !/^[a-z]{3}$/.test(code)) {
+        return language;
+    }
+
+    if (!unlisted.has(code)) {
+        const name = icuNames.of(code);
+        const nativeName = name && new Intl.DisplayNames([code], { type: 'language', fallback: 'none' }).of(code);
+        unlisted.set(code, name ? {
+            code,
+            base: code,
+            iso639_1: null,
+            iso639_2b: code,
+            iso639_2t: code,
+            name,
+            nativeName: nativeName || name,
+            stremioCode: code
+        } : null);
+    }
+    return unlisted.get(code);
+}
+
+/**
+ * Get the code Stremio groups subtitles by
+ * @param {string} value - Any code, alias or name of a language
+ * @returns {string} ISO 639-2/B code (or "pob"), "und" when unknown
+ */
+function toStremioCode(value) {
+    const language = findLanguageCode(value);
+    return language ? language.stremioCode : 'und';
+}
+
+/**
+ * Get the display name of a language
+ * @param {string} value - Any code, alias or name of a language
+ * @param {Object} options - Name options
+ * @param {boolean} [options.native] - Return the name in the language itself
+ * @returns {string} Language name, or the value itself when unknown
+ */
+function getLanguageName(value, options = {}) {
+    const language = findLanguageCode(value);
+    if (!language) {
+        return value;
+    }
+    return options.native ? language.nativeName : language.name;
+}
+
+/**
+ * Check whether two codes belong to the same language, ignoring region variants
+ * @param {string} a - Language code
+ * @param {string} b - Language code
+ * @returns {boolean} True for the same base language ("pob" and "por")
+ */
+function isSameLanguage(a, b) {
+    const first = findLanguageCode(a);
+    const second = findLanguageCode(b);
+    return !!first && !!second && first.base === second.base;
+}
+
+/**
+ * List all registered languages and variants
+ * @returns {Array<Object>} Language entries
+ */
+function listLanguages() {
+    return [...languages.values()];
+}
+
+module.exports = {
+    findLanguage,
+    findLanguageCode,
+    toStremioCode,
+    getLanguageName,
+    isSameLanguage,
+    listLanguages,
+    normalizeKey
+};
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findLanguage, findLanguageCode, toStremioCode, getLanguageName, isSameLanguage } = require('./languages');
+
+describe('findLanguage', () => {
+    it('finds languages by ISO 639-1, 639-2/B and 639-2/T code', () => {
+        assert.equal(findLanguage('de').code, 'ger');
+        assert.equal(findLanguage('ger').code, 'ger');
+        assert.equal(findLanguage('deu').code, 'ger');
+    });
+
+    it('finds languages by English and native name, ignoring case and diacritics', () => {
+        assert.equal(findLanguage('German').code, 'ger');
+        assert.equal(findLanguage('français').code, 'fre');
+        assert.equal(findLanguage('FRANCAIS').code, 'fre');
+    });
+
+    it('maps filename aliases to region variants', () => {
+        assert.equal(findLanguage('pt_BR').code, 'pob');
+        assert.equal(findLanguage('br').code, 'pob');
+        assert.equal(findLanguage('chs').code, 'chi-hans');
+    });
+
+    it('only knows the languages of the table', () => {
+        assert.equal(findLanguage('sux'), null);
+        assert.equal(findLanguage('the'), null);
+    });
+});
+
+describe('findLanguageCode', () => {
+    it('accepts ISO 639-2 codes missing from the table', () => {
+        const language = findLanguageCode('sux');
+        assert.equal(language.code, 'sux');
+        assert.equal(language.name, 'Sumerian');
+    });
+
+    it('rejects three-letter words that are no language code', () => {
+        assert.equal(findLanguageCode('the'), null);
+        assert.equal(findLanguageCode('xx'), null);
+    });
+});
+
+describe('toStremioCode', () => {
+    it('returns the ISO 639-2/B code, pob for Brazilian Portuguese', () => {
+        assert.equal(toStremioCode('en'), 'eng');
+        assert.equal(toStremioCode('pt-br'), 'pob');
+        assert.equal(toStremioCode('spa-la'), 'spa');
+        assert.equal(toStremioCode('sux'), 'sux');
+        assert.equal(toStremioCode('nonsense'), 'und');
+    });
+});
+
+describe('getLanguageName', () => {
+    it('returns English or native names', () => {
+        assert.equal(getLanguageName('hun'), 'Hungarian');
+        assert.equal(getLanguageName('hun', { native: true }), 'magyar');
+        assert.equal(getLanguageName('xx'), 'xx');
+    });
+});
+
+describe('isSameLanguage', () => {
+    it('ignores region variants', () => {
+        assert.equal(isSameLanguage('pob', 'por'), true);
+        assert.equal(isSameLanguage('eng', 'ger'), false);
+    });
+});
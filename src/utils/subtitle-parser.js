@@ -3,13 +3,55 @@
  */
 
 const path = require('path');
+const { findLanguage, getLanguageName: getRegistryLanguageName } = require('./languages');
+const { decodeSubtitle } = require('./charset');
+const { detectSubFormat } = require('../converters');
+
+// VobSub .sub payloads are MPEG program streams; text subtitles rarely get this big
+const VOBSUB_SIZE_THRESHOLD = 512 * 1024;
+
+// Language tags recognized anywhere in a filename; other codes only count in
+// the run of tags at the end ("Movie.2010.1080p.hun.forced"). Two-letter codes
+// are title words too often ("La.Casa.de.Papel", "No.Country.for.Old.Men"),
+// so they are left out
+const ANYWHERE_TAGS = new Set([
+    'eng', 'esp', 'fre', 'ger', 'ita', 'por', 'pob', 'rus', 'chi', 'chs', 'cht', 'jpn', 'kor',
+    'ara', 'hin', 'dut', 'swe', 'nor', 'dan', 'fin', 'usa'
+]);
+
+// Names shorter than this are only trusted in the trailing tags too; longer
+// ones found before them are weak evidence ("The.Italian.Job", "French.Kiss")
+const MIN_NAME_LENGTH = 5;
+
+// Tags that may follow the language at the end of a filename
+const MODIFIER_TAGS = new Set([
+    'forced', 'foreign', 'sdh', 'cc', 'hi', 'deaf', 'hearing', 'impaired', 'closed', 'caption', 'captions',
+    'default', 'full', 'signs', 'songs', 'commentary', 'sub', 'subs', 'subtitle', 'subtitles'
+]);
+
+// Resolutions, years, episode codes and codecs found where a release group usually is
+const NOT_RELEASE_GROUPS = /^(\d+p?|s\d{1,2}e\d{1,3}|\d{3,4}x\d{3,4}|[xh]26[45]|hevc|avc|xvid|divx|bluray|bdrip|brrip|webrip|web|webdl|dl|hdtv|dvdrip|hdrip|4k|uhd|hd|sd|hdr|remux|aac|ac3|dts)$/i;
+
+// CRC32 checksums fansub releases append ("[1080p][ABCD1234]")
+const CHECKSUM_TAG = /^[0-9a-f]{8}$/i;
+
+// Codes that are also everyday words in titles ("It", "No", "Da")
+const AMBIGUOUS_CODES = new Set([
+    'it', 'no', 'de', 'es', 'da', 'hi', 'us', 'uk', 'ko', 'fi', 'ar', 'br',
+    'am', 'an', 'as', 'be', 'he', 'id', 'is', 'la', 'my', 'or', 'so', 'to',
+    'may', 'per', 'her', 'run', 'sun', 'lit', 'kin', 'cat', 'war', 'ice', 'arm', 'mac', 'bur'
+]);
 
 /**
  * Parse subtitle filename and extract metadata
  * @param {string} filename - The subtitle filename
+ * @param {Object} fileInfo - Optional facts about the file used to classify .sub files
+ * @param {boolean} [fileInfo.hasIdxCompanion] - A .idx file with the same name exists
+ * @param {number} [fileInfo.size] - File size in bytes
+ * @param {Buffer} [fileInfo.header] - First bytes of the file
  * @returns {Object} Parsed metadata including language, format, etc.
  */
-function parseSubtitleFilename(filename) {
+function parseSubtitleFilename(filename, fileInfo = {}) {
     console.log(`    Parsing filename: "${filename}"`);
     
     const basename = path.basename(filename, path.extname(filename));
@@ -18,83 +60,186 @@ function parseSubtitleFilename(filename) {
     
     console.log(`    Basename: "${basename}", Extension: "${extension}", Parts:`, parts);
     
+    const languageInfo = analyzeLanguage(basename);
+    console.log(`    Language detected: ${languageInfo.code} (${languageInfo.strength} filename signal)`);
+    
     const metadata = {
         filename: filename,
         basename: basename,
         extension: extension,
-        language: detectLanguage(basename),
+        language: languageInfo.code,
+        languageStrength: languageInfo.strength,
         format: extension,
+        kind: detectSubtitleKind(filename, fileInfo),
         isForced: detectForced(basename),
         isSDH: detectSDH(basename),
         quality: detectQuality(basename),
+        videoSource: detectVideoSource(basename),
+        edition: detectEdition(basename),
         releaseGroup: detectReleaseGroup(basename)
     };
     
+    metadata.isImageBased = metadata.kind === 'vobsub';
+    
     console.log(`    Final metadata:`, metadata);
     return metadata;
 }
 
 /**
- * Detect language from filename using various patterns
+ * Classify a subtitle file as text or VobSub (image based)
+ * Only .sub is ambiguous: it is text MicroDVD or SubViewer, or the binary half
+ * of a VobSub .idx/.sub pair. The file header is conclusive when available,
+ * then a .idx companion, then the file size.
+ * @param {string} filename - The subtitle filename
+ * @param {Object} fileInfo - { hasIdxCompanion, size, header }
+ * @returns {string} 'vobsub', 'microdvd', 'subviewer', 'unknown' (a text .sub
+ *     that can't be converted) or 'text'
+ */
+function detectSubtitleKind(filename, fileInfo = {}) {
+    if (path.extname(filename).toLowerCase() !== '.sub') {
+        return 'text';
+    }
+    
+    if (fileInfo.header && fileInfo.header.length > 0) {
+        if (isBinaryHeader(fileInfo.header)) {
+            return 'vobsub';
+        }
+        // The header may end in the middle of a line
+        const text = decodeSubtitle(fileInfo.header).text.replace(/\n[^\n]*$/, '');
+        return detectSubFormat(text) || 'unknown';
+    }
+    
+    if (fileInfo.hasIdxCompanion) {
+        return 'vobsub';
+    }
+    
+    if (fileInfo.size && fileInfo.size >= VOBSUB_SIZE_THRESHOLD) {
+        return 'vobsub';
+    }
+    
+    return 'microdvd';
+}
+
+/**
+ * Check whether the first bytes of a file belong to a binary (VobSub) payload
+ * @param {Buffer} header - First bytes of the file
+ * @returns {boolean} True for an MPEG pack header or other binary content
+ */
+function isBinaryHeader(header) {
+    // MPEG program stream pack start code 00 00 01 BA
+    if (header.length >= 4 && header[0] === 0x00 && header[1] === 0x00 && header[2] === 0x01 && header[3] === 0xBA) {
+        return true;
+    }
+    
+    // Text subtitles never contain NUL bytes (UTF-16 files start with a BOM)
+    const hasBom = (header[0] === 0xFF && header[1] === 0xFE) || (header[0] === 0xFE && header[1] === 0xFF);
+    return !hasBom && header.includes(0x00);
+}
+
+/**
+ * Detect language from filename using the language registry
  * @param {string} basename - The filename without extension
- * @returns {string} Detected language code or 'other'
+ * @returns {string} Registry language code, 'und' when none was found
  */
 function detectLanguage(basename) {
-    const filenameLC = basename.toLowerCase();
-    
-    // Language detection patterns with priorities
-    const languagePatterns = [
-        // English variants
-        { pattern: /\b(en|eng|english)\b/i, code: 'en', priority: 10 },
-        { pattern: /\b(us|usa|american)\b/i, code: 'en', priority: 8 },
-        { pattern: /\b(uk|british)\b/i, code: 'en', priority: 8 },
-        
-        // Spanish variants
-        { pattern: /\b(es|esp|spanish|espanol|español)\b/i, code: 'es', priority: 10 },
-        { pattern: /\b(latin|latino|latam)\b/i, code: 'es', priority: 8 },
-        
-        // French variants
-        { pattern: /\b(fr|fre|french|francais|français)\b/i, code: 'fr', priority: 10 },
-        
-        // German variants
-        { pattern: /\b(de|ger|german|deutsch)\b/i, code: 'de', priority: 10 },
-        
-        // Italian variants
-        { pattern: /\b(it|ita|italian|italiano)\b/i, code: 'it', priority: 10 },
-        
-        // Portuguese variants
-        { pattern: /\b(pt|por|portuguese|portugues|português)\b/i, code: 'pt', priority: 10 },
-        { pattern: /\b(br|brazil|brazilian)\b/i, code: 'pt-br', priority: 9 },
-        
-        // Other major languages
-        { pattern: /\b(ru|rus|russian)\b/i, code: 'ru', priority: 10 },
-        { pattern: /\b(zh|chi|chinese|mandarin)\b/i, code: 'zh', priority: 10 },
-        { pattern: /\b(ja|jpn|japanese)\b/i, code: 'ja', priority: 10 },
-        { pattern: /\b(ko|kor|korean)\b/i, code: 'ko', priority: 10 },
-        { pattern: /\b(ar|ara|arabic)\b/i, code: 'ar', priority: 10 },
-        { pattern: /\b(hi|hin|hindi)\b/i, code: 'hi', priority: 10 },
-        { pattern: /\b(nl|dut|dutch)\b/i, code: 'nl', priority: 10 },
-        { pattern: /\b(sv|swe|swedish)\b/i, code: 'sv', priority: 10 },
-        { pattern: /\b(no|nor|norwegian)\b/i, code: 'no', priority: 10 },
-        { pattern: /\b(da|dan|danish)\b/i, code: 'da', priority: 10 },
-        { pattern: /\b(fi|fin|finnish)\b/i, code: 'fi', priority: 10 }
-    ];
+    const { code } = analyzeLanguage(basename);
+    console.log(`    Language detected: ${code}`);
+    return code;
+}
+
+/**
+ * Split a filename into lowercase tags
+ * Hyphenated tags are kept whole when they name a language ("pt-br",
+ * "spa-la") and split otherwise ("x264-yify").
+ * @param {string} basename - The filename without extension
+ * @returns {Array<string>} Tags in filename order
+ */
+function tokenizeFilename(basename) {
+    const tokens = [];
+    for (const token of basename.toLowerCase().split(/[\s._\[\](){},+]+/)) {
+        if (!token) continue;
+        if (!token.includes('-') || findLanguage(token)) {
+            tokens.push(token);
+        } else {
+            tokens.push(...token.split('-').filter(Boolean));
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Find the run of language and modifier tags at the end of a filename
+ * @param {Array<string>} tokens - Tags from tokenizeFilename
+ * @returns {number} Index of the first trailing tag (tokens.length when there are none)
+ */
+function findTrailingTags(tokens) {
+    let trailingStart = tokens.length;
+    while (trailingStart > 0) {
+        const token = tokens[trailingStart - 1];
+        if (!MODIFIER_TAGS.has(token) && !/^\d{1,2}$/.test(token) && !findLanguage(token)) break;
+        trailingStart--;
+    }
+    return trailingStart;
+}
+
+/**
+ * Detect language from filename and rate how reliable the filename is
+ * The signal is weak when the only evidence is a code that is also a common
+ * word or a language name in the title, or when the filename names several
+ * languages. Title names are ignored when a trailing tag names the language.
+ * @param {string} basename - The filename without extension
+ * @returns {Object} { code, strength } - strength is 'strong', 'weak' or 'none'
+ */
+function analyzeLanguage(basename) {
+    const tokens = tokenizeFilename(basename);
+    
+    // Special handling for multi-language indicators
+    if (tokens.some(token => token === 'multi' || token === 'dual')) {
+        return { code: 'mul', strength: 'strong' };
+    }
     
-    let bestMatch = { code: 'other', priority: 0 };
+    const trailingStart = findTrailingTags(tokens);
     
-    for (const { pattern, code, priority } of languagePatterns) {
-        if (pattern.test(filenameLC) && priority > bestMatch.priority) {
-            bestMatch = { code, priority };
+    const found = [];
+    tokens.forEach((token, index) => {
+        const language = findLanguage(token);
+        if (!language || language.code === 'mul' || language.code === 'und') {
+            return;
         }
+        // "hi" after a language means hearing impaired rather than Hindi
+        if (MODIFIER_TAGS.has(token) && found.length > 0) {
+            return;
+        }
+        if (index >= trailingStart || ANYWHERE_TAGS.has(token)) {
+            found.push({ language, token, index, isTitleWord: false });
+        } else if (token.length >= MIN_NAME_LENGTH && !token.includes('-')) {
+            found.push({ language, token, index, isTitleWord: true });
+        }
+    });
+    
+    if (found.length === 0) {
+        return { code: 'und', strength: 'none' };
     }
     
-    // Special handling for multi-language indicators
-    if (/\b(multi|dual)\b/i.test(filenameLC)) {
-        return 'multi';
+    const tagged = found.filter(({ isTitleWord }) => !isTitleWord);
+    const candidates = tagged.length > 0 ? tagged : found;
+    
+    // Region variants are more specific than their base language; otherwise
+    // the tag closest to the end wins
+    let bestMatch = candidates[candidates.length - 1];
+    for (const candidate of candidates) {
+        if (candidate.language.code !== candidate.language.base && bestMatch.language.code === bestMatch.language.base
+            && candidate.language.base === bestMatch.language.base) {
+            bestMatch = candidate;
+        }
     }
     
-    console.log(`    Language detected: ${bestMatch.code}`);
-    return bestMatch.code;
+    const isConflicting = new Set(candidates.map(({ language }) => language.base)).size > 1;
+    const isAmbiguous = candidates
+        .filter(({ language }) => language.base === bestMatch.language.base)
+        .every(({ token, isTitleWord }) => isTitleWord || AMBIGUOUS_CODES.has(token));
+    
+    return { code: bestMatch.language.code, strength: isConflicting || isAmbiguous ? 'weak' : 'strong' };
 }
 
 /**
@@ -108,11 +253,20 @@ function detectForced(basename) {
 
 /**
  * Detect if subtitles are SDH (Subtitles for Deaf and Hard of hearing)
+ * "HI" only counts among the trailing tags after another language tag
+ * ("Movie.en.hi"); on its own it is the Hindi code ("Movie.hi").
  * @param {string} basename - The filename without extension
  * @returns {boolean} True if SDH subtitles
  */
 function detectSDH(basename) {
-    return /\b(sdh|deaf|hard\.?of\.?hearing|cc|closed\.?caption)\b/i.test(basename);
+    if (/\b(sdh|deaf|hard\.?of\.?hearing|cc|closed\.?caption)\b/i.test(basename)) {
+        return true;
+    }
+    
+    const tokens = tokenizeFilename(basename);
+    const trailingStart = findTrailingTags(tokens);
+    return tokens.some((token, index) => token === 'hi' && index > trailingStart
+        && tokens.slice(trailingStart, index).some(tag => tag !== 'hi' && findLanguage(tag)));
 }
 
 /**
@@ -140,30 +294,159 @@ function detectQuality(basename) {
     return null;
 }
 
+/**
+ * Detect the video source (rip type) from filename
+ * Related rip types are folded together: BDRip and BRRip are Blu-ray rips,
+ * WEB and WEBDL are WEB-DL.
+ * @param {string} basename - The filename without extension
+ * @returns {string|null} 'bluray', 'web-dl', 'webrip', 'hdtv', 'dvd', 'hdrip', 'cam' or null
+ */
+function detectVideoSource(basename) {
+    const sourcePatterns = [
+        { pattern: /\b(blu-?ray|bdrip|brrip|bdremux|bd25|bd50|remux)\b/i, source: 'bluray' },
+        // Before WEB-DL: the generic WEB tag also matches "WEB-Rip"
+        { pattern: /\bweb-?rip\b/i, source: 'webrip' },
+        { pattern: /\b(web-?dl|web)\b/i, source: 'web-dl' },
+        { pattern: /\b(hdtv|pdtv|dsr|tvrip)\b/i, source: 'hdtv' },
+        { pattern: /\b(dvdrip|dvd-?r|dvd5|dvd9|dvd)\b/i, source: 'dvd' },
+        { pattern: /\bhdrip\b/i, source: 'hdrip' },
+        { pattern: /\b(cam|hdcam|ts|telesync|hdts)\b/i, source: 'cam' }
+    ];
+    
+    for (const { pattern, source } of sourcePatterns) {
+        if (pattern.test(basename)) {
+            return source;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Detect the cut of the movie from filename
+ * @param {string} basename - The filename without extension
+ * @returns {string|null} Edition such as 'extended' or 'directors-cut', or null
+ */
+function detectEdition(basename) {
+    const editionPatterns = [
+        { pattern: /\bextended\b/i, edition: 'extended' },
+        { pattern: /\bdirector'?s[\s._-]?cut\b|\bdc\b/i, edition: 'directors-cut' },
+        { pattern: /\bfinal[\s._-]?cut\b/i, edition: 'final-cut' },
+        { pattern: /\btheatrical\b/i, edition: 'theatrical' },
+        { pattern: /\b(unrated|uncut|uncensored)\b/i, edition: 'unrated' },
+        { pattern: /\bimax\b/i, edition: 'imax' },
+        { pattern: /\bremastered\b/i, edition: 'remastered' },
+        { pattern: /\bcriterion\b/i, edition: 'criterion' }
+    ];
+    
+    for (const { pattern, edition } of editionPatterns) {
+        if (pattern.test(basename)) {
+            return edition;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Parse the release details of a video or subtitle filename
+ * @param {string} filename - Filename, with or without extension
+ * @returns {Object} { quality, source, edition, releaseGroup }
+ */
+function parseReleaseInfo(filename) {
+    const basename = path.basename(filename || '').replace(/\.[a-z0-9]{2,4}$/i, '');
+    return {
+        quality: detectQuality(basename),
+        source: detectVideoSource(basename),
+        edition: detectEdition(basename),
+        releaseGroup: detectReleaseGroup(basename)
+    };
+}
+
 /**
  * Detect release group from filename
+ * Only explicit group tags count: a trailing "[GROUP]", a "-GROUP" suffix
+ * after release tags ("1080p.BluRay.x264-YIFY") and the leading group of
+ * fansub releases ("[SubsPlease] Title - 17"). Language and modifier tags after
+ * the group ("x264-YIFY.en.forced") are skipped. Untagged names give no group:
+ * "The.Matrix.en", "Breaking.Bad.S01E01.en", "Catch.Me.If.You.Can.It" and
+ * "Spider-Man" end in title words or episode codes, not groups.
  * @param {string} basename - The filename without extension
  * @returns {string|null} Detected release group or null
  */
 function detectReleaseGroup(basename) {
-    // Common release group patterns
-    const patterns = [
-        /\[([A-Z0-9]+)\]$/i,           // [RARBG]
-        /-([A-Z0-9]+)$/i,             // -YIFY
-        /\.([A-Z0-9]+)$/i,            // .ETRG
-        /\(([A-Z0-9]+)\)$/i           // (FGT)
-    ];
+    const fansub = basename.match(/^\[([A-Z0-9][A-Z0-9 ._&-]*)\]/i);
+    if (fansub && isReleaseGroup(fansub[1])) {
+        return fansub[1].trim().toUpperCase();
+    }
     
-    for (const pattern of patterns) {
-        const match = basename.match(pattern);
-        if (match) {
-            return match[1].toUpperCase();
-        }
+    const name = stripTrailingTags(basename);
+    
+    const bracketed = name.match(/\[([A-Z0-9]+)\]$/i);
+    if (bracketed) {
+        return isReleaseGroup(bracketed[1]) ? bracketed[1].toUpperCase() : null;
+    }
+    
+    // A hyphen alone is as likely to be part of the title ("Spider-Man")
+    const suffixed = name.match(/^(.*)-([A-Z0-9]+)$/i);
+    if (suffixed && isReleaseGroup(suffixed[2]) && tokenizeFilename(suffixed[1]).some(tag => NOT_RELEASE_GROUPS.test(tag))) {
+        return suffixed[2].toUpperCase();
     }
     
     return null;
 }
 
+/**
+ * Check whether a tag can name a release group
+ * @param {string} tag - Candidate tag
+ * @returns {boolean} False for resolutions, years, episode codes, codecs and checksums
+ */
+function isReleaseGroup(tag) {
+    return !NOT_RELEASE_GROUPS.test(tag.trim()) && !CHECKSUM_TAG.test(tag.trim());
+}
+
+/**
+ * Remove language and modifier tags from the end of a filename
+ * @param {string} basename - The filename without extension
+ * @returns {string} Filename without trailing tags
+ */
+function stripTrailingTags(basename) {
+    let name = basename;
+    let match;
+    while ((match = name.match(/[.\s_-]([^.\s_\-[\]()]+)$/))) {
+        const tag = match[1].toLowerCase();
+        if (!MODIFIER_TAGS.has(tag) && !/^\d{1,2}$/.test(tag) && !findLanguage(tag)) {
+            break;
+        }
+        name = name.slice(0, match.index);
+    }
+    return name;
+}
+
+/**
+ * Build a human readable label for a subtitle ("English · SDH · YIFY")
+ * The release group only appears when the filename tags it explicitly (see
+ * detectReleaseGroup), so "The.Matrix.SDH.en.srt" is "English · SDH". A label
+ * set by the repository manifest (metadata.label) replaces the generated one.
+ * @param {Object} metadata - Parsed filename metadata
+ * @param {Object} options - Label options
+ * @param {string} [options.format] - Format the subtitle is converted to
+ * @returns {string} Label
+ */
+function buildSubtitleLabel(metadata, options = {}) {
+    const parts = [];
+    if (metadata.label) {
+        parts.push(metadata.label);
+    } else {
+        parts.push(getLanguageName(metadata.language));
+        if (metadata.isForced) parts.push('Forced');
+        if (metadata.isSDH) parts.push('SDH');
+        if (metadata.releaseGroup) parts.push(metadata.releaseGroup);
+    }
+    if (options.format) parts.push(options.format.toUpperCase());
+    return parts.join(' · ');
+}
+
 /**
  * Generate a cleaned subtitle filename for display
  * @param {string} filename - Original filename
@@ -186,43 +469,27 @@ function cleanFilename(filename) {
 
 /**
  * Get language name from language code
- * @param {string} code - Language code
+ * @param {string} code - Language code, alias or name
+ * @param {Object} options - { native } to get the name in the language itself
  * @returns {string} Language name
  */
-function getLanguageName(code) {
-    const languageMap = {
-        'en': 'English',
-        'es': 'Spanish',
-        'fr': 'French',
-        'de': 'German',
-        'it': 'Italian',
-        'pt': 'Portuguese',
-        'pt-br': 'Portuguese (Brazil)',
-        'ru': 'Russian',
-        'zh': 'Chinese',
-        'ja': 'Japanese',
-        'ko': 'Korean',
-        'ar': 'Arabic',
-        'hi': 'Hindi',
-        'nl': 'Dutch',
-        'sv': 'Swedish',
-        'no': 'Norwegian',
-        'da': 'Danish',
-        'fi': 'Finnish',
-        'multi': 'Multiple Languages',
-        'other': 'Other'
-    };
-    
-    return languageMap[code] || code;
+function getLanguageName(code, options = {}) {
+    return getRegistryLanguageName(code, options);
 }
 
 module.exports = {
     parseSubtitleFilename,
     detectLanguage,
+    analyzeLanguage,
+    detectSubtitleKind,
     detectForced,
     detectSDH,
     detectQuality,
+    detectVideoSource,
+    detectEdition,
     detectReleaseGroup,
+    parseReleaseInfo,
     cleanFilename,
+    buildSubtitleLabel,
     getLanguageName
 };
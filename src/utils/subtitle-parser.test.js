@@ -0,0 +1,152 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseSubtitleFilename, buildSubtitleLabel } = require('./subtitle-parser');
+
+mock.method(console, 'log', () => {});
+
+describe('parseSubtitleFilename', () => {
+    describe('.sub classification', () => {
+        it('treats text formats other than .sub as text', () => {
+            assert.equal(parseSubtitleFilename('Movie.2010.en.srt').kind, 'text');
+        });
+
+        it('classifies .sub files by their header first', () => {
+            const vobsub = Buffer.from([0x00, 0x00, 0x01, 0xBA, 0x44, 0x00]);
+            assert.equal(parseSubtitleFilename('Movie.sub', { header: vobsub, hasIdxCompanion: false }).kind, 'vobsub');
+            assert.equal(parseSubtitleFilename('Movie.sub', { header: Buffer.from('{1}{25}Hello\n{30}{50}World\n'), hasIdxCompanion: true }).kind, 'microdvd');
+            assert.equal(parseSubtitleFilename('Movie.sub', { header: Buffer.from('00:00:01.00,00:00:02.00\nHello\n') }).kind, 'subviewer');
+            assert.equal(parseSubtitleFilename('Movie.sub', { header: Buffer.from('Some notes\nabout the movie\n') }).kind, 'unknown');
+        });
+
+        it('falls back to the .idx companion and the file size', () => {
+            assert.equal(parseSubtitleFilename('Movie.sub', { hasIdxCompanion: true }).kind, 'vobsub');
+            assert.equal(parseSubtitleFilename('Movie.sub', { size: 2 * 1024 * 1024 }).kind, 'vobsub');
+            assert.equal(parseSubtitleFilename('Movie.sub', { size: 40 * 1024 }).kind, 'microdvd');
+        });
+
+        it('marks VobSub files as image based', () => {
+            assert.equal(parseSubtitleFilename('Movie.sub', { hasIdxCompanion: true }).isImageBased, true);
+            assert.equal(parseSubtitleFilename('Movie.sub', { size: 1024 }).isImageBased, false);
+        });
+    });
+
+    describe('language strength', () => {
+        const strengthOf = filename => {
+            const { language, languageStrength } = parseSubtitleFilename(filename);
+            return [language, languageStrength];
+        };
+
+        it('only gives a weak signal for language names in the title', () => {
+            assert.deepEqual(strengthOf('The.Italian.Job.2003.srt'), ['ita', 'weak']);
+            assert.deepEqual(strengthOf('French.Kiss.1995.srt'), ['fre', 'weak']);
+        });
+
+        it('prefers the trailing tag over a language name in the title', () => {
+            assert.deepEqual(strengthOf('The.Italian.Job.2003.en.srt'), ['eng', 'strong']);
+            assert.deepEqual(strengthOf('The.Italian.Job.2003.French.srt'), ['fre', 'strong']);
+        });
+
+        it('is weak for codes that are common words and for several languages', () => {
+            assert.deepEqual(strengthOf('Catch.Me.If.You.Can.It.srt'), ['ita', 'weak']);
+            assert.deepEqual(strengthOf('Amelie.2001.French.English.srt'), ['eng', 'weak']);
+        });
+
+        it('has no signal without a language tag', () => {
+            assert.deepEqual(strengthOf('Movie.2010.srt'), ['und', 'none']);
+        });
+    });
+
+    describe('language tags', () => {
+        const languageOf = filename => parseSubtitleFilename(filename).language;
+
+        it('reads codes, names and aliases from the trailing tags', () => {
+            assert.equal(languageOf('Movie.2010.1080p.hun.forced.srt'), 'hun');
+            assert.equal(languageOf('Movie.2010.de.srt'), 'ger');
+            assert.equal(languageOf('Movie.2010.pt-br.srt'), 'pob');
+            assert.equal(languageOf('Movie.2010.Deutsch.srt'), 'ger');
+        });
+
+        it('reads common three-letter codes anywhere', () => {
+            assert.equal(languageOf('Movie.ENG.2010.1080p.x264.srt'), 'eng');
+        });
+
+        it('ignores two-letter codes among title words', () => {
+            assert.equal(languageOf('La.Casa.de.Papel.S01E01.srt'), 'und');
+            assert.equal(languageOf('No.Country.for.Old.Men.2007.srt'), 'und');
+        });
+
+        it('recognizes multi-language files', () => {
+            assert.equal(languageOf('Movie.2010.multi.srt'), 'mul');
+        });
+    });
+
+    describe('forced and SDH tracks', () => {
+        it('detects forced tracks', () => {
+            assert.equal(parseSubtitleFilename('Movie.2010.en.forced.srt').isForced, true);
+            assert.equal(parseSubtitleFilename('Movie.2010.en.foreign.srt').isForced, true);
+            assert.equal(parseSubtitleFilename('Movie.2010.en.srt').isForced, false);
+        });
+
+        it('detects SDH tags', () => {
+            assert.equal(parseSubtitleFilename('Movie.2010.en.sdh.srt').isSDH, true);
+            assert.equal(parseSubtitleFilename('Movie.2010.en.cc.srt').isSDH, true);
+            assert.equal(parseSubtitleFilename('Movie.2010.en.srt').isSDH, false);
+        });
+
+        it('reads HI after a language as SDH and on its own as Hindi', () => {
+            const hearingImpaired = parseSubtitleFilename('Movie.2010.en.hi.srt');
+            assert.equal(hearingImpaired.language, 'eng');
+            assert.equal(hearingImpaired.isSDH, true);
+            assert.equal(parseSubtitleFilename('Movie.2010.eng.HI.forced.srt').isSDH, true);
+
+            const hindi = parseSubtitleFilename('Movie.2010.hi.srt');
+            assert.equal(hindi.language, 'hin');
+            assert.equal(hindi.isSDH, false);
+            assert.equal(parseSubtitleFilename('Hi.Mom.2021.en.srt').isSDH, false);
+        });
+    });
+
+    describe('labels', () => {
+        it('names the language, track kind and release group', () => {
+            assert.equal(buildSubtitleLabel(parseSubtitleFilename('Movie.2010.1080p.BluRay.x264-YIFY.en.sdh.srt')), 'English · SDH · YIFY');
+            assert.equal(buildSubtitleLabel(parseSubtitleFilename('Movie.2010.hun.forced.srt')), 'Hungarian · Forced');
+        });
+
+        it('ends converted copies in the target format', () => {
+            assert.equal(buildSubtitleLabel(parseSubtitleFilename('Movie.2010.en.ass'), { format: 'srt' }), 'English · SRT');
+        });
+
+        it('uses a manifest label as is', () => {
+            assert.equal(buildSubtitleLabel({ language: 'eng', isSDH: true, label: 'Director commentary' }), 'Director commentary');
+        });
+    });
+
+    describe('release details', () => {
+        const groupOf = filename => parseSubtitleFilename(filename).releaseGroup;
+
+        it('reads -GROUP suffixes after release tags, skipping language tags', () => {
+            assert.equal(groupOf('Movie.2010.1080p.BluRay.x264-YIFY.srt'), 'YIFY');
+            assert.equal(groupOf('Movie.2010.1080p.WEB-DL.x264-ntb.en.forced.srt'), 'NTB');
+        });
+
+        it('reads bracketed and leading fansub groups', () => {
+            assert.equal(groupOf('Movie.2010.1080p.[RARBG].srt'), 'RARBG');
+            assert.equal(groupOf('[SubsPlease] Show - 17 (1080p) [ABCD1234].ass'), 'SUBSPLEASE');
+        });
+
+        it('takes no group from title words, episode codes or checksums', () => {
+            assert.equal(groupOf('The.Matrix.en.srt'), null);
+            assert.equal(groupOf('Breaking.Bad.S01E01.en.srt'), null);
+            assert.equal(groupOf('Spider-Man.2002.srt'), null);
+            assert.equal(groupOf('Show.01.[ABCD1234].srt'), null);
+        });
+
+        it('reads quality, source and edition', () => {
+            const metadata = parseSubtitleFilename('Movie.2010.Extended.2160p.WEBRip.x265-GRP.srt');
+            assert.equal(metadata.quality, '4K');
+            assert.equal(metadata.videoSource, 'webrip');
+            assert.equal(metadata.edition, 'extended');
+        });
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * Transliteration to Latin script
+ *
+ * Romanizes Cyrillic, Greek and Japanese kana, and strips diacritics using
+ * Unicode NFKD decomposition, so "Москва слезам не верит" and "Moskva slezam
+ * ne verit" normalize to the same text. Other scripts (e.g. Han) are kept as is.
+ */
+
+const CYRILLIC = {
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'ж': 'zh',
+    'з': 'z', 'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o',
+    'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts',
+    'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu',
+    'я': 'ya',
+    // Ukrainian and Belarusian
+    'є': 'ye', 'і': 'i', 'ї': 'yi', 'ґ': 'g', 'ў': 'u',
+    // Serbian and Macedonian
+    'ђ': 'dj', 'ј': 'j', 'љ': 'lj', 'њ': 'nj', 'ћ': 'c', 'џ': 'dz', 'ѓ': 'gj', 'ќ': 'kj', 'ѕ': 'dz'
+};
+
+// Applied after NFKD, so accented letters arrive without their tonos
+const GREEK = {
+    'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th',
+    'ι': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p',
+    'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps',
+    'ω': 'o'
+};
+
+// Latin letters that NFKD doesn't decompose
+const LATIN_SPECIAL = {
+    'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ß': 'ss', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ł': 'l', 'ı': 'i'
+};
+
+// Hiragana in modified Hepburn; katakana is shifted onto this range first
+const KANA = {
+    'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+    'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+    'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+    'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+    'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+    'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+    'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+    'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+    'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+    'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+    'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+    'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+    'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+    'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+    'わ': 'wa', 'ゐ': 'i', 'ゑ': 'e', 'を': 'o', 'ん': 'n', 'ゔ': 'vu',
+    'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o', 'ゎ': 'wa'
+};
+
+const SMALL_Y = { 'ゃ': 'a', 'ゅ': 'u', 'ょ': 'o' };
+const SMALL_VOWELS = { 'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o' };
+const SOKUON = 'っ';
+const LONG_VOWEL_MARK = 'ー';
+
+const KATAKANA_START = 0x30A1;
+const KATAKANA_END = 0x30F6;
+const KATAKANA_OFFSET = 0x60;
+
+/**
+ * Replace characters using a lookup table
+ * @param {string} text - Input text
+ * @param {Object} table - Character to replacement map
+ * @returns {string} Text with mapped characters replaced
+ */
+function mapCharacters(text, table) {
+    let result = '';
+    for (const char of text) {
+        const lower = char.toLowerCase();
+        if (table[lower] === undefined) {
+            result += char;
+        } else {
+            const mapped = table[lower];
+            // Keep the case of capitalized words (Москва -> Moskva)
+            result += char !== lower && mapped ? mapped[0].toUpperCase() + mapped.slice(1) : mapped;
+        }
+    }
+    return result;
+}
+
+/**
+ * Romanize hiragana and katakana (modified Hepburn)
+ * Handles yōon (きゃ kya), sokuon (っ doubles the next consonant), small vowels
+ * in loanwords (ファ fa) and drops the long vowel mark.
+ * @param {string} text - Input text
+ * @returns {string} Text with kana romanized
+ */
+function romanizeKana(text) {
+    // Shift katakana onto hiragana so a single table covers both
+    const chars = [...text].map(char => {
+        const code = char.codePointAt(0);
+        return code >= KATAKANA_START && code <= KATAKANA_END
+            ? String.fromCodePoint(code - KATAKANA_OFFSET)
+            : char;
+    });
+
+    let result = '';
+    let doubleNext = false;
+
+    for (let i = 0; i < chars.length; i++) {
+        const char = chars[i];
+
+        if (char === SOKUON) {
+            doubleNext = true;
+            continue;
+        }
+        if (char === LONG_VOWEL_MARK) {
+            continue;
+        }
+
+        let romaji = KANA[char];
+        if (romaji === undefined) {
+            result += char;
+            doubleNext = false;
+            continue;
+        }
+
+        const next = chars[i + 1];
+        if (SMALL_Y[next] && romaji.length > 1 && romaji.endsWith('i')) {
+            const base = romaji.slice(0, -1);
+            romaji = /(sh|ch|j)$/.test(base) ? base + SMALL_Y[next] : `${base}y${SMALL_Y[next]}`;
+            i++;
+        } else if (SMALL_VOWELS[next] && romaji.length > 1) {
+            romaji = romaji.slice(0, -1) + SMALL_VOWELS[next];
+            i++;
+        }
+
+        if (doubleNext) {
+            romaji = romaji.startsWith('ch') ? `t${romaji}` : romaji[0] + romaji;
+            doubleNext = false;
+        }
+
+        result += romaji;
+    }
+
+    return result;
+}
+
+/**
+ * Transliterate text to Latin script and strip diacritics
+ * @param {string} text - Input text
+ * @returns {string} Transliterated text
+ */
+function transliterate(text) {
+    if (!text) return '';
+
+    // NFKC first: full-width letters, half-width katakana and composed dakuten
+    let result = text.normalize('NFKC');
+    result = romanizeKana(result);
+    // Before NFKD, which would turn й into и + breve
+    result = mapCharacters(result, CYRILLIC);
+
+    result = result.normalize('NFKD').replace(/\p{M}/gu, '');
+    result = mapCharacters(result, GREEK);
+    result = mapCharacters(result, LATIN_SPECIAL);
+
+    return result;
+}
+
+module.exports = {
+    transliterate,
+    romanizeKana
+};
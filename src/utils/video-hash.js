@@ -0,0 +1,45 @@
+/**
+ * OpenSubtitles video hash
+ *
+ * The 64-bit hash Stremio sends as videoHash: the file size plus the sum of
+ * all little-endian 64-bit words in the first and last 64 KiB of the file,
+ * modulo 2^64, as 16 hex digits.
+ */
+
+const fs = require('fs');
+
+const CHUNK_BYTES = 64 * 1024;
+const UINT64_MASK = (1n << 64n) - 1n;
+
+/**
+ * Compute the OpenSubtitles hash of a video file
+ * @param {string} filePath - Path of the video file
+ * @returns {Promise<Object>} { hash, size }
+ * @throws {Error} When the file is smaller than 64 KiB
+ */
+async function computeVideoHash(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        if (size < CHUNK_BYTES) {
+            throw new Error(`${filePath} is too small to hash (${size} bytes)`);
+        }
+
+        let hash = BigInt(size);
+        const buffer = Buffer.alloc(CHUNK_BYTES);
+        for (const offset of [0, size - CHUNK_BYTES]) {
+            await handle.read(buffer, 0, CHUNK_BYTES, offset);
+            for (let i = 0; i < CHUNK_BYTES; i += 8) {
+                hash = (hash + buffer.readBigUInt64LE(i)) & UINT64_MASK;
+            }
+        }
+
+        return { hash: hash.toString(16).padStart(16, '0'), size };
+    } finally {
+        await handle.close();
+    }
+}
+
+module.exports = {
+    computeVideoHash
+};